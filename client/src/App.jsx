@@ -5,8 +5,11 @@
  * Phase changes are driven entirely by server events.
  * 
  * V1.2: Added GameLayout wrapper for responsive desktop layout.
- * - Game phases (roleReveal, description, voting, results, postGame) use GameLayout
+ * - Game phases (roleReveal, description, voting, imposterGuess, results, postGame) use GameLayout
  * - Home and Lobby pages use the standard container layout
+ * 
+ * V1.4: The moderator seat sees ModeratorView for every in-game phase
+ * up to the results (lobby and postGame are shared with the players).
  */
 
 import { useGame } from './GameContext';
@@ -17,12 +20,14 @@ import Lobby from './pages/Lobby';
 import RoleReveal from './pages/RoleReveal';
 import DescriptionPhase from './pages/DescriptionPhase';
 import VotingPhase from './pages/VotingPhase';
+import ImposterGuessPhase from './pages/ImposterGuessPhase';
 import Results from './pages/Results';
 import PostGame from './pages/PostGame';
+import ModeratorView from './pages/ModeratorView';
 import './App.css';
 
 export default function App() {
-    const { room, phase } = useGame();
+    const { room, phase, isModerator } = useGame();
 
     // Render the appropriate page based on game phase
     const renderPage = () => {
@@ -31,6 +36,11 @@ export default function App() {
             return <Home />;
         }
 
+        // V1.4: God view for the moderator seat
+        if (isModerator && ['roleReveal', 'description', 'voting', 'imposterGuess', 'results'].includes(phase)) {
+            return <ModeratorView />;
+        }
+
         // Otherwise, render based on phase
         switch (phase) {
             case 'lobby':
@@ -41,6 +51,8 @@ export default function App() {
                 return <DescriptionPhase />;
             case 'voting':
                 return <VotingPhase />;
+            case 'imposterGuess':
+                return <ImposterGuessPhase />;
             case 'results':
                 return <Results />;
             case 'postGame':
@@ -51,7 +63,7 @@ export default function App() {
     };
 
     // Check if current phase should use the game layout
-    const isGamePhase = room && ['roleReveal', 'description', 'voting', 'results', 'postGame'].includes(phase);
+    const isGamePhase = room && ['roleReveal', 'description', 'voting', 'imposterGuess', 'results', 'postGame'].includes(phase);
 
     return (
         <div className="app">
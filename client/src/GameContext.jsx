@@ -10,21 +10,73 @@
 
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import socket from './socket';
+import { fetchPublicRooms } from './api';
 
 const GameContext = createContext(null);
 
+// =============================================================================
+// TIMERS (V1.4)
+// The server sends each timer's deadline once. The countdown runs locally
+// against that deadline, shifted onto this browser's clock. A paused timer
+// comes without a deadline and stays frozen.
+// =============================================================================
+
+const NO_TIMER = { phase: null, remainingSeconds: 0, endsAt: null };
+const TIMER_REFRESH_MS = 200;
+
+// V1.4: How long "the host added time / skipped a turn" notices stay up
+const HOST_ACTION_NOTICE_MS = 4000;
+
+function getSecondsLeft(endsAt) {
+    return Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+}
+
+// =============================================================================
+// RECONNECT TOKEN STORAGE
+// Tokens are kept per room in sessionStorage so a browser refresh can
+// reclaim the same seat. The server will not rejoin by name alone.
+// =============================================================================
+
+const TOKEN_STORAGE_PREFIX = 'whoIsLying:reconnectToken:';
+
+function loadReconnectToken(roomCode) {
+    try {
+        return sessionStorage.getItem(TOKEN_STORAGE_PREFIX + roomCode);
+    } catch {
+        return null;
+    }
+}
+
+function saveReconnectToken(roomCode, token) {
+    try {
+        sessionStorage.setItem(TOKEN_STORAGE_PREFIX + roomCode, token);
+    } catch {
+        // Storage unavailable (private mode) - token stays in memory only
+    }
+}
+
+function clearReconnectToken(roomCode) {
+    try {
+        sessionStorage.removeItem(TOKEN_STORAGE_PREFIX + roomCode);
+    } catch {
+        // Ignore storage errors
+    }
+}
+
 export function GameProvider({ children }) {
     // Connection state
     const [isConnected, setIsConnected] = useState(false);
     
     // Player state
     const [player, setPlayer] = useState(null); // { id, name }
+    const [reconnectToken, setReconnectToken] = useState(null); // Signed token for rejoining this seat
     
     // Room state
     const [room, setRoom] = useState(null); // { code, hostId, phase, players, topic }
     
     // Game state (received from server)
     const [isImposter, setIsImposter] = useState(false);
+    const [imposterPartners, setImposterPartners] = useState([]); // V1.4: Fellow imposters (if revealed)
     const [secretWord, setSecretWord] = useState(null);
     const [topic, setTopic] = useState(null);
     
@@ -54,18 +106,71 @@ export function GameProvider({ children }) {
     // V1.3: Host ended game state
     const [hostEndedGame, setHostEndedGame] = useState(false);
     
+    // V1.4: Caught imposter's last-chance guess { guesserId, guesserName }
+    const [imposterGuess, setImposterGuess] = useState(null);
+    
+    // V1.4: Moderator seat - { topic, word, imposters } from the secret channel
+    const [moderatorState, setModeratorState] = useState(null);
+    
+    // V1.4: Public room browser (only filled while subscribed, i.e. on Home)
+    const [publicRooms, setPublicRooms] = useState([]);
+    
     // Results state
     const [results, setResults] = useState(null);
     
     // Timer state
-    const [timer, setTimer] = useState({ phase: null, remainingSeconds: 0 });
+    const [timer, setTimer] = useState(NO_TIMER);
+    
+    // V1.4: Last host intervention (add time, skip turn, end voting) for the notice
+    const [hostAction, setHostAction] = useState(null);
     
     // V1.2: Room settings state
-    const [roomSettings, setRoomSettings] = useState({ descriptionTime: 10, votingTime: 60 });
+    const [roomSettings, setRoomSettings] = useState({ 
+        descriptionTime: 10, 
+        votingTime: 60, 
+        imposterCount: 1,               // V1.4
+        revealImposterPartners: false,  // V1.4
+        wordPackIds: [],                // V1.4
+        descriptionRounds: 1,           // V1.4
+        multiElimination: false,        // V1.4
+        isPublic: false,                // V1.4
+        maxPlayers: 12,                 // V1.4
+        requireReady: false             // V1.4
+    });
     
     // Error state
     const [error, setError] = useState(null);
 
+    // V1.4: Back to Home - forget the room, our seat and all game state
+    // (kicked, or the seat could not be reclaimed after a reconnect)
+    const clearRoomState = useCallback((roomCode) => {
+        clearReconnectToken(roomCode);
+        setPlayer(null);
+        setReconnectToken(null);
+        setRoom(null);
+        setIsImposter(false);
+        setImposterPartners([]);
+        setSecretWord(null);
+        setTopic(null);
+        setDescriptions([]);
+        setSubmissionProgress({ count: 0, total: 0 });
+        setVoteProgress({ count: 0, total: 0 });
+        setHasSubmittedDescription(false);
+        setHasVoted(false);
+        setSpeakingOrder([]);
+        setCurrentSpeaker(null);
+        setLiveDescriptions([]);
+        setSelectedVote(null);
+        setHasConfirmedVote(false);
+        setConfirmProgress({ count: 0, total: 0 });
+        setChatMessages([]);
+        setResults(null);
+        setImposterGuess(null);
+        setModeratorState(null);
+        setTimer(NO_TIMER);
+        setHostEndedGame(false);
+    }, []);
+
     // =========================================================================
     // SOCKET CONNECTION
     // =========================================================================
@@ -127,10 +232,17 @@ export function GameProvider({ children }) {
             }
         });
         
+        // V1.4: Player dropped or came back within the grace period
+        socket.on('player:connectionChanged', (data) => {
+            setRoom(data.room);
+        });
+        
         // Game started - receive role assignment
         socket.on('game:roleAssigned', (data) => {
             setIsImposter(data.isImposter);
             setTopic(data.topic);
+            // V1.4: Only imposters receive partners (empty unless host enabled it)
+            setImposterPartners(data.imposterPartners || []);
             if (!data.isImposter) {
                 setSecretWord(data.word);
             }
@@ -148,13 +260,29 @@ export function GameProvider({ children }) {
             // Reset phase-specific state
             if (data.phase === 'description') {
                 setHasSubmittedDescription(false);
-                setSubmissionProgress({ count: 0, total: data.room.playerCount });
+                setSubmissionProgress({ count: 0, total: data.room.activePlayerCount });
                 // V1.1: Initialize sequential description state
                 if (data.speakingOrder) {
                     setSpeakingOrder(data.speakingOrder);
                     setLiveDescriptions([]);
                 }
             }
+            // V1.4: Voted-out imposter gets one guess at the word
+            if (data.phase === 'imposterGuess' && data.guesser) {
+                setImposterGuess({ guesserId: data.guesser.id, guesserName: data.guesser.name });
+            }
+        });
+        
+        // V1.4: A civilian was voted out in multi-elimination mode.
+        // The next description round follows right away (game:phaseChanged);
+        // the history lives on room.eliminations.
+        socket.on('game:playerEliminated', (data) => {
+            setRoom(data.room);
+        });
+        
+        // V1.4: Word and imposters for the moderator seat (only the moderator receives this)
+        socket.on('moderator:state', (data) => {
+            setModeratorState(data);
         });
         
         // V1.1: Speaker turn changed
@@ -163,7 +291,9 @@ export function GameProvider({ children }) {
                 id: data.speakerId,
                 name: data.speakerName,
                 index: data.speakerIndex,
-                total: data.totalSpeakers
+                total: data.totalSpeakers,
+                round: data.round || 1,             // V1.4: Description round
+                totalRounds: data.totalRounds || 1  // V1.4
             });
         });
         
@@ -177,7 +307,8 @@ export function GameProvider({ children }) {
                     playerId: data.playerId,
                     playerName: data.playerName,
                     description: data.description,
-                    isAutoSubmit: data.isAutoSubmit
+                    isAutoSubmit: data.isAutoSubmit,
+                    round: data.round   // V1.4: Description round
                 }]);
             }
         });
@@ -190,8 +321,8 @@ export function GameProvider({ children }) {
             setHasVoted(false);
             setSelectedVote(null);
             setHasConfirmedVote(false);
-            setVoteProgress({ count: 0, total: data.room.playerCount });
-            setConfirmProgress({ count: 0, total: data.room.playerCount });
+            setVoteProgress({ count: 0, total: data.room.activePlayerCount });   // V1.4: Eliminated players don't vote
+            setConfirmProgress({ count: 0, total: data.room.activePlayerCount });
             setChatMessages([]); // Clear chat for new voting phase
         });
         
@@ -215,13 +346,18 @@ export function GameProvider({ children }) {
             setRoom(data.room);
             setResults({
                 votedOutPlayer: data.votedOutPlayer,
-                imposter: data.imposter,
+                imposters: data.imposters,
                 playersWin: data.playersWin,
+                reason: data.reason,    // V1.4: 'votedOut' or 'imposterGuessed'
                 voteSummary: data.voteSummary,
-                secretWord: data.secretWord
+                secretWord: data.secretWord,
+                roundPoints: data.roundPoints || {},    // V1.4: Leaderboard itself lives on room
+                imposterGuess: data.imposterGuess || null,  // V1.4
+                eliminations: data.eliminations || []       // V1.4: Multi-elimination history
             });
+            setImposterGuess(null);
             // Clear timer when game ends
-            setTimer({ phase: null, remainingSeconds: 0 });
+            setTimer(NO_TIMER);
         });
         
         // V1.1: Game reset (Play Again)
@@ -229,6 +365,7 @@ export function GameProvider({ children }) {
             setRoom(data.room);
             // Reset all game state
             setIsImposter(false);
+            setImposterPartners([]);
             setSecretWord(null);
             setTopic(null);
             setDescriptions([]);
@@ -244,19 +381,45 @@ export function GameProvider({ children }) {
             setConfirmProgress({ count: 0, total: 0 });
             setChatMessages([]);
             setResults(null);
-            setTimer({ phase: null, remainingSeconds: 0 });
+            setImposterGuess(null);
+            setModeratorState(null);
+            setTimer(NO_TIMER);
             // V1.3: Reset host-ended state
             setHostEndedGame(false);
         });
         
-        // Timer tick - server sends countdown every second
+        // Timer started - V1.4: server sends the deadline once
         socket.on('game:timer', (data) => {
-            setTimer({ phase: data.phase, remainingSeconds: data.remainingSeconds });
+            if (!data.endsAt) {
+                setTimer({ phase: data.phase, remainingSeconds: data.remainingSeconds, endsAt: null });
+                return;
+            }
+            const endsAt = data.endsAt - data.serverTime + Date.now();
+            setTimer({ phase: data.phase, remainingSeconds: getSecondsLeft(endsAt), endsAt });
         });
         
         // V1.2: Room settings updated by host
         socket.on('game:settingsUpdated', (data) => {
             setRoomSettings(data.settings);
+            // V1.4: Room carries the selected pack names
+            if (data.room) {
+                setRoom(data.room);
+            }
+        });
+        
+        // V1.4: Host set or cleared the custom word pack
+        socket.on('room:wordPackUpdated', (data) => {
+            setRoom(data.room);
+        });
+        
+        // V1.4: Host cleared the leaderboard
+        socket.on('room:scoresReset', (data) => {
+            setRoom(data.room);
+        });
+        
+        // V1.4: Host cleared the played-word history
+        socket.on('room:wordHistoryReset', (data) => {
+            setRoom(data.room);
         });
         
         // V1.3: Tie replay started (tie occurred - new round with same imposter)
@@ -283,9 +446,10 @@ export function GameProvider({ children }) {
             setChatMessages([]);
             setCurrentSpeaker(null);
             setResults(null);
+            setImposterGuess(null);
             
             // Clear timer (server will restart it)
-            setTimer({ phase: null, remainingSeconds: 0 });
+            setTimer(NO_TIMER);
             
             // Hide transition after 2.5 seconds
             setTimeout(() => {
@@ -299,10 +463,11 @@ export function GameProvider({ children }) {
             
             // Mark as host-ended
             setHostEndedGame(true);
+            setImposterGuess(null);
             
             // Set results with imposter reveal
             setResults({
-                imposter: data.imposter,
+                imposters: data.imposters,
                 secretWord: data.secretWord,
                 hostEnded: true,
                 votedOutPlayer: null,
@@ -311,7 +476,39 @@ export function GameProvider({ children }) {
             });
             
             // Clear timer
-            setTimer({ phase: null, remainingSeconds: 0 });
+            setTimer(NO_TIMER);
+        });
+        
+        // V1.4: A player toggled their ready state
+        socket.on('player:readyChanged', (data) => {
+            setRoom(data.room);
+        });
+        
+        // V1.4: Host paused / resumed the game (the timer follows as game:timer)
+        socket.on('game:paused', (data) => {
+            setRoom(data.room);
+        });
+        
+        socket.on('game:resumed', (data) => {
+            setRoom(data.room);
+        });
+        
+        // V1.4: Host added time, skipped a turn or ended voting
+        socket.on('game:hostAction', (data) => {
+            setHostAction({ ...data, receivedAt: Date.now() });
+        });
+        
+        // V1.4: Public room list changed (subscribed from Home)
+        socket.on('rooms:updated', (data) => {
+            setPublicRooms(data.rooms || []);
+        });
+        
+        // V1.4: Kicked (or banned) by the host - back to the Home page
+        socket.on('room:kicked', (data) => {
+            clearRoomState(data.roomCode);
+            setError(data.banned
+                ? `You were banned from room ${data.roomCode} by the host.`
+                : `You were removed from room ${data.roomCode} by the host.`);
         });
         
         // Cleanup
@@ -319,9 +516,12 @@ export function GameProvider({ children }) {
             socket.off('player:joined');
             socket.off('player:left');
             socket.off('room:hostChanged');
+            socket.off('player:connectionChanged');
             socket.off('game:roleAssigned');
             socket.off('game:started');
             socket.off('game:phaseChanged');
+            socket.off('game:playerEliminated');
+            socket.off('moderator:state');
             socket.off('game:speakerTurn');
             socket.off('game:descriptionSubmitted');
             socket.off('game:descriptionPhaseEnded');
@@ -332,8 +532,17 @@ export function GameProvider({ children }) {
             socket.off('game:reset');
             socket.off('game:timer');
             socket.off('game:settingsUpdated');
+            socket.off('room:wordPackUpdated');
+            socket.off('room:wordHistoryReset');
+            socket.off('room:scoresReset');
             socket.off('game:tieReplayStarted');
             socket.off('game:endedByHost');
+            socket.off('room:kicked');
+            socket.off('rooms:updated');
+            socket.off('player:readyChanged');
+            socket.off('game:paused');
+            socket.off('game:resumed');
+            socket.off('game:hostAction');
         };
     }, []);
 
@@ -341,12 +550,17 @@ export function GameProvider({ children }) {
     // ACTIONS (emit events to server)
     // =========================================================================
     
-    const createRoom = useCallback((playerName) => {
+    // V1.4: moderator = host takes the god-view seat instead of playing
+    // V1.4: password = optional room password ('' = open room)
+    // V1.4: isPublic = list the room in the public room browser
+    const createRoom = useCallback((playerName, moderator = false, password = '', isPublic = false) => {
         return new Promise((resolve, reject) => {
-            socket.emit('room:create', { playerName }, (response) => {
+            socket.emit('room:create', { playerName, moderator, password, isPublic }, (response) => {
                 if (response.success) {
                     setPlayer(response.player);
                     setRoom(response.room);
+                    setReconnectToken(response.reconnectToken);
+                    saveReconnectToken(response.room.code, response.reconnectToken);
                     // V1.2: Initialize settings from room
                     if (response.room?.settings) {
                         setRoomSettings(response.room.settings);
@@ -360,20 +574,38 @@ export function GameProvider({ children }) {
         });
     }, []);
     
-    const joinRoom = useCallback((roomCode, playerName) => {
+    // V1.4: password is only needed for private rooms (not for rejoining)
+    const joinRoom = useCallback((roomCode, playerName, password) => {
         return new Promise((resolve, reject) => {
-            socket.emit('room:join', { roomCode, playerName }, (response) => {
+            // Send the stored token (if any) so the server can restore our seat
+            const storedToken = loadReconnectToken(roomCode);
+            const payload = storedToken 
+                ? { roomCode, playerName, reconnectToken: storedToken } 
+                : { roomCode, playerName };
+            if (password) {
+                payload.password = password;
+            }
+            
+            socket.emit('room:join', payload, (response) => {
                 if (response.success) {
                     setPlayer(response.player);
                     setRoom(response.room);
+                    setReconnectToken(response.reconnectToken);
+                    saveReconnectToken(response.room.code, response.reconnectToken);
                     
                     // V1.2: Restore settings from room
                     if (response.room?.settings) {
                         setRoomSettings(response.room.settings);
                     }
                     
+                    // V1.4: Moderator seat rejoining mid-game
+                    if (response.moderatorState) {
+                        setModeratorState(response.moderatorState);
+                    }
+                    
                     // V1.1: Handle rejoin state restoration
-                    if (response.isRejoin && response.rejoinState) {
+                    // V1.4: Also sent to spectators joining mid-game
+                    if (response.rejoinState) {
                         const state = response.rejoinState;
                         
                         // V1.2: Restore settings from rejoin state
@@ -385,6 +617,9 @@ export function GameProvider({ children }) {
                         if (state.isImposter !== undefined) {
                             setIsImposter(state.isImposter);
                         }
+                        if (state.imposterPartners) {
+                            setImposterPartners(state.imposterPartners);
+                        }
                         if (state.topic) {
                             setTopic(state.topic);
                         }
@@ -411,7 +646,9 @@ export function GameProvider({ children }) {
                                     id: speaker.id,
                                     name: speaker.name,
                                     index: state.currentSpeakerIndex,
-                                    total: state.speakingOrder.length
+                                    total: state.speakingOrder.length,
+                                    round: state.descriptionRound || 1,         // V1.4
+                                    totalRounds: state.descriptionRounds || 1   // V1.4
                                 });
                             }
                         }
@@ -446,27 +683,118 @@ export function GameProvider({ children }) {
                             setChatMessages(state.chatMessages);
                         }
                         
+                        // V1.4: Restore last-chance guess phase
+                        if (state.imposterGuess) {
+                            setImposterGuess(state.imposterGuess);
+                        }
+                        
                         // Restore results
                         if (state.results) {
+                            const imposterIds = (state.results.imposters || []).map(p => p.id);
+                            // V1.4: Server sends the outcome; a correct guess flips the winner
+                            const playersWin = state.results.playersWin !== undefined
+                                ? state.results.playersWin
+                                : imposterIds.includes(state.results.voteSummary?.[0]?.playerId);
+                            // V1.4: Nobody was voted out when an imposter called it early
+                            const calledEarly = state.results.reason === 'imposterGuessed';
                             setResults({
-                                votedOutPlayer: state.results.voteSummary?.[0] || null,
-                                imposter: state.results.imposter,
-                                playersWin: state.results.imposter && 
-                                    state.results.voteSummary?.[0]?.playerId === state.results.imposter.id,
-                                voteSummary: state.results.voteSummary,
-                                secretWord: state.results.secretWord
+                                votedOutPlayer: calledEarly ? null : state.results.voteSummary?.[0] || null,
+                                imposters: state.results.imposters || [],
+                                playersWin,
+                                reason: state.results.reason,
+                                voteSummary: calledEarly ? [] : state.results.voteSummary,
+                                secretWord: state.results.secretWord,
+                                roundPoints: state.results.roundPoints || {},
+                                imposterGuess: state.results.imposterGuess || null,
+                                eliminations: state.results.eliminations || []
                             });
                         }
                     }
                     
                     resolve(response);
                 } else {
+                    // Stale or foreign token - forget it so the next attempt joins normally
+                    if (response.error === 'INVALID_TOKEN') {
+                        clearReconnectToken(roomCode);
+                    }
                     setError(response.error);
                     reject(response.error);
                 }
             });
         });
     }, []);
+
+    // V1.4: Local countdown to the timer's deadline
+    useEffect(() => {
+        if (!timer.endsAt) return;
+
+        const intervalId = setInterval(() => {
+            setTimer(current => {
+                if (!current.endsAt) return current;
+                const remainingSeconds = getSecondsLeft(current.endsAt);
+                return remainingSeconds === current.remainingSeconds
+                    ? current
+                    : { ...current, remainingSeconds };
+            });
+        }, TIMER_REFRESH_MS);
+
+        return () => clearInterval(intervalId);
+    }, [timer.endsAt]);
+
+    // V1.4: Host action notices clear themselves
+    useEffect(() => {
+        if (!hostAction) return;
+
+        const timeoutId = setTimeout(() => setHostAction(null), HOST_ACTION_NOTICE_MS);
+        return () => clearTimeout(timeoutId);
+    }, [hostAction]);
+
+    // V1.4: The socket came back (network drop or server restart) while we
+    // were in a room - reclaim the seat with the stored reconnect token
+    useEffect(() => {
+        if (!isConnected || !room?.code || !player?.name) return;
+
+        const roomCode = room.code;
+        joinRoom(roomCode, player.name).catch((err) => {
+            console.error('Failed to rejoin after reconnecting:', err);
+            // Room closed, seat given up, or a password is now needed - start over
+            clearRoomState(roomCode);
+            setError(err === 'PASSWORD_REQUIRED'
+                ? `Lost your seat in room ${roomCode}. Enter its password to join again.`
+                : `Could not rejoin room ${roomCode} (${err}).`);
+        });
+    }, [isConnected]);
+
+    // V1.4: Join the fullest open public lobby, or create a public room
+    const quickPlay = useCallback(async (playerName) => {
+        const rooms = await fetchPublicRooms().catch((err) => {
+            setError('Could not load public rooms');
+            throw err;
+        });
+        const openRooms = rooms.filter(r =>
+            (r.phase === 'lobby' || r.phase === 'postGame') && !r.hasPassword && r.playerCount < r.maxPlayers
+        );
+        
+        // Already sorted fullest first
+        if (openRooms.length > 0) {
+            return joinRoom(openRooms[0].code, playerName);
+        }
+        return createRoom(playerName, false, '', true);
+    }, [joinRoom, createRoom]);
+    
+    // V1.4: Live public room list for the Home page
+    const subscribePublicRooms = useCallback(() => {
+        socket.emit('rooms:subscribe', (response) => {
+            if (response.success) {
+                setPublicRooms(response.rooms);
+            }
+        });
+    }, []);
+    
+    const unsubscribePublicRooms = useCallback(() => {
+        socket.emit('rooms:unsubscribe');
+        setPublicRooms([]);
+    }, []);
     
     const startGame = useCallback(() => {
         return new Promise((resolve, reject) => {
@@ -566,6 +894,34 @@ export function GameProvider({ children }) {
         });
     }, []);
     
+    // V1.4: Voted-out imposter's last-chance guess at the secret word
+    const submitImposterGuess = useCallback((guess) => {
+        return new Promise((resolve, reject) => {
+            socket.emit('game:submitImposterGuess', { guess }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    setError(response.error);
+                    reject(response.error);
+                }
+            });
+        });
+    }, []);
+    
+    // V1.4: Imposter ends the game early by guessing the secret word
+    const callImposterGuess = useCallback((guess) => {
+        return new Promise((resolve, reject) => {
+            socket.emit('game:callImposterGuess', { guess }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    setError(response.error);
+                    reject(response.error);
+                }
+            });
+        });
+    }, []);
+    
     // V1.1: Play Again action
     const playAgain = useCallback(() => {
         return new Promise((resolve, reject) => {
@@ -595,6 +951,101 @@ export function GameProvider({ children }) {
         });
     }, []);
     
+    // V1.4: Upload a custom word pack (host only)
+    // Rejects with { error, message } so the Lobby can show validation details
+    const setWordPack = useCallback((content, format, name) => {
+        return new Promise((resolve, reject) => {
+            socket.emit('room:setWordPack', { content, format, name }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(response);
+                }
+            });
+        });
+    }, []);
+    
+    // V1.4: Go back to the built-in topics (host only)
+    const clearWordPack = useCallback(() => {
+        return new Promise((resolve, reject) => {
+            socket.emit('room:clearWordPack', (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(response);
+                }
+            });
+        });
+    }, []);
+    
+    // V1.4: Let already-played words come up again (host only)
+    const resetWordHistory = useCallback(() => {
+        return new Promise((resolve, reject) => {
+            socket.emit('room:resetWordHistory', (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(response);
+                }
+            });
+        });
+    }, []);
+    
+    // V1.4: Clear the room leaderboard (host only)
+    const resetScores = useCallback(() => {
+        return new Promise((resolve, reject) => {
+            socket.emit('room:resetScores', (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(response);
+                }
+            });
+        });
+    }, []);
+    
+    // V1.4: Kick a player from the room, optionally banning them (host only)
+    const kickPlayer = useCallback((playerId, ban = false) => {
+        return new Promise((resolve, reject) => {
+            socket.emit('room:kick', { playerId, ban }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    setError(response.error);
+                    reject(response.error);
+                }
+            });
+        });
+    }, []);
+    
+    // V1.4: Ready-check for the next game (lobby/postGame)
+    const setReady = useCallback((ready) => {
+        return new Promise((resolve, reject) => {
+            socket.emit('room:setReady', { ready }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    setError(response.error);
+                    reject(response.error);
+                }
+            });
+        });
+    }, []);
+    
+    // V1.4: Hand the host role to another player (host only, lobby/postGame)
+    const transferHost = useCallback((playerId) => {
+        return new Promise((resolve, reject) => {
+            socket.emit('room:transferHost', { playerId }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    setError(response.error);
+                    reject(response.error);
+                }
+            });
+        });
+    }, []);
+    
     // V1.3: End game (host only)
     const endGame = useCallback(() => {
         return new Promise((resolve, reject) => {
@@ -609,6 +1060,73 @@ export function GameProvider({ children }) {
         });
     }, []);
     
+    // V1.4: Pause / resume the game (host only)
+    const pauseGame = useCallback(() => {
+        return new Promise((resolve, reject) => {
+            socket.emit('game:pause', (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    setError(response.error);
+                    reject(response.error);
+                }
+            });
+        });
+    }, []);
+    
+    const resumeGame = useCallback(() => {
+        return new Promise((resolve, reject) => {
+            socket.emit('game:resume', (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    setError(response.error);
+                    reject(response.error);
+                }
+            });
+        });
+    }, []);
+    
+    // V1.4: Host controls during a phase
+    const addTime = useCallback((seconds) => {
+        return new Promise((resolve, reject) => {
+            socket.emit('game:addTime', { seconds }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    setError(response.error);
+                    reject(response.error);
+                }
+            });
+        });
+    }, []);
+    
+    const skipTurn = useCallback(() => {
+        return new Promise((resolve, reject) => {
+            socket.emit('game:skipTurn', (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    setError(response.error);
+                    reject(response.error);
+                }
+            });
+        });
+    }, []);
+    
+    const endVoting = useCallback(() => {
+        return new Promise((resolve, reject) => {
+            socket.emit('game:endVoting', (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    setError(response.error);
+                    reject(response.error);
+                }
+            });
+        });
+    }, []);
+    
     // V1.1: Send chat message
     const sendChatMessage = useCallback((text) => {
         return new Promise((resolve, reject) => {
@@ -633,6 +1151,15 @@ export function GameProvider({ children }) {
     
     const isHost = player && room && player.id === room.hostId;
     const phase = room?.phase || 'home';
+    
+    // V1.4: Sitting out the current game (joined mid-game / voted out in multi-elimination / moderator seat)
+    const me = room?.players?.find(p => p.id === player?.id);
+    const isSpectator = !!me?.spectator;
+    const isEliminated = !!me?.eliminated;
+    const isModerator = !!me?.moderator;
+    
+    // V1.4: Host paused the game
+    const isPaused = !!room?.paused;
 
     // =========================================================================
     // CONTEXT VALUE
@@ -644,6 +1171,7 @@ export function GameProvider({ children }) {
         
         // Player & Room
         player,
+        reconnectToken,
         room,
         isHost,
         phase,
@@ -653,6 +1181,12 @@ export function GameProvider({ children }) {
         
         // Game state
         isImposter,
+        imposterPartners,   // V1.4
+        isSpectator,        // V1.4
+        isEliminated,       // V1.4
+        isModerator,        // V1.4
+        isPaused,           // V1.4
+        moderatorState,     // V1.4
         secretWord,
         topic,
         
@@ -682,12 +1216,21 @@ export function GameProvider({ children }) {
         // V1.1: Chat
         chatMessages,
         
+        // V1.4: Last-chance guess
+        imposterGuess,
+        
+        // V1.4: Public room browser
+        publicRooms,
+        
         // Results
         results,
         
         // Timer
         timer,
         
+        // V1.4: Host control notices
+        hostAction,
+        
         // Error
         error,
         clearError,
@@ -695,15 +1238,32 @@ export function GameProvider({ children }) {
         // Actions
         createRoom,
         joinRoom,
+        quickPlay,              // V1.4
+        subscribePublicRooms,   // V1.4
+        unsubscribePublicRooms, // V1.4
         startGame,
         startDescriptionPhase,
         submitDescription,
         submitVote,
         selectVote,
         confirmVote,
+        submitImposterGuess,    // V1.4
+        callImposterGuess,      // V1.4
         sendChatMessage,
         playAgain,
         updateSettings,  // V1.2
+        setWordPack,     // V1.4
+        clearWordPack,   // V1.4
+        resetWordHistory,   // V1.4
+        resetScores,        // V1.4
+        kickPlayer,         // V1.4
+        transferHost,       // V1.4
+        setReady,           // V1.4
+        pauseGame,          // V1.4
+        resumeGame,         // V1.4
+        addTime,            // V1.4
+        skipTurn,           // V1.4
+        endVoting,          // V1.4
         endGame          // V1.3
     };
 
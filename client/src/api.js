@@ -0,0 +1,35 @@
+/**
+ * REST API Helpers (V1.4)
+ * 
+ * Small fetch wrappers for the server's HTTP routes.
+ * Real-time game traffic goes through socket.js; these are for
+ * data that lives outside a room (e.g., the word pack library).
+ */
+
+import { SOCKET_URL } from './socket';
+
+/**
+ * Lists the word packs in the server's library (summaries, no words).
+ * @returns {Promise<Array>} - [{ id, name, topics, wordCount }]
+ */
+export async function fetchWordPacks() {
+    const response = await fetch(`${SOCKET_URL}/api/packs`);
+    if (!response.ok) {
+        throw new Error(`Failed to load word packs (${response.status})`);
+    }
+    const data = await response.json();
+    return data.packs || [];
+}
+
+/**
+ * Lists the public rooms, fullest first (no secrets).
+ * @returns {Promise<Array>} - [{ code, hostName, phase, playerCount, minPlayers, hasPassword, settings }]
+ */
+export async function fetchPublicRooms() {
+    const response = await fetch(`${SOCKET_URL}/api/rooms`);
+    if (!response.ok) {
+        throw new Error(`Failed to load public rooms (${response.status})`);
+    }
+    const data = await response.json();
+    return data.rooms || [];
+}
@@ -0,0 +1,112 @@
+/**
+ * Call It Button Component (V1.4)
+ *
+ * Lets an imposter end the game early by guessing the secret word.
+ * Shows a modal with the guess input before sending it.
+ *
+ * Visibility:
+ * - Only visible to imposters
+ * - Only during the description and voting phases
+ *
+ * A right guess wins for the imposters, a wrong guess loses -
+ * the server decides and broadcasts the results to everyone.
+ */
+
+import { useState } from 'react';
+import { useGame } from '../GameContext';
+
+export default function CallItButton() {
+    const { isImposter, phase, topic, callImposterGuess } = useGame();
+    const [showConfirm, setShowConfirm] = useState(false);
+    const [guess, setGuess] = useState('');
+    const [isCalling, setIsCalling] = useState(false);
+    const [callError, setCallError] = useState(null);
+
+    // Only imposters, and only while the round is still being played
+    const activePhases = ['description', 'voting'];
+    if (!isImposter || !activePhases.includes(phase)) {
+        return null;
+    }
+
+    const handleClose = () => {
+        setShowConfirm(false);
+        setCallError(null);
+    };
+
+    const handleCallIt = async (e) => {
+        e.preventDefault();
+        if (!guess.trim()) return;
+
+        setIsCalling(true);
+        setCallError(null);
+        try {
+            await callImposterGuess(guess.trim());
+            setShowConfirm(false);
+            setGuess('');
+        } catch (err) {
+            setCallError('Could not submit your guess');
+            console.error('Failed to call imposter guess:', err);
+        } finally {
+            setIsCalling(false);
+        }
+    };
+
+    return (
+        <>
+            <button
+                className="call-it-button"
+                onClick={() => setShowConfirm(true)}
+                title="End the game now by guessing the secret word"
+            >
+                🎯 I Know the Word!
+            </button>
+
+            {/* Guess Modal */}
+            {showConfirm && (
+                <div className="end-game-modal-overlay" onClick={handleClose}>
+                    <form
+                        className="end-game-modal call-it-modal"
+                        onClick={e => e.stopPropagation()}
+                        onSubmit={handleCallIt}
+                    >
+                        <h3>🎯 Call It?</h3>
+                        <p>
+                            Guess the secret word{topic && <> in <strong>{topic}</strong></>}.
+                            Right and the imposters win. Wrong and you lose - right now.
+                        </p>
+
+                        <input
+                            type="text"
+                            value={guess}
+                            onChange={(e) => setGuess(e.target.value)}
+                            placeholder="The secret word is..."
+                            maxLength={50}
+                            disabled={isCalling}
+                            autoFocus
+                        />
+
+                        {callError && <p className="error">{callError}</p>}
+
+                        <div className="end-game-modal-buttons">
+                            <button
+                                type="button"
+                                className="cancel-btn"
+                                onClick={handleClose}
+                                disabled={isCalling}
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                className="confirm-end-btn"
+                                disabled={isCalling || !guess.trim()}
+                            >
+                                {isCalling ? 'Guessing...' : 'Lock It In'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,51 @@
+/**
+ * Description List Component (V1.4)
+ *
+ * Renders attributed descriptions with avatars, grouped by description round.
+ * Round headings are only shown once there is more than one round.
+ *
+ * Props:
+ * - descriptions: [{ playerId, playerName, description, round?, isAutoSubmit? }]
+ */
+
+import Avatar from './Avatar';
+
+export default function DescriptionList({ descriptions }) {
+    // Group by round, keeping the order descriptions were given in
+    const rounds = [];
+    for (const d of descriptions) {
+        const round = d.round || 1;
+        let group = rounds.find(r => r.round === round);
+        if (!group) {
+            group = { round, items: [] };
+            rounds.push(group);
+        }
+        group.items.push(d);
+    }
+
+    const showHeadings = rounds.length > 1;
+
+    return (
+        <>
+            {rounds.map(({ round, items }) => (
+                <div key={round} className="description-round">
+                    {showHeadings && <h4 className="description-round-label">Round {round}</h4>}
+                    <ul>
+                        {items.map((d, index) => (
+                            <li key={index} className={d.isAutoSubmit ? 'auto-submit' : ''}>
+                                <Avatar
+                                    seed={d.playerId || d.playerName}
+                                    size={28}
+                                    className="avatar-sm"
+                                />
+                                <span className="description-content">
+                                    <strong>{d.playerName}:</strong> "{d.description}"
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            ))}
+        </>
+    );
+}
@@ -0,0 +1,41 @@
+/**
+ * Elimination History Component (V1.4)
+ *
+ * Lists every vote of a multi-elimination game in order:
+ * who was voted out each round and whether they were an imposter.
+ * Renders nothing for games without eliminations.
+ *
+ * Props:
+ * - eliminations: [{ round, playerId, playerName, wasImposter, votes }]
+ */
+
+import Avatar from './Avatar';
+
+export default function EliminationHistory({ eliminations }) {
+    if (!eliminations || eliminations.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="elimination-history">
+            <h3>👻 Eliminations</h3>
+            <ol>
+                {eliminations.map((e) => (
+                    <li key={e.round} className={e.wasImposter ? 'imposter' : ''}>
+                        <Avatar
+                            seed={e.playerId || e.playerName}
+                            size={28}
+                            className="avatar-sm"
+                            highlighted={e.wasImposter}
+                        />
+                        <span>
+                            Round {e.round}: <strong>{e.playerName}</strong>
+                            {' '}({e.votes} vote{e.votes !== 1 ? 's' : ''})
+                            {e.wasImposter ? ' 🎭 Imposter!' : ' - not the imposter'}
+                        </span>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+}
@@ -6,7 +6,7 @@
  * 
  * Visibility:
  * - Only visible to the host
- * - Only during active game phases (roleReveal, description, voting)
+ * - Only during active game phases (roleReveal, description, voting, imposterGuess)
  * - Hidden in lobby and postGame
  */
 
@@ -19,7 +19,7 @@ export default function EndGameButton() {
     const [isEnding, setIsEnding] = useState(false);
     
     // Only show during active game phases and only for host
-    const activePhases = ['roleReveal', 'description', 'voting'];
+    const activePhases = ['roleReveal', 'description', 'voting', 'imposterGuess'];
     if (!isHost || !activePhases.includes(phase)) {
         return null;
     }
@@ -31,13 +31,17 @@
 
 import { useGame } from '../GameContext';
 import EndGameButton from './EndGameButton';
+import PauseButton from './PauseButton';
+import PausedOverlay from './PausedOverlay';
+import HostControls from './HostControls';
+import HostActionNotice from './HostActionNotice';
 
 export default function GameLayout({ children }) {
     const { room, phase } = useGame();
     
     // Only apply game layout when in an active game phase
     // Home page and lobby use the simple container layout
-    const isGamePhase = room && ['roleReveal', 'description', 'voting', 'results', 'postGame'].includes(phase);
+    const isGamePhase = room && ['roleReveal', 'description', 'voting', 'imposterGuess', 'results', 'postGame'].includes(phase);
     
     if (!isGamePhase) {
         // For non-game phases (home, lobby), render children without the game layout
@@ -46,8 +50,16 @@ export default function GameLayout({ children }) {
     
     return (
         <div className="game-layout">
-            {/* V1.3: End Game button - visible to host during active phases */}
-            <EndGameButton />
+            {/* V1.4: Host toolbar - add time / skip turn / end voting, pause, end game */}
+            <div className="host-toolbar">
+                <HostControls />
+                <PauseButton />
+                {/* V1.3: End Game button - visible to host during active phases */}
+                <EndGameButton />
+            </div>
+            {/* V1.4: What the host did, and the overlay everyone sees while paused */}
+            <HostActionNotice />
+            <PausedOverlay />
             {children}
         </div>
     );
@@ -0,0 +1,35 @@
+/**
+ * Host Action Notice Component (V1.4)
+ * 
+ * Briefly tells everyone what the host did with HostControls
+ * (added time, skipped a turn, ended voting).
+ */
+
+import { useGame } from '../GameContext';
+
+export default function HostActionNotice() {
+    const { hostAction } = useGame();
+    
+    if (!hostAction) return null;
+    
+    let message;
+    switch (hostAction.action) {
+        case 'addTime':
+            message = `⏱️ ${hostAction.hostName} added ${hostAction.seconds}s`;
+            break;
+        case 'skipTurn':
+            message = `⏭️ ${hostAction.hostName} skipped ${hostAction.playerName}'s turn`;
+            break;
+        case 'endVoting':
+            message = `🗳️ ${hostAction.hostName} ended voting early`;
+            break;
+        default:
+            return null;
+    }
+    
+    return (
+        <div className="host-action-notice" key={hostAction.receivedAt}>
+            {message}
+        </div>
+    );
+}
@@ -0,0 +1,71 @@
+/**
+ * Host Controls Component (V1.4)
+ * 
+ * Lets the host step in during a phase, next to Pause and End Game:
+ * - +30s: Adds time to the running timer (any timed phase)
+ * - Skip Turn: Ends an AFK speaker's turn with "(No response)" (description)
+ * - End Voting: Counts the votes now instead of waiting for the timer (voting)
+ * 
+ * Every player sees what the host did through HostActionNotice.
+ */
+
+import { useState } from 'react';
+import { useGame } from '../GameContext';
+
+const ADD_TIME_SECONDS = 30;
+
+export default function HostControls() {
+    const { isHost, phase, timer, addTime, skipTurn, endVoting } = useGame();
+    const [isBusy, setIsBusy] = useState(false);
+    
+    const activePhases = ['roleReveal', 'description', 'voting', 'imposterGuess'];
+    if (!isHost || !activePhases.includes(phase)) {
+        return null;
+    }
+    
+    const run = async (action) => {
+        setIsBusy(true);
+        try {
+            await action();
+        } catch (err) {
+            console.error('Host control failed:', err);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+    
+    return (
+        <>
+            {timer.phase && (
+                <button
+                    className="host-control-button"
+                    onClick={() => run(() => addTime(ADD_TIME_SECONDS))}
+                    disabled={isBusy}
+                    title={`Add ${ADD_TIME_SECONDS} seconds to the clock`}
+                >
+                    ⏱️ +{ADD_TIME_SECONDS}s
+                </button>
+            )}
+            {phase === 'description' && (
+                <button
+                    className="host-control-button"
+                    onClick={() => run(skipTurn)}
+                    disabled={isBusy}
+                    title="Skip the current speaker's turn"
+                >
+                    ⏭️ Skip Turn
+                </button>
+            )}
+            {phase === 'voting' && (
+                <button
+                    className="host-control-button"
+                    onClick={() => run(endVoting)}
+                    disabled={isBusy}
+                    title="Count the votes now"
+                >
+                    🗳️ End Voting
+                </button>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,73 @@
+/**
+ * Leaderboard Component (V1.4)
+ * 
+ * Running scores for everyone in the room, kept across games.
+ * Points are awarded by the server when a game's results are in:
+ * - Voting for an imposter
+ * - Surviving as an imposter
+ * - Guessing the secret word as an imposter
+ * 
+ * Shows the points each player earned in the last game next to their total.
+ * The host can reset the scores.
+ */
+
+import { useState } from 'react';
+import { useGame } from '../GameContext';
+import Avatar from './Avatar';
+
+export default function Leaderboard() {
+    const { room, player, isHost, results, resetScores } = useGame();
+    const [isResetting, setIsResetting] = useState(false);
+    
+    const leaderboard = room?.leaderboard || [];
+    const roundPoints = results?.roundPoints || {};
+    
+    if (leaderboard.length === 0) {
+        return null;
+    }
+    
+    const handleReset = async () => {
+        setIsResetting(true);
+        try {
+            await resetScores();
+        } catch (err) {
+            console.error('Failed to reset scores:', err);
+        } finally {
+            setIsResetting(false);
+        }
+    };
+    
+    return (
+        <div className="leaderboard">
+            <h3>🏆 Leaderboard</h3>
+            <ol>
+                {leaderboard.map((entry) => (
+                    <li 
+                        key={entry.playerId} 
+                        className={entry.playerId === player?.id ? 'you' : ''}
+                    >
+                        <Avatar 
+                            seed={entry.playerId || entry.name}
+                            size={28}
+                            className="avatar-sm"
+                        />
+                        <span className="leaderboard-name">{entry.name}</span>
+                        {roundPoints[entry.playerId] > 0 && (
+                            <span className="leaderboard-gain">+{roundPoints[entry.playerId]}</span>
+                        )}
+                        <span className="leaderboard-points">{entry.points}</span>
+                    </li>
+                ))}
+            </ol>
+            {isHost && (
+                <button 
+                    onClick={handleReset}
+                    disabled={isResetting || leaderboard.every(e => e.points === 0)}
+                    className="secondary reset-scores-btn"
+                >
+                    Reset Scores
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,45 @@
+/**
+ * Pause Button Component (V1.4)
+ * 
+ * Lets the host pause the game clock (doorbell, phone call...).
+ * While paused, PausedOverlay covers the game and offers Resume.
+ * 
+ * Visibility:
+ * - Only visible to the host
+ * - Only during active game phases (roleReveal, description, voting, imposterGuess)
+ */
+
+import { useState } from 'react';
+import { useGame } from '../GameContext';
+
+export default function PauseButton() {
+    const { isHost, phase, isPaused, pauseGame } = useGame();
+    const [isPausing, setIsPausing] = useState(false);
+    
+    const activePhases = ['roleReveal', 'description', 'voting', 'imposterGuess'];
+    if (!isHost || isPaused || !activePhases.includes(phase)) {
+        return null;
+    }
+    
+    const handlePause = async () => {
+        setIsPausing(true);
+        try {
+            await pauseGame();
+        } catch (err) {
+            console.error('Failed to pause game:', err);
+        } finally {
+            setIsPausing(false);
+        }
+    };
+    
+    return (
+        <button
+            className="pause-button"
+            onClick={handlePause}
+            disabled={isPausing}
+            title="Pause the game clock"
+        >
+            ⏸️ Pause
+        </button>
+    );
+}
@@ -0,0 +1,54 @@
+/**
+ * Paused Overlay Component (V1.4)
+ * 
+ * Covers every game page while the host has the game paused.
+ * Shows the time frozen on the clock; the host gets the Resume button.
+ */
+
+import { useState } from 'react';
+import { useGame } from '../GameContext';
+
+export default function PausedOverlay() {
+    const { isPaused, isHost, timer, resumeGame, error } = useGame();
+    const [isResuming, setIsResuming] = useState(false);
+    
+    if (!isPaused) return null;
+    
+    const handleResume = async () => {
+        setIsResuming(true);
+        try {
+            await resumeGame();
+        } catch (err) {
+            console.error('Failed to resume game:', err);
+        } finally {
+            setIsResuming(false);
+        }
+    };
+    
+    return (
+        <div className="paused-overlay">
+            <div className="paused-content">
+                <div className="paused-icon">⏸️</div>
+                <h1>Paused</h1>
+                {timer.phase && (
+                    <p className="paused-subtitle">{timer.remainingSeconds}s left on the clock</p>
+                )}
+                
+                {isHost ? (
+                    <>
+                        {error && <p className="error">{error}</p>}
+                        <button
+                            className="resume-button"
+                            onClick={handleResume}
+                            disabled={isResuming}
+                        >
+                            {isResuming ? 'Resuming...' : '▶️ Resume'}
+                        </button>
+                    </>
+                ) : (
+                    <p className="paused-subtitle">Waiting for the host to resume...</p>
+                )}
+            </div>
+        </div>
+    );
+}
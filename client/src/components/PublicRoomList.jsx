@@ -0,0 +1,48 @@
+/**
+ * Public Room List Component (V1.4)
+ *
+ * Rooms whose host listed them as public, fullest first.
+ * Picking one fills in the join form (with the password field for
+ * private rooms); players joining a running game become spectators.
+ *
+ * Props:
+ * - rooms: [{ code, hostName, phase, playerCount, minPlayers, maxPlayers, hasPassword, settings }]
+ * - onSelect: called with the picked room
+ * - disabled: disables the Join buttons
+ */
+
+const PHASE_LABELS = {
+    lobby: 'Waiting',
+    postGame: 'Between games'
+};
+
+export default function PublicRoomList({ rooms, onSelect, disabled }) {
+    return (
+        <div className="public-room-list">
+            <h3>🌐 Public Rooms</h3>
+
+            {rooms.length === 0 ? (
+                <p className="setting-hint">No public rooms right now - Quick Play will open one.</p>
+            ) : (
+                <ul>
+                    {rooms.map((r) => (
+                        <li key={r.code}>
+                            <span className="public-room-info">
+                                <strong>{r.hostName}'s room</strong>
+                                {r.hasPassword && ' 🔒'}
+                                <span className="setting-hint">
+                                    {r.playerCount}/{r.maxPlayers} players · {PHASE_LABELS[r.phase] || 'In game'}
+                                    {' · '}{r.settings.imposterCount} imposter{r.settings.imposterCount !== 1 ? 's' : ''}
+                                    {r.settings.multiElimination && ' · multi-elimination'}
+                                </span>
+                            </span>
+                            <button onClick={() => onSelect(r)} disabled={disabled}>
+                                Join
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,41 @@
+/**
+ * Ready Button Component (V1.4)
+ *
+ * Lets a player toggle their ready state for the next game.
+ * Hidden for the host (starting the game is their "ready"), the moderator,
+ * and spectators still waiting for a lobby seat.
+ */
+
+import { useState } from 'react';
+import { useGame } from '../GameContext';
+
+export default function ReadyButton() {
+    const { room, player, isHost, setReady } = useGame();
+    const [saving, setSaving] = useState(false);
+
+    const me = room?.players?.find(p => p.id === player?.id);
+    if (!me || isHost || me.moderator || (room.phase === 'lobby' && me.spectator)) {
+        return null;
+    }
+
+    const handleToggle = async () => {
+        setSaving(true);
+        try {
+            await setReady(!me.ready);
+        } catch (err) {
+            console.error('Failed to change ready state:', err);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <button
+            onClick={handleToggle}
+            disabled={saving}
+            className={`ready-button ${me.ready ? 'ready' : ''}`}
+        >
+            {me.ready ? '✅ Ready - tap to undo' : '✋ I\'m Ready'}
+        </button>
+    );
+}
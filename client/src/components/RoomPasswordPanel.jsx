@@ -0,0 +1,86 @@
+/**
+ * Room Password Panel Component (V1.4)
+ *
+ * Shows whether the room is private and lets the host set, change or
+ * remove the room password. The password itself never comes back from
+ * the server - only room.hasPassword.
+ */
+
+import { useState } from 'react';
+import { useGame } from '../GameContext';
+
+export default function RoomPasswordPanel() {
+    const { room, isHost, updateSettings } = useGame();
+    const [password, setPassword] = useState('');
+    const [passwordError, setPasswordError] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const hasPassword = !!room?.hasPassword;
+
+    // '' removes the password
+    const savePassword = async (value) => {
+        setPasswordError(null);
+        setIsSaving(true);
+        try {
+            await updateSettings({ password: value });
+            setPassword('');
+        } catch (err) {
+            setPasswordError('Failed to update room password');
+            console.error('Room password update failed:', err);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="room-password-panel">
+            <h4>{hasPassword ? '🔒 Private Room' : '🔓 Open Room'}</h4>
+            <p className="setting-hint">
+                {hasPassword
+                    ? 'New players need the password to join.'
+                    : 'Anyone with the room code can join.'}
+            </p>
+
+            {isHost && (
+                <div className="room-password-form">
+                    {passwordError && (
+                        <div className="settings-error">{passwordError}</div>
+                    )}
+
+                    <div className="form-group">
+                        <input
+                            type="password"
+                            value={password}
+                            onChange={(e) => {
+                                setPassword(e.target.value);
+                                setPasswordError(null);
+                            }}
+                            placeholder={hasPassword ? 'New password' : 'Set a password'}
+                            maxLength={32}
+                            disabled={isSaving}
+                        />
+                    </div>
+
+                    <div className="room-password-actions">
+                        <button
+                            onClick={() => savePassword(password)}
+                            disabled={!password || isSaving}
+                            className="secondary"
+                        >
+                            {hasPassword ? 'Change Password' : 'Set Password'}
+                        </button>
+                        {hasPassword && (
+                            <button
+                                onClick={() => savePassword('')}
+                                disabled={isSaving}
+                                className="secondary"
+                            >
+                                Remove Password
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,223 @@
+/**
+ * Word Pack Panel Component (V1.4)
+ *
+ * Lets the host replace the built-in topics with custom word packs.
+ * - Pick one or more packs from the server's library
+ * - Paste JSON/CSV into the text area or load a .json/.csv file
+ * - Server validates the pack and keeps it for every following game
+ * - Everyone sees the active packs' names and topics (never the words)
+ * - Shows how many words have been played; host can reset that history
+ *
+ * Accepted formats:
+ *   JSON: { "name": "...", "topics": [{ "topic": "Fruits", "words": ["Apple", ...] }] }
+ *   CSV:  Fruits,Apple,Mango,Banana  (one topic per line)
+ */
+
+import { useState, useEffect } from 'react';
+import { useGame } from '../GameContext';
+import { fetchWordPacks } from '../api';
+
+const PACK_PLACEHOLDER = `Fruits,Apple,Mango,Banana
+Animals,Tiger,Dog,Penguin
+
+or JSON: [{ "topic": "Fruits", "words": ["Apple", "Mango"] }]`;
+
+export default function WordPackPanel() {
+    const { 
+        room, 
+        isHost, 
+        roomSettings, 
+        setWordPack, 
+        clearWordPack, 
+        resetWordHistory, 
+        updateSettings 
+    } = useGame();
+    const [content, setContent] = useState('');
+    const [fileName, setFileName] = useState(null);
+    const [packError, setPackError] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [libraryPacks, setLibraryPacks] = useState([]);
+
+    const wordPack = room?.wordPack;
+    const selectedPacks = room?.selectedPacks || [];
+    const selectedIds = roomSettings?.wordPackIds || [];
+    const wordHistory = room?.wordHistory;
+
+    // Host loads the library once to pick from
+    useEffect(() => {
+        if (!isHost) return;
+
+        fetchWordPacks()
+            .then(setLibraryPacks)
+            .catch((err) => console.error('Failed to load word pack library:', err));
+    }, [isHost]);
+
+    const handleTogglePack = async (packId) => {
+        setPackError(null);
+        const wordPackIds = selectedIds.includes(packId)
+            ? selectedIds.filter(id => id !== packId)
+            : [...selectedIds, packId];
+
+        try {
+            await updateSettings({ wordPackIds });
+        } catch (err) {
+            setPackError('Failed to select word pack');
+            console.error('Word pack selection failed:', err);
+        }
+    };
+
+    // Read an uploaded file into the text area
+    const handleFileChange = (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            setContent(String(reader.result || ''));
+            setFileName(file.name);
+            setPackError(null);
+        };
+        reader.onerror = () => setPackError('Could not read file');
+        reader.readAsText(file);
+
+        // Allow re-selecting the same file
+        e.target.value = '';
+    };
+
+    const handleUpload = async () => {
+        setPackError(null);
+        setIsSaving(true);
+
+        // Format is taken from the file extension, otherwise detected by the server
+        let format;
+        if (fileName?.toLowerCase().endsWith('.csv')) format = 'csv';
+        if (fileName?.toLowerCase().endsWith('.json')) format = 'json';
+        const name = fileName ? fileName.replace(/\.(json|csv|txt)$/i, '') : undefined;
+
+        try {
+            await setWordPack(content, format, name);
+            setContent('');
+            setFileName(null);
+        } catch (err) {
+            setPackError(err?.message || 'Failed to upload word pack');
+            console.error('Word pack upload failed:', err);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleClear = async () => {
+        setPackError(null);
+        try {
+            await clearWordPack();
+        } catch (err) {
+            setPackError('Failed to clear word pack');
+            console.error('Word pack clear failed:', err);
+        }
+    };
+
+    const handleResetHistory = async () => {
+        setPackError(null);
+        try {
+            await resetWordHistory();
+        } catch (err) {
+            setPackError('Failed to reset word history');
+            console.error('Word history reset failed:', err);
+        }
+    };
+
+    return (
+        <div className="word-pack-panel">
+            <h4>📚 Word Pack</h4>
+
+            {wordPack || selectedPacks.length > 0 ? (
+                [wordPack, ...selectedPacks].filter(Boolean).map((pack) => (
+                    <div key={pack.id || 'uploaded'} className="word-pack-summary">
+                        <span className="word-pack-name">{pack.name}</span>
+                        <span className="word-pack-count">
+                            {pack.topics.length} topic{pack.topics.length !== 1 ? 's' : ''}, {pack.wordCount} words
+                        </span>
+                        <span className="word-pack-topics">{pack.topics.join(', ')}</span>
+                    </div>
+                ))
+            ) : (
+                <p className="word-pack-summary">Built-in topics</p>
+            )}
+
+            {wordHistory && (
+                <div className="word-history">
+                    <span className="setting-hint">
+                        {wordHistory.used} of {wordHistory.total} words played
+                    </span>
+                    {isHost && wordHistory.used > 0 && (
+                        <button onClick={handleResetHistory} className="secondary">
+                            Reset Word History
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {isHost && (
+                <div className="word-pack-form">
+                    {packError && (
+                        <div className="settings-error">{packError}</div>
+                    )}
+
+                    {/* Library packs */}
+                    {libraryPacks.length > 0 && (
+                        <div className="word-pack-library">
+                            {libraryPacks.map((pack) => (
+                                <div key={pack.id} className="setting-row setting-checkbox">
+                                    <label>
+                                        <input
+                                            type="checkbox"
+                                            checked={selectedIds.includes(pack.id)}
+                                            onChange={() => handleTogglePack(pack.id)}
+                                        />
+                                        {pack.name}
+                                        <span className="setting-hint">
+                                            {pack.topics.length} topics, {pack.wordCount} words
+                                        </span>
+                                    </label>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <textarea
+                        value={content}
+                        onChange={(e) => {
+                            setContent(e.target.value);
+                            setPackError(null);
+                        }}
+                        placeholder={PACK_PLACEHOLDER}
+                        rows={4}
+                    />
+
+                    <div className="word-pack-actions">
+                        <label className="word-pack-file secondary">
+                            {fileName || 'Load file…'}
+                            <input
+                                type="file"
+                                accept=".json,.csv,.txt"
+                                onChange={handleFileChange}
+                            />
+                        </label>
+                        <button
+                            onClick={handleUpload}
+                            disabled={!content.trim() || isSaving}
+                            className="secondary"
+                        >
+                            {isSaving ? 'Uploading...' : 'Use Pack'}
+                        </button>
+                        {wordPack && (
+                            <button onClick={handleClear} className="secondary">
+                                Remove Upload
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -13,6 +13,13 @@
  * V1.2 AVATARS:
  * - Speaking order shows avatars with speaking state
  * - Live descriptions include player avatars
+ *
+ * V1.4: Imposters can end the game early with a word guess (CallItButton)
+ * V1.4: Multiple description rounds - the speaking order repeats and the
+ *       live feed is grouped by round
+ * V1.4: Multi-elimination - shows who was voted out last; eliminated
+ *       players watch without speaking
+ * V1.4: Spectators (joined mid-game) see the topic but never the word
  * 
  * IMPLEMENTATION:
  * - Uses CSS classes (game-panel-left/center/right) for positioning
@@ -23,19 +30,25 @@
 import { useState, useEffect } from 'react';
 import { useGame } from '../GameContext';
 import Avatar from '../components/Avatar';
+import CallItButton from '../components/CallItButton';
+import DescriptionList from '../components/DescriptionList';
 
 export default function DescriptionPhase() {
     const { 
+        room,
         player,
         topic,
         isImposter,
         secretWord,
+        isEliminated,
+        isSpectator,
         submitDescription,
         hasSubmittedDescription,
         submissionProgress,
         speakingOrder,
         currentSpeaker,
         liveDescriptions,
+        roomSettings,
         timer,
         error,
         clearError 
@@ -47,8 +60,17 @@ export default function DescriptionPhase() {
     // Check if current player is the active speaker
     const isMyTurn = currentSpeaker && player && currentSpeaker.id === player.id;
     
-    // Check if player has already spoken
-    const hasSpoken = liveDescriptions.some(d => d.playerId === player?.id);
+    // V1.4: Speaking state is per description round
+    const currentRound = currentSpeaker?.round || 1;
+    const totalRounds = currentSpeaker?.totalRounds || roomSettings?.descriptionRounds || 1;
+    const roundDescriptions = liveDescriptions.filter(d => (d.round || 1) === currentRound);
+    
+    // Check if player has already spoken this round
+    const hasSpoken = roundDescriptions.some(d => d.playerId === player?.id);
+    
+    // V1.4: Multi-elimination state
+    const eliminations = room?.eliminations || [];
+    const lastElimination = eliminations[eliminations.length - 1];
 
     // Reset description input when it becomes the player's turn
     useEffect(() => {
@@ -81,11 +103,15 @@ export default function DescriptionPhase() {
             <div className="game-panel-left">
                 <div className="speaking-order">
                     <h3>Speaking Order</h3>
+                    {totalRounds > 1 && (
+                        <p className="round-indicator">Round {currentRound} of {totalRounds}</p>
+                    )}
                     <div className="order-list">
                         {speakingOrder.map((speaker, index) => {
-                            const hasSpokenAlready = liveDescriptions.some(d => d.playerId === speaker.id);
+                            const hasSpokenAlready = roundDescriptions.some(d => d.playerId === speaker.id);
                             const isCurrent = currentSpeaker && speaker.id === currentSpeaker.id;
                             const isMe = player && speaker.id === player.id;
+                            const isDisconnected = room?.players?.some(p => p.id === speaker.id && p.connected === false);
                             
                             return (
                                 <div 
@@ -97,6 +123,7 @@ export default function DescriptionPhase() {
                                         size={32}
                                         className="avatar-sm"
                                         speaking={isCurrent && !hasSpokenAlready}
+                                        disconnected={isDisconnected}
                                     />
                                     <span className="speaker-number">{index + 1}.</span>
                                     <span className="speaker-name">
@@ -139,7 +166,13 @@ export default function DescriptionPhase() {
                         <strong>{topic}</strong>
                     </div>
                     
-                    {!isImposter && (
+                    {isSpectator && (
+                        <div className="spectator-notice">
+                            👀 You joined mid-game and are spectating - you will play from the next game
+                        </div>
+                    )}
+                    
+                    {!isImposter && !isSpectator && (
                         <div className="word-reminder">
                             Secret word: <strong>{secretWord}</strong>
                         </div>
@@ -151,13 +184,27 @@ export default function DescriptionPhase() {
                         </div>
                     )}
                     
+                    {/* V1.4: Imposter-only early guess */}
+                    <CallItButton />
+                    
+                    {/* V1.4: Multi-elimination - last player voted out */}
+                    {lastElimination && (
+                        <div className="elimination-banner">
+                            👻 <strong>{lastElimination.playerName}</strong> was eliminated - they were not the imposter.
+                            {' '}{speakingOrder.length} players remain.
+                        </div>
+                    )}
+                    
                     {/* Speaking order - shown here on mobile only */}
                     <div className="mobile-only">
                         <div className="speaking-order">
                             <h3>Speaking Order</h3>
+                            {totalRounds > 1 && (
+                                <p className="round-indicator">Round {currentRound} of {totalRounds}</p>
+                            )}
                             <div className="order-list">
                                 {speakingOrder.map((speaker, index) => {
-                                    const hasSpokenAlready = liveDescriptions.some(d => d.playerId === speaker.id);
+                                    const hasSpokenAlready = roundDescriptions.some(d => d.playerId === speaker.id);
                                     const isCurrent = currentSpeaker && speaker.id === currentSpeaker.id;
                                     const isMe = player && speaker.id === player.id;
                                     
@@ -237,7 +284,13 @@ export default function DescriptionPhase() {
                     {/* Waiting message for non-current players */}
                     {!isMyTurn && !hasSpoken && (
                         <div className="waiting-message">
-                            <p>👀 Watch the descriptions and prepare yours!</p>
+                            <p>
+                                {isEliminated
+                                    ? '👻 You were eliminated - watch the others try to find the imposter.'
+                                    : isSpectator
+                                        ? '👀 Watch the descriptions - can you spot the imposter?'
+                                        : '👀 Watch the descriptions and prepare yours!'}
+                            </p>
                         </div>
                     )}
                     
@@ -253,20 +306,7 @@ export default function DescriptionPhase() {
                     {liveDescriptions.length > 0 && (
                         <div className="live-descriptions">
                             <h3>Descriptions So Far</h3>
-                            <ul>
-                                {liveDescriptions.map((d, index) => (
-                                    <li key={index} className={d.isAutoSubmit ? 'auto-submit' : ''}>
-                                        <Avatar 
-                                            seed={d.playerId || d.playerName}
-                                            size={28}
-                                            className="avatar-sm"
-                                        />
-                                        <span className="description-content">
-                                            <strong>{d.playerName}:</strong> "{d.description}"
-                                        </span>
-                                    </li>
-                                ))}
-                            </ul>
+                            <DescriptionList descriptions={liveDescriptions} />
                         </div>
                     )}
                     
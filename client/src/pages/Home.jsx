@@ -4,19 +4,48 @@
  * Entry point for players.
  * - Input player name
  * - Create new room OR join existing room
+ * - V1.4: Room creators can take the moderator seat (watch with the word
+ *   and imposters visible instead of playing)
+ * - V1.4: Optional room password; the join form asks for it when the
+ *   server says the room is private
+ * - V1.4: Public room browser and Quick Play (join the fullest open public
+ *   lobby, or create a public room)
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useGame } from '../GameContext';
+import PublicRoomList from '../components/PublicRoomList';
 
 export default function Home() {
-    const { createRoom, joinRoom, error, clearError, isConnected } = useGame();
+    const { 
+        createRoom, 
+        joinRoom, 
+        quickPlay, 
+        publicRooms, 
+        subscribePublicRooms, 
+        unsubscribePublicRooms, 
+        error, 
+        clearError, 
+        isConnected 
+    } = useGame();
     
     const [playerName, setPlayerName] = useState('');
     const [roomCode, setRoomCode] = useState('');
     const [isJoining, setIsJoining] = useState(false);
+    const [asModerator, setAsModerator] = useState(false);
+    const [password, setPassword] = useState('');                 // V1.4
+    const [needsPassword, setNeedsPassword] = useState(false);    // V1.4: Joining a private room
+    const [isPublic, setIsPublic] = useState(false);              // V1.4
     const [loading, setLoading] = useState(false);
 
+    // V1.4: Live public room list while on this page
+    useEffect(() => {
+        if (!isConnected) return;
+        
+        subscribePublicRooms();
+        return () => unsubscribePublicRooms();
+    }, [isConnected, subscribePublicRooms, unsubscribePublicRooms]);
+
     const handleCreateRoom = async () => {
         if (!playerName.trim()) return;
         
@@ -24,7 +53,7 @@ export default function Home() {
         clearError();
         
         try {
-            await createRoom(playerName.trim());
+            await createRoom(playerName.trim(), asModerator, password, isPublic);
         } catch (err) {
             console.error('Failed to create room:', err);
         } finally {
@@ -39,14 +68,42 @@ export default function Home() {
         clearError();
         
         try {
-            await joinRoom(roomCode.trim().toUpperCase(), playerName.trim());
+            await joinRoom(roomCode.trim().toUpperCase(), playerName.trim(), password);
         } catch (err) {
             console.error('Failed to join room:', err);
+            if (err === 'PASSWORD_REQUIRED' || err === 'WRONG_PASSWORD') {
+                setNeedsPassword(true);
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // V1.4: Fullest open public lobby, or a new public room
+    const handleQuickPlay = async () => {
+        if (!playerName.trim()) return;
+        
+        setLoading(true);
+        clearError();
+        
+        try {
+            await quickPlay(playerName.trim());
+        } catch (err) {
+            console.error('Quick Play failed:', err);
         } finally {
             setLoading(false);
         }
     };
 
+    // V1.4: Picking a public room fills in the join form
+    const handleSelectPublicRoom = (publicRoom) => {
+        clearError();
+        setRoomCode(publicRoom.code);
+        setPassword('');
+        setNeedsPassword(publicRoom.hasPassword);
+        setIsJoining(true);
+    };
+
     return (
         <div className="page home">
             <h1>🎭 Who Is Lying?</h1>
@@ -76,22 +133,76 @@ export default function Home() {
             </div>
             
             {!isJoining ? (
-                <div className="button-group">
-                    <button 
-                        onClick={handleCreateRoom}
-                        disabled={!playerName.trim() || loading || !isConnected}
-                        className="primary"
-                    >
-                        {loading ? 'Creating...' : 'Create Room'}
-                    </button>
+                <>
+                    <div className="form-group setting-checkbox">
+                        <label htmlFor="asModerator">
+                            <input
+                                type="checkbox"
+                                id="asModerator"
+                                checked={asModerator}
+                                onChange={(e) => setAsModerator(e.target.checked)}
+                                disabled={loading}
+                            />
+                            Moderate instead of playing (see the word and imposters - for streamers)
+                        </label>
+                    </div>
                     
-                    <button 
-                        onClick={() => setIsJoining(true)}
-                        disabled={loading || !isConnected}
-                    >
-                        Join Room
-                    </button>
-                </div>
+                    <div className="form-group setting-checkbox">
+                        <label htmlFor="isPublic">
+                            <input
+                                type="checkbox"
+                                id="isPublic"
+                                checked={isPublic}
+                                onChange={(e) => setIsPublic(e.target.checked)}
+                                disabled={loading}
+                            />
+                            List in public rooms
+                        </label>
+                    </div>
+                    
+                    <div className="form-group">
+                        <label htmlFor="createPassword">Room Password (optional)</label>
+                        <input
+                            type="password"
+                            id="createPassword"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            placeholder="Leave empty for an open room"
+                            maxLength={32}
+                            disabled={loading}
+                        />
+                    </div>
+                    
+                    <div className="button-group">
+                        <button 
+                            onClick={handleCreateRoom}
+                            disabled={!playerName.trim() || loading || !isConnected}
+                            className="primary"
+                        >
+                            {loading ? 'Creating...' : 'Create Room'}
+                        </button>
+                    
+                        <button 
+                            onClick={() => { setIsJoining(true); setPassword(''); }}
+                            disabled={loading || !isConnected}
+                        >
+                            Join Room
+                        </button>
+                        
+                        <button 
+                            onClick={handleQuickPlay}
+                            disabled={!playerName.trim() || loading || !isConnected}
+                        >
+                            ⚡ Quick Play
+                        </button>
+                    </div>
+                    
+                    <PublicRoomList 
+                        rooms={publicRooms} 
+                        onSelect={handleSelectPublicRoom} 
+                        disabled={loading || !isConnected} 
+                    />
+                </>
             ) : (
                 <div className="join-section">
                     <div className="form-group">
@@ -106,6 +217,22 @@ export default function Home() {
                         />
                     </div>
                     
+                    {needsPassword && (
+                        <div className="form-group">
+                            <label htmlFor="joinPassword">🔒 Room Password</label>
+                            <input
+                                type="password"
+                                id="joinPassword"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                placeholder="This room is private"
+                                maxLength={32}
+                                disabled={loading}
+                                autoFocus
+                            />
+                        </div>
+                    )}
+                    
                     <div className="button-group">
                         <button 
                             onClick={handleJoinRoom}
@@ -115,7 +242,7 @@ export default function Home() {
                             {loading ? 'Joining...' : 'Join'}
                         </button>
                         
-                        <button onClick={() => setIsJoining(false)} disabled={loading}>
+                        <button onClick={() => { setIsJoining(false); setNeedsPassword(false); setPassword(''); }} disabled={loading}>
                             Back
                         </button>
                     </div>
@@ -0,0 +1,170 @@
+/**
+ * Imposter Guess Phase Page (V1.4)
+ *
+ * Shown after the players vote out an imposter.
+ * The caught imposter gets one last chance to guess the secret word:
+ * a correct guess steals the win, a wrong guess (or no guess before
+ * the timer runs out) confirms the players' win.
+ *
+ * LAYOUT (same three-panel grid as the other game phases):
+ * - Left panel: What everyone said (clues for the guesser)
+ * - Center panel: Guess input for the imposter, waiting message for everyone else
+ * - Right panel: Timer and instructions (desktop only)
+ */
+
+import { useState } from 'react';
+import { useGame } from '../GameContext';
+import Avatar from '../components/Avatar';
+import DescriptionList from '../components/DescriptionList';
+
+export default function ImposterGuessPhase() {
+    const {
+        player,
+        topic,
+        descriptions,
+        imposterGuess,
+        submitImposterGuess,
+        timer,
+        error,
+        clearError
+    } = useGame();
+
+    const [guess, setGuess] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [hasGuessed, setHasGuessed] = useState(false);
+
+    const isGuesser = imposterGuess && player && imposterGuess.guesserId === player.id;
+    const guesserName = imposterGuess?.guesserName || 'The imposter';
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!isGuesser || !guess.trim()) return;
+
+        setSubmitting(true);
+        clearError();
+
+        try {
+            await submitImposterGuess(guess.trim());
+            setHasGuessed(true);
+        } catch (err) {
+            console.error('Failed to submit guess:', err);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const timerDisplay = timer.phase === 'imposterGuess' && timer.remainingSeconds > 0;
+
+    return (
+        <>
+            {/* =================================================================
+                LEFT PANEL - Descriptions (clues for the guesser)
+                ================================================================= */}
+            <div className="game-panel-left">
+                <div className="descriptions-list">
+                    <h3>What Everyone Said</h3>
+                    <DescriptionList descriptions={descriptions} />
+                </div>
+            </div>
+
+            {/* =================================================================
+                CENTER PANEL - Guess input / waiting message
+                ================================================================= */}
+            <div className="game-panel-center">
+                <div className="page imposter-guess-phase">
+                    <h2>Last Chance!</h2>
+
+                    {/* Timer - shown here on mobile */}
+                    <div className="mobile-only">
+                        {timerDisplay && (
+                            <div className={`timer ${timer.remainingSeconds <= 5 ? 'timer-warning' : ''}`}>
+                                ⏱️ {timer.remainingSeconds}s
+                            </div>
+                        )}
+                    </div>
+
+                    {error && (
+                        <div className="error">{error}</div>
+                    )}
+
+                    {topic && (
+                        <div className="topic-display">
+                            <span>Topic:</span>
+                            <strong>{topic}</strong>
+                        </div>
+                    )}
+
+                    {imposterGuess && (
+                        <div className="imposter-reveal-card">
+                            <p className="reveal-label">🎯 Imposter Caught</p>
+                            <div className="imposter-avatar-container">
+                                <Avatar
+                                    seed={imposterGuess.guesserId || guesserName}
+                                    size={96}
+                                    className="avatar-lg imposter-reveal-avatar"
+                                    highlighted
+                                />
+                            </div>
+                            <h3 className="imposter-name">{guesserName}</h3>
+                        </div>
+                    )}
+
+                    {isGuesser && !hasGuessed ? (
+                        <form onSubmit={handleSubmit} className="description-form">
+                            <div className="form-group">
+                                <label htmlFor="imposterGuess">You were caught! Guess the secret word to steal the win</label>
+                                <input
+                                    type="text"
+                                    id="imposterGuess"
+                                    value={guess}
+                                    onChange={(e) => setGuess(e.target.value)}
+                                    placeholder="Your guess..."
+                                    maxLength={50}
+                                    disabled={submitting}
+                                    autoFocus
+                                />
+                            </div>
+                            <button
+                                type="submit"
+                                disabled={submitting || !guess.trim()}
+                                className="primary"
+                            >
+                                {submitting ? 'Guessing...' : 'Lock In Guess'}
+                            </button>
+                        </form>
+                    ) : (
+                        <div className="waiting-message">
+                            <p>
+                                {isGuesser
+                                    ? 'Guess locked in...'
+                                    : <>🤔 <strong>{guesserName}</strong> is guessing the word...</>}
+                            </p>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {/* =================================================================
+                RIGHT PANEL - Timer & Instructions (Desktop only)
+                ================================================================= */}
+            <div className="game-panel-right desktop-only">
+                <h3>⏱️ Time Remaining</h3>
+                {timerDisplay ? (
+                    <div className={`timer ${timer.remainingSeconds <= 5 ? 'timer-warning' : ''}`}>
+                        {timer.remainingSeconds}s
+                    </div>
+                ) : (
+                    <div className="timer">--</div>
+                )}
+
+                <div className="phase-info">
+                    <h3>📝 Instructions</h3>
+                    <div className="info-box">
+                        <p>The players caught an imposter!</p>
+                        <p>If <strong>{guesserName}</strong> guesses the secret word, the imposters win instead.</p>
+                    </div>
+                </div>
+            </div>
+        </>
+    );
+}
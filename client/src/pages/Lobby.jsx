@@ -9,11 +9,21 @@
  * 
  * V1.2: Added DiceBear avatars to player list
  * V1.2: Added host-configurable game timers
+ * V1.4: Added imposter count and partner reveal settings
+ * V1.4: Added custom word pack upload
+ * V1.4: Added description rounds setting
+ * V1.4: Host can kick or ban players
+ * V1.4: Host can hand the host role to another player
+ * V1.4: Optional room password
+ * V1.4: Player cap (shown in the player list header); extra joiners wait as spectators
  */
 
 import { useState, useEffect } from 'react';
 import { useGame } from '../GameContext';
 import Avatar from '../components/Avatar';
+import ReadyButton from '../components/ReadyButton';
+import WordPackPanel from '../components/WordPackPanel';
+import RoomPasswordPanel from '../components/RoomPasswordPanel';
 
 export default function Lobby() {
     const { 
@@ -23,6 +33,8 @@ export default function Lobby() {
         roomSettings, 
         startGame, 
         updateSettings, 
+        kickPlayer,
+        transferHost,
         error, 
         clearError 
     } = useGame();
@@ -30,6 +42,14 @@ export default function Lobby() {
     // V1.2: Local form state for settings
     const [descriptionTime, setDescriptionTime] = useState(roomSettings?.descriptionTime || 10);
     const [votingTime, setVotingTime] = useState(roomSettings?.votingTime || 60);
+    const [imposterCount, setImposterCount] = useState(roomSettings?.imposterCount || 1);
+    const [revealImposterPartners, setRevealImposterPartners] = useState(!!roomSettings?.revealImposterPartners);
+    const [fairImposterRotation, setFairImposterRotation] = useState(!!roomSettings?.fairImposterRotation);
+    const [descriptionRounds, setDescriptionRounds] = useState(roomSettings?.descriptionRounds || 1);
+    const [multiElimination, setMultiElimination] = useState(!!roomSettings?.multiElimination);
+    const [isPublic, setIsPublic] = useState(!!roomSettings?.isPublic);
+    const [maxPlayers, setMaxPlayers] = useState(roomSettings?.maxPlayers || 12);
+    const [requireReady, setRequireReady] = useState(!!roomSettings?.requireReady);
     const [settingsChanged, setSettingsChanged] = useState(false);
     const [settingsError, setSettingsError] = useState(null);
     
@@ -38,6 +58,14 @@ export default function Lobby() {
         if (roomSettings) {
             setDescriptionTime(roomSettings.descriptionTime);
             setVotingTime(roomSettings.votingTime);
+            setImposterCount(roomSettings.imposterCount || 1);
+            setRevealImposterPartners(!!roomSettings.revealImposterPartners);
+            setFairImposterRotation(!!roomSettings.fairImposterRotation);
+            setDescriptionRounds(roomSettings.descriptionRounds || 1);
+            setMultiElimination(!!roomSettings.multiElimination);
+            setIsPublic(!!roomSettings.isPublic);
+            setMaxPlayers(roomSettings.maxPlayers || 12);
+            setRequireReady(!!roomSettings.requireReady);
             setSettingsChanged(false);
         }
     }, [roomSettings]);
@@ -51,6 +79,26 @@ export default function Lobby() {
         }
     };
     
+    // V1.4: Remove a player, optionally banning their name and seat from the room
+    const handleKick = async (target, ban) => {
+        clearError();
+        try {
+            await kickPlayer(target.id, ban);
+        } catch (err) {
+            console.error('Failed to kick player:', err);
+        }
+    };
+    
+    // V1.4: Hand the crown to another player
+    const handleTransferHost = async (target) => {
+        clearError();
+        try {
+            await transferHost(target.id);
+        } catch (err) {
+            console.error('Failed to transfer host:', err);
+        }
+    };
+    
     // V1.2: Handle settings input changes
     const handleDescriptionTimeChange = (e) => {
         const value = parseInt(e.target.value, 10) || 5;
@@ -66,11 +114,79 @@ export default function Lobby() {
         setSettingsError(null);
     };
     
+    // V1.4: Rounds of clues before voting
+    const handleDescriptionRoundsChange = (e) => {
+        const value = parseInt(e.target.value, 10) || 1;
+        setDescriptionRounds(Math.min(3, Math.max(1, value)));
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    // V1.4: Imposter settings
+    const handleImposterCountChange = (e) => {
+        const value = parseInt(e.target.value, 10) || 1;
+        setImposterCount(Math.min(3, Math.max(1, value)));
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    const handleRevealPartnersChange = (e) => {
+        setRevealImposterPartners(e.target.checked);
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    const handleFairRotationChange = (e) => {
+        setFairImposterRotation(e.target.checked);
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    // V1.4: Multi-elimination (Werewolf) mode
+    const handleMultiEliminationChange = (e) => {
+        setMultiElimination(e.target.checked);
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    // V1.4: Player cap (the server also keeps it above the seated players)
+    const handleMaxPlayersChange = (e) => {
+        const value = parseInt(e.target.value, 10) || 4;
+        setMaxPlayers(Math.min(20, Math.max(4, value)));
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    // V1.4: Ready-check before the host can start
+    const handleRequireReadyChange = (e) => {
+        setRequireReady(e.target.checked);
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    // V1.4: Listed in the public room browser
+    const handlePublicChange = (e) => {
+        setIsPublic(e.target.checked);
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
     // V1.2: Apply settings
     const handleApplySettings = async () => {
         setSettingsError(null);
         try {
-            await updateSettings({ descriptionTime, votingTime });
+            await updateSettings({ 
+                descriptionTime, 
+                votingTime, 
+                imposterCount, 
+                revealImposterPartners, 
+                fairImposterRotation, 
+                descriptionRounds, 
+                multiElimination, 
+                isPublic, 
+                maxPlayers, 
+                requireReady 
+            });
             setSettingsChanged(false);
         } catch (err) {
             setSettingsError('Failed to update settings');
@@ -80,8 +196,15 @@ export default function Lobby() {
 
     if (!room) return null;
 
-    const minPlayers = 4;
-    const canStart = room.players.length >= minPlayers;
+    // V1.4: Required players scale with the imposter count
+    const minPlayers = room.minPlayers || 4;
+    const playerCount = room.players.filter(p => !p.moderator && !p.spectator).length;  // V1.4: Moderator and waiting spectators don't play
+    // V1.4: Ready-check - the host's Start is their ready
+    const notReadyCount = room.players.filter(p => 
+        p.id !== room.hostId && !p.moderator && !p.spectator && !p.ready
+    ).length;
+    const waitingOnReady = !!roomSettings?.requireReady && notReadyCount > 0;
+    const canStart = playerCount >= minPlayers && !waitingOnReady;
 
     return (
         <div className="page lobby">
@@ -97,7 +220,7 @@ export default function Lobby() {
             )}
             
             <div className="player-list">
-                <h3>Players ({room.players.length})</h3>
+                <h3>Players ({playerCount}/{roomSettings?.maxPlayers || 12})</h3>
                 <ul>
                     {room.players.map((p) => (
                         <li key={p.id} className={p.id === player.id ? 'you' : ''}>
@@ -109,8 +232,24 @@ export default function Lobby() {
                             <span className="player-info">
                                 {p.name}
                                 {p.id === room.hostId && <span className="host-badge">👑 Host</span>}
+                                {p.moderator && <span className="moderator-badge">🎬 Moderator</span>}
+                                {p.ready && <span className="ready-badge">✅ Ready</span>}
+                                {p.spectator && <span className="spectator-badge">👀 Waiting for a seat</span>}
                                 {p.id === player.id && <span className="you-badge">(You)</span>}
                             </span>
+                            {isHost && p.id !== player.id && (
+                                <span className="player-actions">
+                                    <button onClick={() => handleTransferHost(p)} title={`Make ${p.name} the host`}>
+                                        👑
+                                    </button>
+                                    <button onClick={() => handleKick(p, false)} title={`Remove ${p.name} from the room`}>
+                                        Kick
+                                    </button>
+                                    <button onClick={() => handleKick(p, true)} className="ban" title={`Remove ${p.name} and stop them rejoining`}>
+                                        Ban
+                                    </button>
+                                </span>
+                            )}
                         </li>
                     ))}
                 </ul>
@@ -143,6 +282,22 @@ export default function Lobby() {
                                 <span className="setting-hint">5–60 seconds</span>
                             </div>
                             
+                            <div className="setting-row">
+                                <label htmlFor="descriptionRounds">Description Rounds</label>
+                                <div className="setting-input-group">
+                                    <input
+                                        type="number"
+                                        id="descriptionRounds"
+                                        value={descriptionRounds}
+                                        onChange={handleDescriptionRoundsChange}
+                                        min={1}
+                                        max={3}
+                                    />
+                                    <span className="setting-unit">rounds</span>
+                                </div>
+                                <span className="setting-hint">1–3 turns each</span>
+                            </div>
+                            
                             <div className="setting-row">
                                 <label htmlFor="votingTime">Voting Time</label>
                                 <div className="setting-input-group">
@@ -159,6 +314,98 @@ export default function Lobby() {
                                 <span className="setting-hint">15–180 seconds</span>
                             </div>
                             
+                            <div className="setting-row">
+                                <label htmlFor="maxPlayers">Max Players</label>
+                                <div className="setting-input-group">
+                                    <input
+                                        type="number"
+                                        id="maxPlayers"
+                                        value={maxPlayers}
+                                        onChange={handleMaxPlayersChange}
+                                        min={4}
+                                        max={20}
+                                    />
+                                    <span className="setting-unit">players</span>
+                                </div>
+                                <span className="setting-hint">4–20 (later joiners spectate until a seat frees up)</span>
+                            </div>
+                            
+                            <div className="setting-row">
+                                <label htmlFor="imposterCount">Imposters</label>
+                                <div className="setting-input-group">
+                                    <input
+                                        type="number"
+                                        id="imposterCount"
+                                        value={imposterCount}
+                                        onChange={handleImposterCountChange}
+                                        min={1}
+                                        max={3}
+                                    />
+                                    <span className="setting-unit">per game</span>
+                                </div>
+                                <span className="setting-hint">1–3 (4 players for 1, +3 per extra imposter)</span>
+                            </div>
+                            
+                            <div className="setting-row setting-checkbox">
+                                <label htmlFor="revealImposterPartners">
+                                    <input
+                                        type="checkbox"
+                                        id="revealImposterPartners"
+                                        checked={revealImposterPartners}
+                                        onChange={handleRevealPartnersChange}
+                                    />
+                                    Imposters know each other
+                                </label>
+                            </div>
+                            
+                            <div className="setting-row setting-checkbox">
+                                <label htmlFor="fairImposterRotation">
+                                    <input
+                                        type="checkbox"
+                                        id="fairImposterRotation"
+                                        checked={fairImposterRotation}
+                                        onChange={handleFairRotationChange}
+                                    />
+                                    Fair imposter rotation
+                                </label>
+                            </div>
+                            
+                            <div className="setting-row setting-checkbox">
+                                <label htmlFor="multiElimination">
+                                    <input
+                                        type="checkbox"
+                                        id="multiElimination"
+                                        checked={multiElimination}
+                                        onChange={handleMultiEliminationChange}
+                                    />
+                                    Multi-elimination (Werewolf) mode
+                                </label>
+                            </div>
+                            
+                            <div className="setting-row setting-checkbox">
+                                <label htmlFor="requireReady">
+                                    <input
+                                        type="checkbox"
+                                        id="requireReady"
+                                        checked={requireReady}
+                                        onChange={handleRequireReadyChange}
+                                    />
+                                    Everyone must be ready to start
+                                </label>
+                            </div>
+                            
+                            <div className="setting-row setting-checkbox">
+                                <label htmlFor="isPublic">
+                                    <input
+                                        type="checkbox"
+                                        id="isPublic"
+                                        checked={isPublic}
+                                        onChange={handlePublicChange}
+                                    />
+                                    List in public rooms
+                                </label>
+                            </div>
+                            
                             <button 
                                 onClick={handleApplySettings}
                                 disabled={!settingsChanged}
@@ -174,20 +421,67 @@ export default function Lobby() {
                             <span className="setting-label">Description Time:</span>
                             <span className="setting-value">{roomSettings?.descriptionTime || 10}s</span>
                         </div>
+                        <div className="setting-display">
+                            <span className="setting-label">Description Rounds:</span>
+                            <span className="setting-value">{roomSettings?.descriptionRounds || 1}</span>
+                        </div>
                         <div className="setting-display">
                             <span className="setting-label">Voting Time:</span>
                             <span className="setting-value">{roomSettings?.votingTime || 60}s</span>
                         </div>
+                        <div className="setting-display">
+                            <span className="setting-label">Imposters:</span>
+                            <span className="setting-value">
+                                {roomSettings?.imposterCount || 1}
+                                {roomSettings?.revealImposterPartners && ' (know each other)'}
+                            </span>
+                        </div>
+                        <div className="setting-display">
+                            <span className="setting-label">Max Players:</span>
+                            <span className="setting-value">{roomSettings?.maxPlayers || 12}</span>
+                        </div>
+                        <div className="setting-display">
+                            <span className="setting-label">Imposter Selection:</span>
+                            <span className="setting-value">
+                                {roomSettings?.fairImposterRotation ? 'Fair rotation' : 'Random'}
+                            </span>
+                        </div>
+                        <div className="setting-display">
+                            <span className="setting-label">Eliminations:</span>
+                            <span className="setting-value">
+                                {roomSettings?.multiElimination ? 'Until the imposter is found' : 'One vote'}
+                            </span>
+                        </div>
+                        <div className="setting-display">
+                            <span className="setting-label">Ready-check:</span>
+                            <span className="setting-value">{roomSettings?.requireReady ? 'Required' : 'Off'}</span>
+                        </div>
+                        <div className="setting-display">
+                            <span className="setting-label">Visibility:</span>
+                            <span className="setting-value">
+                                {roomSettings?.isPublic ? 'Public' : 'Invite only'}
+                            </span>
+                        </div>
                     </div>
                 )}
+                
+                {/* V1.4: Custom word pack */}
+                <WordPackPanel />
+                
+                {/* V1.4: Private room */}
+                <RoomPasswordPanel />
             </div>
             
             {isHost ? (
                 <div className="host-controls">
-                    {!canStart && (
+                    {playerCount < minPlayers ? (
                         <p className="waiting-message">
                             Need at least {minPlayers} players to start 
-                            ({minPlayers - room.players.length} more needed)
+                            ({minPlayers - playerCount} more needed)
+                        </p>
+                    ) : waitingOnReady && (
+                        <p className="waiting-message">
+                            Waiting for {notReadyCount} player{notReadyCount !== 1 ? 's' : ''} to get ready
                         </p>
                     )}
                     <button 
@@ -199,9 +493,10 @@ export default function Lobby() {
                     </button>
                 </div>
             ) : (
-                <p className="waiting-message">
-                    Waiting for host to start the game...
-                </p>
+                <div className="waiting-message">
+                    <p>Waiting for host to start the game...</p>
+                    <ReadyButton />
+                </div>
             )}
         </div>
     );
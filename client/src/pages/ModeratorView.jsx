@@ -0,0 +1,210 @@
+/**
+ * Moderator View Page (V1.4)
+ *
+ * God view for the moderator seat (e.g. a streamer running the room).
+ * Replaces the player pages for every in-game phase up to the results:
+ * the moderator never plays, so the only controls are the host's.
+ *
+ * Shows everything players see, plus the secret word and the imposters,
+ * which arrive over the moderator-only socket channel (moderatorState).
+ *
+ * LAYOUT (same three-panel grid as the other game phases):
+ * - Left panel: Players, with imposters / eliminated / spectators marked
+ * - Center panel: Secrets, what is happening now, descriptions
+ * - Right panel: Timer, progress and the voting chat (read-only)
+ */
+
+import { useGame } from '../GameContext';
+import Avatar from '../components/Avatar';
+import DescriptionList from '../components/DescriptionList';
+import EliminationHistory from '../components/EliminationHistory';
+
+export default function ModeratorView() {
+    const {
+        room,
+        phase,
+        isHost,
+        moderatorState,
+        currentSpeaker,
+        liveDescriptions,
+        descriptions,
+        confirmProgress,
+        chatMessages,
+        imposterGuess,
+        results,
+        startDescriptionPhase,
+        timer,
+        error,
+        clearError
+    } = useGame();
+
+    if (!room) return null;
+
+    const imposterIds = (moderatorState?.imposters || []).map(p => p.id);
+    const shownDescriptions = phase === 'description' ? liveDescriptions : descriptions;
+
+    const handleContinue = async () => {
+        clearError();
+        try {
+            await startDescriptionPhase();
+        } catch (err) {
+            console.error('Failed to start description phase:', err);
+        }
+    };
+
+    // What the players are doing right now
+    const renderStatus = () => {
+        switch (phase) {
+            case 'roleReveal':
+                return (
+                    <>
+                        <p>Players are reading their roles.</p>
+                        {isHost && (
+                            <button onClick={handleContinue} className="primary">
+                                Start Descriptions
+                            </button>
+                        )}
+                    </>
+                );
+            case 'description':
+                return currentSpeaker ? (
+                    <p>
+                        🎤 <strong>{currentSpeaker.name}</strong> is speaking
+                        {currentSpeaker.totalRounds > 1 && ` (round ${currentSpeaker.round} of ${currentSpeaker.totalRounds})`}
+                    </p>
+                ) : (
+                    <p>Descriptions are starting...</p>
+                );
+            case 'voting':
+                return <p>🗳️ Voting - {confirmProgress.count} / {confirmProgress.total} confirmed</p>;
+            case 'imposterGuess':
+                return <p>🎯 <strong>{imposterGuess?.guesserName}</strong> was caught and is guessing the word...</p>;
+            case 'results':
+                return results ? (
+                    <>
+                        <p>
+                            {results.playersWin ? '🎉 Players win!' : '🎭 Imposters win!'}
+                            {results.votedOutPlayer && <> Voted out: <strong>{results.votedOutPlayer.name}</strong>.</>}
+                        </p>
+                        {results.imposterGuess && (
+                            <p>
+                                {results.imposterGuess.playerName} guessed{' '}
+                                <strong>{results.imposterGuess.guess ?? 'nothing'}</strong>
+                                {results.imposterGuess.correct ? ' ✅' : ' ❌'}
+                            </p>
+                        )}
+                    </>
+                ) : (
+                    <p>Calculating results...</p>
+                );
+            default:
+                return null;
+        }
+    };
+
+    const timerDisplay = timer.phase && timer.remainingSeconds > 0;
+
+    return (
+        <>
+            {/* =================================================================
+                LEFT PANEL - Players
+                ================================================================= */}
+            <div className="game-panel-left">
+                <div className="player-list">
+                    <h3>👥 Players</h3>
+                    <ul>
+                        {room.players.filter(p => !p.moderator).map((p) => (
+                            <li key={p.id} className={imposterIds.includes(p.id) ? 'imposter' : ''}>
+                                <Avatar
+                                    seed={p.id || p.name}
+                                    size={32}
+                                    className="avatar-sm"
+                                    highlighted={imposterIds.includes(p.id)}
+                                    disconnected={p.connected === false}
+                                />
+                                <span className="player-info">
+                                    {p.name}
+                                    {imposterIds.includes(p.id) && <span className="imposter-tag"> 🎭</span>}
+                                    {p.eliminated && <span className="you-badge">👻 Eliminated</span>}
+                                    {p.spectator && <span className="spectator-badge">👀 Spectating</span>}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            </div>
+
+            {/* =================================================================
+                CENTER PANEL - Secrets and game status
+                ================================================================= */}
+            <div className="game-panel-center">
+                <div className="page moderator-view">
+                    <h2>🎬 Moderator View</h2>
+
+                    {error && (
+                        <div className="error">{error}</div>
+                    )}
+
+                    <div className="moderator-secrets">
+                        <div className="topic-display">
+                            <span>Topic:</span>
+                            <strong>{moderatorState?.topic || room.topic}</strong>
+                        </div>
+                        <div className="word-reminder">
+                            Secret word: <strong>{moderatorState?.word || '...'}</strong>
+                        </div>
+                        <div className="imposter-reminder">
+                            🎭 {imposterIds.length > 1 ? 'Imposters' : 'Imposter'}:{' '}
+                            <strong>{(moderatorState?.imposters || []).map(p => p.name).join(', ') || '...'}</strong>
+                        </div>
+                    </div>
+
+                    <div className="moderator-status">
+                        {renderStatus()}
+                    </div>
+
+                    <EliminationHistory eliminations={room.eliminations} />
+
+                    {shownDescriptions.length > 0 && (
+                        <div className="descriptions-list">
+                            <h3>What Everyone Said</h3>
+                            <DescriptionList descriptions={shownDescriptions} />
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {/* =================================================================
+                RIGHT PANEL - Timer, chat
+                ================================================================= */}
+            <div className="game-panel-right">
+                <h3>⏱️ Time Remaining</h3>
+                {timerDisplay ? (
+                    <div className="timer">{timer.remainingSeconds}s</div>
+                ) : (
+                    <div className="timer">--</div>
+                )}
+
+                {phase === 'voting' && (
+                    <div className="chat-section">
+                        <h3>💬 Discussion</h3>
+                        <div className="chat-messages">
+                            {chatMessages.length === 0 ? (
+                                <p className="chat-empty">No messages yet.</p>
+                            ) : (
+                                chatMessages.map((msg) => (
+                                    <div key={msg.id} className="chat-message-with-avatar">
+                                        <div className="chat-content">
+                                            <span className="chat-sender">{msg.senderName}:</span>
+                                            <span className="chat-text">{msg.text}</span>
+                                        </div>
+                                    </div>
+                                ))
+                            )}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </>
+    );
+}
@@ -16,11 +16,20 @@
  * - Player list with current players
  * - Host-configurable game settings
  * - Host transfer info if host left
+ * - V1.4: Reveals every imposter of the last game
+ * - V1.4: Running room leaderboard
+ * - V1.4: Shows the caught imposter's last-chance guess
+ * - V1.4: Description rounds setting
+ * - V1.4: Host can hand the host role to another player
+ * - V1.4: Player cap setting
  */
 
 import { useState, useEffect } from 'react';
 import { useGame } from '../GameContext';
 import Avatar from '../components/Avatar';
+import ReadyButton from '../components/ReadyButton';
+import Leaderboard from '../components/Leaderboard';
+import EliminationHistory from '../components/EliminationHistory';
 
 export default function PostGame() {
     const { 
@@ -32,6 +41,7 @@ export default function PostGame() {
         hostEndedGame,
         playAgain,
         updateSettings,
+        transferHost,
         error,
         clearError
     } = useGame();
@@ -39,6 +49,14 @@ export default function PostGame() {
     // V1.2: Local form state for settings
     const [descriptionTime, setDescriptionTime] = useState(roomSettings?.descriptionTime || 10);
     const [votingTime, setVotingTime] = useState(roomSettings?.votingTime || 60);
+    const [imposterCount, setImposterCount] = useState(roomSettings?.imposterCount || 1);
+    const [revealImposterPartners, setRevealImposterPartners] = useState(!!roomSettings?.revealImposterPartners);
+    const [fairImposterRotation, setFairImposterRotation] = useState(!!roomSettings?.fairImposterRotation);
+    const [descriptionRounds, setDescriptionRounds] = useState(roomSettings?.descriptionRounds || 1);
+    const [multiElimination, setMultiElimination] = useState(!!roomSettings?.multiElimination);
+    const [isPublic, setIsPublic] = useState(!!roomSettings?.isPublic);
+    const [maxPlayers, setMaxPlayers] = useState(roomSettings?.maxPlayers || 12);
+    const [requireReady, setRequireReady] = useState(!!roomSettings?.requireReady);
     const [settingsChanged, setSettingsChanged] = useState(false);
     const [settingsError, setSettingsError] = useState(null);
     
@@ -47,6 +65,14 @@ export default function PostGame() {
         if (roomSettings) {
             setDescriptionTime(roomSettings.descriptionTime);
             setVotingTime(roomSettings.votingTime);
+            setImposterCount(roomSettings.imposterCount || 1);
+            setRevealImposterPartners(!!roomSettings.revealImposterPartners);
+            setFairImposterRotation(!!roomSettings.fairImposterRotation);
+            setDescriptionRounds(roomSettings.descriptionRounds || 1);
+            setMultiElimination(!!roomSettings.multiElimination);
+            setIsPublic(!!roomSettings.isPublic);
+            setMaxPlayers(roomSettings.maxPlayers || 12);
+            setRequireReady(!!roomSettings.requireReady);
             setSettingsChanged(false);
         }
     }, [roomSettings]);
@@ -60,6 +86,16 @@ export default function PostGame() {
         }
     };
     
+    // V1.4: Hand the crown to another player
+    const handleTransferHost = async (target) => {
+        clearError();
+        try {
+            await transferHost(target.id);
+        } catch (err) {
+            console.error('Failed to transfer host:', err);
+        }
+    };
+    
     // V1.2: Handle settings input changes
     const handleDescriptionTimeChange = (e) => {
         const value = parseInt(e.target.value, 10) || 5;
@@ -75,11 +111,79 @@ export default function PostGame() {
         setSettingsError(null);
     };
     
+    // V1.4: Rounds of clues before voting
+    const handleDescriptionRoundsChange = (e) => {
+        const value = parseInt(e.target.value, 10) || 1;
+        setDescriptionRounds(Math.min(3, Math.max(1, value)));
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    // V1.4: Imposter settings
+    const handleImposterCountChange = (e) => {
+        const value = parseInt(e.target.value, 10) || 1;
+        setImposterCount(Math.min(3, Math.max(1, value)));
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    const handleRevealPartnersChange = (e) => {
+        setRevealImposterPartners(e.target.checked);
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    const handleFairRotationChange = (e) => {
+        setFairImposterRotation(e.target.checked);
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    // V1.4: Multi-elimination (Werewolf) mode
+    const handleMultiEliminationChange = (e) => {
+        setMultiElimination(e.target.checked);
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    // V1.4: Player cap (the server also keeps it above the seated players)
+    const handleMaxPlayersChange = (e) => {
+        const value = parseInt(e.target.value, 10) || 4;
+        setMaxPlayers(Math.min(20, Math.max(4, value)));
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    // V1.4: Ready-check before the host can start
+    const handleRequireReadyChange = (e) => {
+        setRequireReady(e.target.checked);
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
+    // V1.4: Listed in the public room browser
+    const handlePublicChange = (e) => {
+        setIsPublic(e.target.checked);
+        setSettingsChanged(true);
+        setSettingsError(null);
+    };
+    
     // V1.2: Apply settings
     const handleApplySettings = async () => {
         setSettingsError(null);
         try {
-            await updateSettings({ descriptionTime, votingTime });
+            await updateSettings({ 
+                descriptionTime, 
+                votingTime, 
+                imposterCount, 
+                revealImposterPartners, 
+                fairImposterRotation, 
+                descriptionRounds, 
+                multiElimination, 
+                isPublic, 
+                maxPlayers, 
+                requireReady 
+            });
             setSettingsChanged(false);
         } catch (err) {
             setSettingsError('Failed to update settings');
@@ -89,8 +193,15 @@ export default function PostGame() {
 
     if (!room) return null;
 
-    const minPlayers = 4;
-    const canStartGame = room.playerCount >= minPlayers;
+    // V1.4: Required players scale with the imposter count
+    const minPlayers = room.minPlayers || 4;
+    const playerCount = room.players.filter(p => !p.moderator).length;  // V1.4: Moderator doesn't play
+    const canStartGame = playerCount >= minPlayers;
+    const seatCount = Math.min(playerCount, roomSettings?.maxPlayers || 12);  // V1.4: Beyond the cap, players keep spectating
+    
+    // V1.4: Last game's imposters (one or more)
+    const lastImposters = results?.imposters || [];
+    const lastImposterLabel = lastImposters.length > 1 ? 'Imposters' : 'Imposter';
 
     return (
         <>
@@ -99,7 +210,7 @@ export default function PostGame() {
                 ================================================================= */}
             <div className="game-panel-left">
                 <div className="player-list">
-                    <h3>👥 Players ({room.playerCount})</h3>
+                    <h3>👥 Players ({seatCount}/{roomSettings?.maxPlayers || 12})</h3>
                     <ul>
                         {room.players.map((p) => (
                             <li key={p.id} className={p.id === player?.id ? 'you' : ''}>
@@ -111,8 +222,18 @@ export default function PostGame() {
                                 <span className="player-info">
                                     {p.name}
                                     {p.id === room.hostId && <span className="host-badge">👑 Host</span>}
+                                    {p.moderator && <span className="moderator-badge">🎬 Moderator</span>}
+                                    {p.ready && <span className="ready-badge">✅ Ready</span>}
                                     {p.id === player?.id && <span className="you-badge">(You)</span>}
+                                    {p.spectator && <span className="spectator-badge">👀 Joins next game</span>}
                                 </span>
+                                {isHost && p.id !== player?.id && (
+                                    <span className="player-actions">
+                                        <button onClick={() => handleTransferHost(p)} title={`Make ${p.name} the host`}>
+                                            👑
+                                        </button>
+                                    </span>
+                                )}
                             </li>
                         ))}
                     </ul>
@@ -137,15 +258,17 @@ export default function PostGame() {
                                 Game was ended early
                             </div>
                             <div className="summary-details">
-                                <p>The Imposter was:</p>
-                                <div className="imposter-reveal-mini">
-                                    <Avatar 
-                                        seed={results.imposter?.id || results.imposter?.name}
-                                        size={60}
-                                        className="avatar-lg"
-                                    />
-                                    <strong>{results.imposter?.name}</strong>
-                                </div>
+                                <p>The {lastImposterLabel} {lastImposters.length > 1 ? 'were' : 'was'}:</p>
+                                {lastImposters.map((imposter) => (
+                                    <div key={imposter.id} className="imposter-reveal-mini">
+                                        <Avatar 
+                                            seed={imposter.id || imposter.name}
+                                            size={60}
+                                            className="avatar-lg"
+                                        />
+                                        <strong>{imposter.name}</strong>
+                                    </div>
+                                ))}
                                 <p>Secret Word: <strong>{results.secretWord}</strong></p>
                             </div>
                         </div>
@@ -156,15 +279,26 @@ export default function PostGame() {
                         <div className="last-game-summary">
                             <h3>Last Game Results</h3>
                             <div className={`result-mini ${results.playersWin ? 'players-win' : 'imposter-wins'}`}>
-                                {results.playersWin ? '🎉 Players Won!' : '🎭 Imposter Won!'}
+                                {results.playersWin ? '🎉 Players Won!' : `🎭 ${lastImposterLabel} Won!`}
                             </div>
                             <div className="summary-details">
-                                <p>Imposter: <strong>{results.imposter.name}</strong></p>
+                                <p>{lastImposterLabel}: <strong>{lastImposters.map(p => p.name).join(', ')}</strong></p>
                                 <p>Secret Word: <strong>{results.secretWord}</strong></p>
+                                {results.imposterGuess && (
+                                    <p>
+                                        {results.imposterGuess.playerName}'s guess:{' '}
+                                        <strong>{results.imposterGuess.guess ?? 'no guess'}</strong>
+                                        {results.imposterGuess.correct ? ' ✅' : ' ❌'}
+                                    </p>
+                                )}
                             </div>
+                            <EliminationHistory eliminations={results.eliminations} />
                         </div>
                     )}
                     
+                    {/* V1.4: Running scores */}
+                    <Leaderboard />
+                    
                     {/* Room code display */}
                     <div className="room-code">
                         <span>Room Code</span>
@@ -182,7 +316,7 @@ export default function PostGame() {
                     <div className="mobile-only">
                         {/* Player list */}
                         <div className="player-list">
-                            <h3>Players ({room.playerCount})</h3>
+                            <h3>Players ({seatCount}/{roomSettings?.maxPlayers || 12})</h3>
                             <ul>
                                 {room.players.map((p) => (
                                     <li key={p.id} className={p.id === player?.id ? 'you' : ''}>
@@ -194,8 +328,18 @@ export default function PostGame() {
                                         <span className="player-info">
                                             {p.name}
                                             {p.id === room.hostId && <span className="host-badge">👑 Host</span>}
+                                            {p.moderator && <span className="moderator-badge">🎬 Moderator</span>}
+                                            {p.ready && <span className="ready-badge">✅ Ready</span>}
                                             {p.id === player?.id && <span className="you-badge">(You)</span>}
+                                            {p.spectator && <span className="spectator-badge">👀 Joins next game</span>}
                                         </span>
+                                        {isHost && p.id !== player?.id && (
+                                            <span className="player-actions">
+                                                <button onClick={() => handleTransferHost(p)} title={`Make ${p.name} the host`}>
+                                                    👑
+                                                </button>
+                                            </span>
+                                        )}
                                     </li>
                                 ))}
                             </ul>
@@ -213,13 +357,14 @@ export default function PostGame() {
                                 </button>
                                 {!canStartGame && (
                                     <p className="waiting-message">
-                                        Need {minPlayers - room.playerCount} more player{minPlayers - room.playerCount !== 1 ? 's' : ''} to start
+                                        Need {minPlayers - playerCount} more player{minPlayers - playerCount !== 1 ? 's' : ''} to start
                                     </p>
                                 )}
                             </div>
                         ) : (
                             <div className="waiting-message">
                                 <p>Waiting for host to start a new game...</p>
+                                <ReadyButton />
                             </div>
                         )}
                         
@@ -250,6 +395,22 @@ export default function PostGame() {
                                             <span className="setting-hint">5–60 seconds</span>
                                         </div>
                                         
+                                        <div className="setting-row">
+                                            <label htmlFor="descriptionRounds-mobile">Description Rounds</label>
+                                            <div className="setting-input-group">
+                                                <input
+                                                    type="number"
+                                                    id="descriptionRounds-mobile"
+                                                    value={descriptionRounds}
+                                                    onChange={handleDescriptionRoundsChange}
+                                                    min={1}
+                                                    max={3}
+                                                />
+                                                <span className="setting-unit">rounds</span>
+                                            </div>
+                                            <span className="setting-hint">1–3 turns each</span>
+                                        </div>
+                                        
                                         <div className="setting-row">
                                             <label htmlFor="votingTime-mobile">Voting Time</label>
                                             <div className="setting-input-group">
@@ -266,6 +427,96 @@ export default function PostGame() {
                                             <span className="setting-hint">15–180 seconds</span>
                                         </div>
                                         
+                                        <div className="setting-row">
+                                            <label htmlFor="maxPlayers-mobile">Max Players</label>
+                                            <div className="setting-input-group">
+                                                <input
+                                                    type="number"
+                                                    id="maxPlayers-mobile"
+                                                    value={maxPlayers}
+                                                    onChange={handleMaxPlayersChange}
+                                                    min={4}
+                                                    max={20}
+                                                />
+                                            </div>
+                                        </div>
+                                        
+                                        <div className="setting-row">
+                                            <label htmlFor="imposterCount-mobile">Imposters</label>
+                                            <div className="setting-input-group">
+                                                <input
+                                                    type="number"
+                                                    id="imposterCount-mobile"
+                                                    value={imposterCount}
+                                                    onChange={handleImposterCountChange}
+                                                    min={1}
+                                                    max={3}
+                                                />
+                                                <span className="setting-unit">per game</span>
+                                            </div>
+                                            <span className="setting-hint">1–3 (4 players for 1, +3 per extra imposter)</span>
+                                        </div>
+                                        
+                                        <div className="setting-row setting-checkbox">
+                                            <label htmlFor="revealImposterPartners-mobile">
+                                                <input
+                                                    type="checkbox"
+                                                    id="revealImposterPartners-mobile"
+                                                    checked={revealImposterPartners}
+                                                    onChange={handleRevealPartnersChange}
+                                                />
+                                                Imposters know each other
+                                            </label>
+                                        </div>
+                                        
+                                        <div className="setting-row setting-checkbox">
+                                            <label htmlFor="fairImposterRotation-mobile">
+                                                <input
+                                                    type="checkbox"
+                                                    id="fairImposterRotation-mobile"
+                                                    checked={fairImposterRotation}
+                                                    onChange={handleFairRotationChange}
+                                                />
+                                                Fair imposter rotation
+                                            </label>
+                                        </div>
+                                        
+                                        <div className="setting-row setting-checkbox">
+                                            <label htmlFor="multiElimination-mobile">
+                                                <input
+                                                    type="checkbox"
+                                                    id="multiElimination-mobile"
+                                                    checked={multiElimination}
+                                                    onChange={handleMultiEliminationChange}
+                                                />
+                                                Multi-elimination (Werewolf) mode
+                                            </label>
+                                        </div>
+                                        
+                                        <div className="setting-row setting-checkbox">
+                                            <label htmlFor="requireReady-mobile">
+                                                <input
+                                                    type="checkbox"
+                                                    id="requireReady-mobile"
+                                                    checked={requireReady}
+                                                    onChange={handleRequireReadyChange}
+                                                />
+                                                Everyone must be ready to start
+                                            </label>
+                                        </div>
+                                        
+                                        <div className="setting-row setting-checkbox">
+                                            <label htmlFor="isPublic-mobile">
+                                                <input
+                                                    type="checkbox"
+                                                    id="isPublic-mobile"
+                                                    checked={isPublic}
+                                                    onChange={handlePublicChange}
+                                                />
+                                                List in public rooms
+                                            </label>
+                                        </div>
+                                        
                                         <button 
                                             onClick={handleApplySettings}
                                             disabled={!settingsChanged}
@@ -281,10 +532,44 @@ export default function PostGame() {
                                         <span className="setting-label">Description Time:</span>
                                         <span className="setting-value">{roomSettings?.descriptionTime || 10}s</span>
                                     </div>
+                                    <div className="setting-display">
+                                        <span className="setting-label">Description Rounds:</span>
+                                        <span className="setting-value">{roomSettings?.descriptionRounds || 1}</span>
+                                    </div>
                                     <div className="setting-display">
                                         <span className="setting-label">Voting Time:</span>
                                         <span className="setting-value">{roomSettings?.votingTime || 60}s</span>
                                     </div>
+                                    <div className="setting-display">
+                                        <span className="setting-label">Imposters:</span>
+                                        <span className="setting-value">{roomSettings?.imposterCount || 1}</span>
+                                    </div>
+                                    <div className="setting-display">
+                                        <span className="setting-label">Max Players:</span>
+                                        <span className="setting-value">{roomSettings?.maxPlayers || 12}</span>
+                                    </div>
+                                    <div className="setting-display">
+                                        <span className="setting-label">Imposter Selection:</span>
+                                        <span className="setting-value">
+                                            {roomSettings?.fairImposterRotation ? 'Fair rotation' : 'Random'}
+                                        </span>
+                                    </div>
+                                    <div className="setting-display">
+                                        <span className="setting-label">Eliminations:</span>
+                                        <span className="setting-value">
+                                            {roomSettings?.multiElimination ? 'Until the imposter is found' : 'One vote'}
+                                        </span>
+                                    </div>
+                                    <div className="setting-display">
+                                        <span className="setting-label">Ready-check:</span>
+                                        <span className="setting-value">{roomSettings?.requireReady ? 'Required' : 'Off'}</span>
+                                    </div>
+                                    <div className="setting-display">
+                                        <span className="setting-label">Visibility:</span>
+                                        <span className="setting-value">
+                                            {roomSettings?.isPublic ? 'Public' : 'Invite only'}
+                                        </span>
+                                    </div>
                                 </div>
                             )}
                         </div>
@@ -314,13 +599,14 @@ export default function PostGame() {
                         </button>
                         {!canStartGame && (
                             <p className="waiting-message">
-                                Need {minPlayers - room.playerCount} more player{minPlayers - room.playerCount !== 1 ? 's' : ''} to start
+                                Need {minPlayers - playerCount} more player{minPlayers - playerCount !== 1 ? 's' : ''} to start
                             </p>
                         )}
                     </div>
                 ) : (
                     <div className="waiting-message">
                         <p>Waiting for host to start a new game...</p>
+                        <ReadyButton />
                     </div>
                 )}
                 
@@ -350,6 +636,21 @@ export default function PostGame() {
                                     </div>
                                 </div>
                                 
+                                <div className="setting-row">
+                                    <label htmlFor="descriptionRounds">Description Rounds</label>
+                                    <div className="setting-input-group">
+                                        <input
+                                            type="number"
+                                            id="descriptionRounds"
+                                            value={descriptionRounds}
+                                            onChange={handleDescriptionRoundsChange}
+                                            min={1}
+                                            max={3}
+                                        />
+                                        <span className="setting-unit">rounds</span>
+                                    </div>
+                                </div>
+                                
                                 <div className="setting-row">
                                     <label htmlFor="votingTime">Voting Time</label>
                                     <div className="setting-input-group">
@@ -365,6 +666,94 @@ export default function PostGame() {
                                     </div>
                                 </div>
                                 
+                                <div className="setting-row">
+                                    <label htmlFor="maxPlayers">Max Players</label>
+                                    <div className="setting-input-group">
+                                        <input
+                                            type="number"
+                                            id="maxPlayers"
+                                            value={maxPlayers}
+                                            onChange={handleMaxPlayersChange}
+                                            min={4}
+                                            max={20}
+                                        />
+                                    </div>
+                                </div>
+                                
+                                <div className="setting-row">
+                                    <label htmlFor="imposterCount">Imposters</label>
+                                    <div className="setting-input-group">
+                                        <input
+                                            type="number"
+                                            id="imposterCount"
+                                            value={imposterCount}
+                                            onChange={handleImposterCountChange}
+                                            min={1}
+                                            max={3}
+                                        />
+                                    </div>
+                                </div>
+                                
+                                <div className="setting-row setting-checkbox">
+                                    <label htmlFor="revealImposterPartners">
+                                        <input
+                                            type="checkbox"
+                                            id="revealImposterPartners"
+                                            checked={revealImposterPartners}
+                                            onChange={handleRevealPartnersChange}
+                                        />
+                                        Imposters know each other
+                                    </label>
+                                </div>
+                                
+                                <div className="setting-row setting-checkbox">
+                                    <label htmlFor="fairImposterRotation">
+                                        <input
+                                            type="checkbox"
+                                            id="fairImposterRotation"
+                                            checked={fairImposterRotation}
+                                            onChange={handleFairRotationChange}
+                                        />
+                                        Fair imposter rotation
+                                    </label>
+                                </div>
+                                
+                                <div className="setting-row setting-checkbox">
+                                    <label htmlFor="multiElimination">
+                                        <input
+                                            type="checkbox"
+                                            id="multiElimination"
+                                            checked={multiElimination}
+                                            onChange={handleMultiEliminationChange}
+                                        />
+                                        Multi-elimination (Werewolf) mode
+                                    </label>
+                                </div>
+                                
+                                <div className="setting-row setting-checkbox">
+                                    <label htmlFor="requireReady">
+                                        <input
+                                            type="checkbox"
+                                            id="requireReady"
+                                            checked={requireReady}
+                                            onChange={handleRequireReadyChange}
+                                        />
+                                        Everyone must be ready to start
+                                    </label>
+                                </div>
+                                
+                                <div className="setting-row setting-checkbox">
+                                    <label htmlFor="isPublic">
+                                        <input
+                                            type="checkbox"
+                                            id="isPublic"
+                                            checked={isPublic}
+                                            onChange={handlePublicChange}
+                                        />
+                                        List in public rooms
+                                    </label>
+                                </div>
+                                
                                 <button 
                                     onClick={handleApplySettings}
                                     disabled={!settingsChanged}
@@ -380,10 +769,44 @@ export default function PostGame() {
                                 <span className="setting-label">Description Time:</span>
                                 <span className="setting-value">{roomSettings?.descriptionTime || 10}s</span>
                             </div>
+                            <div className="setting-display">
+                                <span className="setting-label">Description Rounds:</span>
+                                <span className="setting-value">{roomSettings?.descriptionRounds || 1}</span>
+                            </div>
                             <div className="setting-display">
                                 <span className="setting-label">Voting Time:</span>
                                 <span className="setting-value">{roomSettings?.votingTime || 60}s</span>
                             </div>
+                            <div className="setting-display">
+                                <span className="setting-label">Imposters:</span>
+                                <span className="setting-value">{roomSettings?.imposterCount || 1}</span>
+                            </div>
+                            <div className="setting-display">
+                                <span className="setting-label">Max Players:</span>
+                                <span className="setting-value">{roomSettings?.maxPlayers || 12}</span>
+                            </div>
+                            <div className="setting-display">
+                                <span className="setting-label">Imposter Selection:</span>
+                                <span className="setting-value">
+                                    {roomSettings?.fairImposterRotation ? 'Fair rotation' : 'Random'}
+                                </span>
+                            </div>
+                            <div className="setting-display">
+                                <span className="setting-label">Eliminations:</span>
+                                <span className="setting-value">
+                                    {roomSettings?.multiElimination ? 'Until the imposter is found' : 'One vote'}
+                                </span>
+                            </div>
+                            <div className="setting-display">
+                                <span className="setting-label">Ready-check:</span>
+                                <span className="setting-value">{roomSettings?.requireReady ? 'Required' : 'Off'}</span>
+                            </div>
+                            <div className="setting-display">
+                                <span className="setting-label">Visibility:</span>
+                                <span className="setting-value">
+                                    {roomSettings?.isPublic ? 'Public' : 'Invite only'}
+                                </span>
+                            </div>
                         </div>
                     )}
                 </div>
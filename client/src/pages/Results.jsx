@@ -12,18 +12,23 @@
  * 
  * Features:
  * - Who was voted out
- * - Who the imposter actually was
+ * - Who the imposters actually were (V1.4: one or more)
  * - Win/lose message
  * - Vote summary
  * - Secret word reveal
+ * - V1.4: Caught imposter's last-chance guess (a correct guess steals the win)
+ * - V1.4: Early "call it" guess (nobody voted out)
+ * - V1.4: Elimination history for multi-elimination games
+ * - V1.4: No win/lose line for spectators
  * - Auto-transitions to postGame after 5 seconds
  */
 
 import { useGame } from '../GameContext';
 import Avatar from '../components/Avatar';
+import EliminationHistory from '../components/EliminationHistory';
 
 export default function Results() {
-    const { results, player } = useGame();
+    const { results, player, isSpectator } = useGame();
 
     if (!results) {
         return (
@@ -35,10 +40,18 @@ export default function Results() {
         );
     }
 
-    const { votedOutPlayer, imposter, playersWin, voteSummary, secretWord } = results;
+    const { votedOutPlayer, imposters, playersWin, voteSummary, secretWord, imposterGuess, reason, eliminations } = results;
+    
+    // V1.4: An imposter ended the game with a guess before anyone was voted out
+    const calledEarly = reason === 'imposterGuessed';
+    
+    // V1.4: A game can have several imposters
+    const imposterIds = imposters.map(p => p.id);
+    const imposterNames = imposters.map(p => p.name).join(', ');
+    const isPlural = imposters.length > 1;
     
     // Determine if the current player won
-    const isCurrentPlayerImposter = player.id === imposter.id;
+    const isCurrentPlayerImposter = imposterIds.includes(player.id);
     const didIWin = isCurrentPlayerImposter ? !playersWin : playersWin;
 
     return (
@@ -51,16 +64,16 @@ export default function Results() {
                     <h3>🗳️ Vote Summary</h3>
                     <ul>
                         {voteSummary.map((entry) => (
-                            <li key={entry.playerId} className={entry.playerId === imposter.id ? 'imposter' : ''}>
+                            <li key={entry.playerId} className={imposterIds.includes(entry.playerId) ? 'imposter' : ''}>
                                 <Avatar 
                                     seed={entry.playerId || entry.playerName}
                                     size={32}
                                     className="avatar-sm"
-                                    highlighted={entry.playerId === imposter.id}
+                                    highlighted={imposterIds.includes(entry.playerId)}
                                 />
                                 <span className="player-vote-info">
                                     {entry.playerName}: {entry.votes} vote{entry.votes !== 1 ? 's' : ''}
-                                    {entry.playerId === imposter.id && <span className="imposter-tag"> 🎭</span>}
+                                    {imposterIds.includes(entry.playerId) && <span className="imposter-tag"> 🎭</span>}
                                 </span>
                             </li>
                         ))}
@@ -79,12 +92,14 @@ export default function Results() {
                         {playersWin ? (
                             <h3>🎉 Players Win!</h3>
                         ) : (
-                            <h3>🎭 Imposter Wins!</h3>
+                            <h3>🎭 {isPlural ? 'Imposters Win!' : 'Imposter Wins!'}</h3>
                         )}
                     </div>
                     
                     <div className="personal-result">
-                        {didIWin ? (
+                        {isSpectator ? (
+                            <p>👀 You watched this game - you will play in the next one.</p>
+                        ) : didIWin ? (
                             <p className="win">🏆 You won!</p>
                         ) : (
                             <p className="lose">😔 You lost!</p>
@@ -93,32 +108,56 @@ export default function Results() {
                     
                     {/* Imposter Reveal Card - Visual focal point */}
                     <div className="imposter-reveal-card">
-                        <p className="reveal-label">🕵️ The Imposter Was</p>
+                        <p className="reveal-label">🕵️ {isPlural ? 'The Imposters Were' : 'The Imposter Was'}</p>
                         <div className="imposter-avatar-container">
-                            <Avatar 
-                                seed={imposter.id || imposter.name}
-                                size={96}
-                                className="avatar-lg imposter-reveal-avatar"
-                                highlighted
-                            />
+                            {imposters.map((imposter) => (
+                                <Avatar 
+                                    key={imposter.id}
+                                    seed={imposter.id || imposter.name}
+                                    size={96}
+                                    className="avatar-lg imposter-reveal-avatar"
+                                    highlighted
+                                />
+                            ))}
                         </div>
-                        <h3 className="imposter-name">{imposter.name}</h3>
+                        <h3 className="imposter-name">{imposterNames}</h3>
                         <p className="secret-word-reveal">
                             Secret Word: <strong>{secretWord}</strong>
                         </p>
                     </div>
                     
+                    {/* V1.4: Last-chance guess outcome */}
+                    {imposterGuess && (
+                        <div className={`imposter-guess-result ${imposterGuess.correct ? 'correct' : 'wrong'}`}>
+                            {calledEarly ? (
+                                <p>
+                                    🎯 <strong>{imposterGuess.playerName}</strong> called it early with "{imposterGuess.guess}"
+                                    {imposterGuess.correct ? ' - and got it right!' : ' - wrong!'}
+                                </p>
+                            ) : imposterGuess.guess === null ? (
+                                <p><strong>{imposterGuess.playerName}</strong> ran out of time to guess the word.</p>
+                            ) : imposterGuess.correct ? (
+                                <p>🎯 <strong>{imposterGuess.playerName}</strong> guessed "{imposterGuess.guess}" and stole the win!</p>
+                            ) : (
+                                <p>❌ <strong>{imposterGuess.playerName}</strong> guessed "{imposterGuess.guess}" - wrong!</p>
+                            )}
+                        </div>
+                    )}
+                    
+                    {/* V1.4: Multi-elimination rounds */}
+                    <EliminationHistory eliminations={eliminations} />
+                    
                     {/* Mobile-only: Vote summary and details */}
                     <div className="mobile-only">
                         <div className="result-details">
                             <div className="detail-item">
                                 <span>Voted Out:</span>
-                                <strong>{votedOutPlayer.name}</strong>
+                                <strong>{votedOutPlayer ? votedOutPlayer.name : 'Nobody'}</strong>
                             </div>
                             
                             <div className="detail-item">
-                                <span>The Imposter Was:</span>
-                                <strong>{imposter.name}</strong>
+                                <span>{isPlural ? 'The Imposters Were:' : 'The Imposter Was:'}</span>
+                                <strong>{imposterNames}</strong>
                             </div>
                             
                             <div className="detail-item">
@@ -131,16 +170,16 @@ export default function Results() {
                             <h3>Vote Summary</h3>
                             <ul>
                                 {voteSummary.map((entry) => (
-                                    <li key={entry.playerId} className={entry.playerId === imposter.id ? 'imposter' : ''}>
+                                    <li key={entry.playerId} className={imposterIds.includes(entry.playerId) ? 'imposter' : ''}>
                                         <Avatar 
                                             seed={entry.playerId || entry.playerName}
                                             size={28}
                                             className="avatar-sm"
-                                            highlighted={entry.playerId === imposter.id}
+                                            highlighted={imposterIds.includes(entry.playerId)}
                                         />
                                         <span className="player-vote-info">
                                             {entry.playerName}: {entry.votes} vote{entry.votes !== 1 ? 's' : ''}
-                                            {entry.playerId === imposter.id && <span className="imposter-tag"> 🎭</span>}
+                                            {imposterIds.includes(entry.playerId) && <span className="imposter-tag"> 🎭</span>}
                                         </span>
                                     </li>
                                 ))}
@@ -162,12 +201,12 @@ export default function Results() {
                 <div className="result-details">
                     <div className="detail-item">
                         <span>Voted Out:</span>
-                        <strong>{votedOutPlayer.name}</strong>
+                        <strong>{votedOutPlayer ? votedOutPlayer.name : 'Nobody'}</strong>
                     </div>
                     
                     <div className="detail-item">
-                        <span>The Imposter:</span>
-                        <strong>{imposter.name}</strong>
+                        <span>{isPlural ? 'The Imposters:' : 'The Imposter:'}</span>
+                        <strong>{imposterNames}</strong>
                     </div>
                     
                     <div className="detail-item">
@@ -179,10 +218,18 @@ export default function Results() {
                 <div className="phase-info">
                     <h3>🎮 What Happened</h3>
                     <div className="info-box">
-                        {playersWin ? (
-                            <p>The players correctly identified <strong>{imposter.name}</strong> as the imposter!</p>
+                        {calledEarly ? (
+                            imposterGuess.correct ? (
+                                <p><strong>{imposterGuess.playerName}</strong> figured out the secret word before the vote!</p>
+                            ) : (
+                                <p><strong>{imposterGuess.playerName}</strong> gave themselves away with a wrong guess!</p>
+                            )
+                        ) : playersWin ? (
+                            <p>The players correctly identified <strong>{votedOutPlayer.name}</strong> as an imposter!</p>
+                        ) : imposterGuess?.correct ? (
+                            <p><strong>{votedOutPlayer.name}</strong> was caught but guessed the secret word!</p>
                         ) : (
-                            <p><strong>{imposter.name}</strong> fooled everyone and wasn't caught!</p>
+                            <p><strong>{imposterNames}</strong> fooled everyone and {isPlural ? "weren't" : "wasn't"} caught!</p>
                         )}
                     </div>
                 </div>
@@ -13,6 +13,9 @@
  * Features:
  * - Imposter sees: topic only + "You are the imposter"
  * - Regular players see: topic + secret word
+ * - V1.4: Imposters see their partners if the host enabled it
+ * - V1.4: Everyone sees how many imposters are in play
+ * - V1.4: Spectators (joined mid-game) get no role
  * - Host can proceed to description phase
  * - Timer auto-advances after 10 seconds
  */
@@ -22,8 +25,11 @@ import { useGame } from '../GameContext';
 export default function RoleReveal() {
     const { 
         isImposter, 
+        imposterPartners,
+        isSpectator,
         secretWord, 
         topic, 
+        roomSettings,
         isHost, 
         startDescriptionPhase,
         timer,
@@ -39,6 +45,9 @@ export default function RoleReveal() {
             console.error('Failed to start description phase:', err);
         }
     };
+    
+    // V1.4: Number of imposters in this game
+    const imposterCount = roomSettings?.imposterCount || 1;
 
     return (
         <>
@@ -89,11 +98,23 @@ export default function RoleReveal() {
                         </div>
                     </div>
                     
-                    {isImposter ? (
+                    {isSpectator ? (
+                        <div className="role spectator">
+                            <h3>👀 You are spectating</h3>
+                            <p>You joined mid-game, so you have no role this time.</p>
+                            <p>You will play from the next game.</p>
+                        </div>
+                    ) : isImposter ? (
                         <div className="role imposter">
                             <h3>🎭 You are the IMPOSTER!</h3>
                             <p>You don't know the secret word.</p>
                             <p>Try to blend in with your description!</p>
+                            {imposterPartners.length > 0 && (
+                                <p className="imposter-partners">
+                                    Your partner{imposterPartners.length !== 1 ? 's' : ''}:{' '}
+                                    <strong>{imposterPartners.map(p => p.name).join(', ')}</strong>
+                                </p>
+                            )}
                         </div>
                     ) : (
                         <div className="role regular">
@@ -103,6 +124,9 @@ export default function RoleReveal() {
                                 <strong>{secretWord}</strong>
                             </div>
                             <p>Describe this word without saying it!</p>
+                            {imposterCount > 1 && (
+                                <p>There are <strong>{imposterCount}</strong> imposters this game.</p>
+                            )}
                         </div>
                     )}
                     
@@ -18,11 +18,19 @@
  * - Cannot vote for yourself
  * - Early end when all players confirm
  * - Real-time chat for discussion
+ * 
+ * V1.4: Imposters can end the game early with a word guess (CallItButton)
+ * V1.4: Descriptions are grouped by description round
+ * V1.4: Multi-elimination - eliminated players can't be voted for and
+ *       watch the vote without voting or chatting
+ * V1.4: Spectators (joined mid-game) watch the same way
  */
 
 import { useState, useRef, useEffect } from 'react';
 import { useGame } from '../GameContext';
 import Avatar from '../components/Avatar';
+import CallItButton from '../components/CallItButton';
+import DescriptionList from '../components/DescriptionList';
 
 export default function VotingPhase() {
     const { 
@@ -36,6 +44,8 @@ export default function VotingPhase() {
         confirmProgress,
         chatMessages,
         sendChatMessage,
+        isEliminated,
+        isSpectator,
         timer,
         error,
         clearError
@@ -90,6 +100,16 @@ export default function VotingPhase() {
 
     if (!room) return null;
 
+    // V1.4: Eliminated players, spectators and the moderator sit out the vote
+    const candidates = room.players.filter(p => !p.eliminated && !p.spectator && !p.moderator);
+    const sittingOut = isEliminated || isSpectator;
+    const sittingOutNotice = (
+        <div className="eliminated-notice">
+            <p>{isSpectator ? '👀 You are spectating - you will play from the next game.' : '👻 You were eliminated.'}</p>
+            <p>You can follow the discussion, but not vote or chat.</p>
+        </div>
+    );
+
     // Get the selected player's name for display
     const selectedPlayer = selectedVote 
         ? room.players.find(p => p.id === selectedVote) 
@@ -123,18 +143,20 @@ export default function VotingPhase() {
                 <div ref={chatEndRef} />
             </div>
             
-            <form onSubmit={handleSendChat} className="chat-input-form">
-                <input
-                    type="text"
-                    value={chatInput}
-                    onChange={(e) => setChatInput(e.target.value)}
-                    placeholder="Type a message..."
-                    maxLength={200}
-                />
-                <button type="submit" disabled={!chatInput.trim()}>
-                    Send
-                </button>
-            </form>
+            {!sittingOut && (
+                <form onSubmit={handleSendChat} className="chat-input-form">
+                    <input
+                        type="text"
+                        value={chatInput}
+                        onChange={(e) => setChatInput(e.target.value)}
+                        placeholder="Type a message..."
+                        maxLength={200}
+                    />
+                    <button type="submit" disabled={!chatInput.trim()}>
+                        Send
+                    </button>
+                </form>
+            )}
             {chatError && <p className="chat-error">{chatError}</p>}
         </div>
     );
@@ -147,8 +169,10 @@ export default function VotingPhase() {
             <div className="game-panel-left">
                 <h3>🗳️ Vote for Imposter</h3>
                 
-                <div className="vote-buttons">
-                    {room.players.map((p) => (
+                {sittingOut && sittingOutNotice}
+                
+                {!sittingOut && <div className="vote-buttons">
+                    {candidates.map((p) => (
                         <button
                             key={p.id}
                             onClick={() => handleSelect(p.id)}
@@ -162,6 +186,7 @@ export default function VotingPhase() {
                                 seed={p.id || p.name}
                                 size={32}
                                 className="avatar-sm"
+                                disconnected={p.connected === false}
                             />
                             <span className="player-name">
                                 {p.name}
@@ -170,7 +195,7 @@ export default function VotingPhase() {
                             {selectedVote === p.id && <span className="check-mark">✓</span>}
                         </button>
                     ))}
-                </div>
+                </div>}
                 
                 {/* Confirm section - shown in left panel on desktop */}
                 {selectedVote && !hasConfirmedVote && (
@@ -216,23 +241,13 @@ export default function VotingPhase() {
                         <div className="error">{error}</div>
                     )}
                     
+                    {/* V1.4: Imposter-only early guess */}
+                    <CallItButton />
+                    
                     {/* Descriptions with player attribution */}
                     <div className="descriptions-list">
                         <h3>What Everyone Said</h3>
-                        <ul>
-                            {descriptions.map((d, index) => (
-                                <li key={index}>
-                                    <Avatar 
-                                        seed={d.playerId || d.playerName}
-                                        size={28}
-                                        className="avatar-sm"
-                                    />
-                                    <span className="description-content">
-                                        <strong>{d.playerName}:</strong> "{d.description}"
-                                    </span>
-                                </li>
-                            ))}
-                        </ul>
+                        <DescriptionList descriptions={descriptions} />
                     </div>
                     
                     {/* Mobile-only: Full voting and chat section */}
@@ -240,13 +255,13 @@ export default function VotingPhase() {
                         <div className="voting-chat-container">
                             {/* Voting section */}
                             <div className="voting-section-wrapper">
-                                {!hasConfirmedVote ? (
+                                {sittingOut ? sittingOutNotice : !hasConfirmedVote ? (
                                     <div className="voting-section">
                                         <h3>Who is the imposter?</h3>
                                         
                                         {/* Player selection buttons */}
                                         <div className="vote-buttons">
-                                            {room.players.map((p) => (
+                                            {candidates.map((p) => (
                                                 <button
                                                     key={p.id}
                                                     onClick={() => handleSelect(p.id)}
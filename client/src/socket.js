@@ -13,7 +13,7 @@ import { io } from 'socket.io-client';
 
 // Connect to the backend server
 // Environment variable is set in .env.development and .env.production
-const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3001';
+export const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3001';
 
 // Determine if we're in production
 const isProduction = import.meta.env.PROD;
@@ -0,0 +1,66 @@
+/**
+ * Cluster Adapter Module (V1.4)
+ *
+ * Socket.io adapter that relays broadcasts, room joins/leaves and
+ * disconnects between game servers through the shared room store's
+ * publish/subscribe. With it, io.to(roomCode).emit(...) on one node reaches
+ * the players connected to every other node.
+ *
+ * CHANNELS:
+ * - socket.io#<namespace>          - messages for every node
+ * - socket.io#<namespace>#<nodeUid> - replies to one node's requests
+ */
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+const CHANNEL_PREFIX = 'socket.io';
+
+class StoreClusterAdapter extends ClusterAdapterWithHeartbeat {
+    /**
+     * @param {Object} nsp - Socket.io namespace
+     * @param {Object} store - Shared roomStore backend
+     */
+    constructor(nsp, store) {
+        super(nsp, {});
+        this.store = store;
+        this.channel = `${CHANNEL_PREFIX}#${nsp.name}`;
+        this.responseChannel = `${this.channel}#${this.uid}`;
+
+        this.onStoreMessage = (message) => this.onMessage(message);
+        this.onStoreResponse = (response) => this.onResponse(response);
+
+        store.subscribe(this.channel, this.onStoreMessage);
+        store.subscribe(this.responseChannel, this.onStoreResponse);
+    }
+
+    doPublish(message) {
+        return this.store.publish(this.channel, message).then(() => '');
+    }
+
+    doPublishResponse(requesterUid, response) {
+        return this.store.publish(`${this.channel}#${requesterUid}`, response);
+    }
+
+    close() {
+        super.close();
+        this.store.unsubscribe(this.channel, this.onStoreMessage);
+        this.store.unsubscribe(this.responseChannel, this.onStoreResponse);
+    }
+}
+
+/**
+ * Creates the Socket.io `adapter` option for a shared store.
+ *
+ * @param {Object} store - Shared roomStore backend
+ * @returns {Function} - Adapter factory (one adapter per namespace)
+ */
+function createClusterAdapter(store) {
+    // Socket.io calls this with `new`, so it must not be an arrow function
+    return function (nsp) {
+        return new StoreClusterAdapter(nsp, store);
+    };
+}
+
+module.exports = {
+    createClusterAdapter
+};
@@ -0,0 +1,189 @@
+/**
+ * Persistence Manager Module (V1.4)
+ *
+ * Keeps room snapshots in durable storage so a redeploy or crash does not
+ * wipe the games in progress. On boot, server.js rehydrates the stored rooms
+ * and restarts their timers from the stored remaining seconds.
+ *
+ * ADAPTERS (PERSISTENCE_ADAPTER):
+ * - none (default): Nothing is stored - rooms live only in memory
+ * - file: One JSON file per room in PERSISTENCE_DIR (default server/data/rooms)
+ *
+ * An adapter implements:
+ *   saveRoom(roomCode, record)  - store (or replace) a room's record
+ *   removeRoom(roomCode)        - forget a room
+ *   loadRooms()                 - every stored record, in any order
+ * so other backends (SQLite, Redis...) only need those three calls.
+ *
+ * RECORD FORMAT:
+ *   { room, timer: { phase, remainingSeconds } | null, savedAt }
+ *   - room: roomManager.createRoomSnapshot() output
+ *
+ * SECURITY:
+ * - Records include secrets (imposters, secret word, password hash).
+ *   The storage location must never be served or shared.
+ * - Reconnect tokens only survive a restart when SESSION_SECRET is set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// =============================================================================
+// FILE ADAPTER
+// =============================================================================
+
+/**
+ * Stores each room as <roomCode>.json in a directory.
+ * Room codes are generated server-side (A-Z, 0-9), so they are safe as file names.
+ *
+ * @param {string} dir - Directory for the room files
+ * @returns {Object} - The adapter
+ */
+function createFileAdapter(dir) {
+    const getFilePath = (roomCode) => path.join(dir, `${roomCode}.json`);
+
+    return {
+        name: `file (${dir})`,
+
+        // Temp file + rename so a crash never leaves half a snapshot
+        saveRoom(roomCode, record) {
+            fs.mkdirSync(dir, { recursive: true });
+            const filePath = getFilePath(roomCode);
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(record));
+            fs.renameSync(tempPath, filePath);
+        },
+
+        removeRoom(roomCode) {
+            fs.rmSync(getFilePath(roomCode), { force: true });
+        },
+
+        loadRooms() {
+            if (!fs.existsSync(dir)) {
+                return [];
+            }
+
+            const records = [];
+            for (const fileName of fs.readdirSync(dir)) {
+                if (!fileName.endsWith('.json')) {
+                    continue;
+                }
+
+                try {
+                    records.push(JSON.parse(fs.readFileSync(path.join(dir, fileName), 'utf8')));
+                } catch (e) {
+                    console.log(`[Persistence] Could not read room file ${fileName}: ${e.message}`);
+                }
+            }
+            return records;
+        }
+    };
+}
+
+// =============================================================================
+// ADAPTER SELECTION
+// =============================================================================
+
+const PERSISTENCE_DIR = process.env.PERSISTENCE_DIR || path.join(__dirname, 'data', 'rooms');
+
+/**
+ * Picks the adapter from PERSISTENCE_ADAPTER.
+ *
+ * @returns {Object|null} - The adapter, or null when persistence is off
+ */
+function createAdapter() {
+    const name = (process.env.PERSISTENCE_ADAPTER || 'none').toLowerCase();
+
+    switch (name) {
+        case 'none':
+            return null;
+        case 'file':
+            return createFileAdapter(PERSISTENCE_DIR);
+        default:
+            console.log(`[Persistence] Unknown PERSISTENCE_ADAPTER "${name}" - persistence disabled`);
+            return null;
+    }
+}
+
+const adapter = createAdapter();
+
+if (adapter) {
+    console.log(`[Persistence] Storing room snapshots with the ${adapter.name} adapter`);
+    if (!process.env.SESSION_SECRET) {
+        console.log('[Persistence] SESSION_SECRET not set - players cannot reclaim restored seats after a restart');
+    }
+}
+
+// =============================================================================
+// PERSISTENCE FUNCTIONS
+// =============================================================================
+
+/**
+ * Whether an adapter is configured.
+ *
+ * @returns {boolean}
+ */
+function isEnabled() {
+    return adapter !== null;
+}
+
+/**
+ * Stores a room's snapshot and timer state.
+ * Storage errors are logged, never thrown - a failed write must not break the game.
+ *
+ * @param {string} roomCode - The room code
+ * @param {Object} snapshot - roomManager.createRoomSnapshot() output
+ * @param {Object|null} timer - { phase, remainingSeconds } of the running timer
+ */
+function saveRoom(roomCode, snapshot, timer) {
+    if (!adapter) return;
+
+    try {
+        adapter.saveRoom(roomCode, { room: snapshot, timer: timer || null, savedAt: Date.now() });
+    } catch (e) {
+        console.error(`[Persistence] Failed to save room ${roomCode}: ${e.message}`);
+    }
+}
+
+/**
+ * Forgets a room (called when its last player leaves).
+ *
+ * @param {string} roomCode - The room code
+ */
+function removeRoom(roomCode) {
+    if (!adapter) return;
+
+    try {
+        adapter.removeRoom(roomCode);
+    } catch (e) {
+        console.error(`[Persistence] Failed to remove room ${roomCode}: ${e.message}`);
+    }
+}
+
+/**
+ * Loads every stored room record. Called once on server start.
+ *
+ * @returns {Object[]} - [{ room, timer, savedAt }]
+ */
+function loadRooms() {
+    if (!adapter) return [];
+
+    try {
+        return adapter.loadRooms();
+    } catch (e) {
+        console.error(`[Persistence] Failed to load rooms: ${e.message}`);
+        return [];
+    }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+    createFileAdapter,
+    isEnabled,
+    saveRoom,
+    removeRoom,
+    loadRooms
+};
@@ -5,6 +5,9 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const tokenManager = require('./tokenManager');
+const { store: roomStore, NODE_ID } = require('./roomStore');
+const wordPackManager = require('./wordPackManager');
 
 // =============================================================================
 // IN-MEMORY DATA STORE
@@ -16,12 +19,23 @@ const { v4: uuidv4 } = require('uuid');
  *   [roomCode]: {
  *     code: string,
  *     hostId: string,          // Player ID of the room host
- *     phase: 'lobby' | 'roleReveal' | 'description' | 'voting' | 'results' | 'postGame',
- *     players: Map<playerId, { id, name, socketId }>,
+ *     phase: 'lobby' | 'roleReveal' | 'description' | 'voting' | 'imposterGuess' | 'results' | 'postGame',
+ *     players: Map<playerId, { id, name, socketId, connected, disconnectTimeoutId? }>,
  *     createdAt: Date,
- *     gameNumber: number       // V1.1: Track game count for replays
+ *     gameNumber: number,      // V1.1: Track game count for replays
+ *     imposterIds: string[],   // V1.4: SECRET - set while a game is running
+ *     wordPack?: { name, topics: [{ topic, words }] },  // V1.4: Host-uploaded pack (kept across games)
+ *     usedWords: Set<string>,  // V1.4: "topic|word" keys already played this session
+ *     lastWordKey?: string,    // V1.4: Most recent word (never repeated back-to-back)
+ *     imposterHistory: { [playerId]: number }, // V1.4: Times each player was imposter (kept across games)
+ *     scores: { [playerId]: { name, points } }  // V1.4: Running leaderboard (reset by host only)
  *   }
  * }
+ * 
+ * V1.4: When persistence is enabled, server.js snapshots rooms with
+ * createRoomSnapshot() and rebuilds them on boot with restoreRoom().
+ * V1.4: This Map is the process's working copy of rooms kept in the room
+ * store (roomStore.js) - see runRoomTask().
  */
 const rooms = new Map();
 
@@ -32,6 +46,7 @@ const rooms = new Map();
 /**
  * Temporary in-memory topic/word bank.
  * Each topic contains a list of words that players will describe.
+ * V1.4: Used unless the host has uploaded a custom word pack for the room.
  */
 const TOPICS = [
     { topic: "Fruits", words: ["Apple", "Mango", "Banana", "Orange", "Grape", "Watermelon", "Strawberry"] },
@@ -73,13 +88,90 @@ function generatePlayerId() {
     return uuidv4();
 }
 
+/**
+ * V1.4: Builds the topic pool for a room.
+ * Pool = uploaded room pack + selected library packs; built-in TOPICS if both are empty.
+ * @param {Object} [room] - The room
+ * @returns {Array} - [{ topic, words }]
+ */
+function getTopicPool(room) {
+    const pool = [];
+    
+    if (room?.wordPack) {
+        pool.push(...room.wordPack.topics);
+    }
+    
+    for (const packId of room?.settings?.wordPackIds || []) {
+        // Packs deleted from the library since selection are skipped
+        const pack = wordPackManager.getLibraryPack(packId);
+        if (pack) {
+            pool.push(...pack.topics);
+        }
+    }
+    
+    return pool.length > 0 ? pool : TOPICS;
+}
+
+/**
+ * V1.4: Key used to remember a played topic/word pair.
+ */
+function getWordKey(topic, word) {
+    return `${topic.toLowerCase()}|${word.toLowerCase()}`;
+}
+
+/**
+ * V1.4: Lists the pool's topics with only the words not yet played in the room.
+ * @param {Array} topics - The topic pool
+ * @param {Set<string>} usedWords - Played word keys
+ * @returns {Array} - [{ topic, words }] (topics with no unused words are dropped)
+ */
+function getUnusedTopics(topics, usedWords) {
+    return topics
+        .map(t => ({ topic: t.topic, words: t.words.filter(w => !usedWords.has(getWordKey(t.topic, w))) }))
+        .filter(t => t.words.length > 0);
+}
+
 /**
  * Selects a random topic and word from that topic.
+ * 
+ * V1.4 WORD HISTORY:
+ * - Draws from the room's word packs
+ * - Skips words already played in this room (across games and tie replays)
+ * - Once every word in the pool is used, the pool's history is cleared and
+ *   a new cycle starts (never repeating the word that was just played)
+ * 
+ * @param {Object} [room] - The room (records the chosen word in room.usedWords)
  * @returns {Object} - { topic: string, word: string }
  */
-function getRandomTopicAndWord() {
-    const topicData = TOPICS[Math.floor(Math.random() * TOPICS.length)];
+function getRandomTopicAndWord(room) {
+    const topics = getTopicPool(room);
+    const usedWords = room?.usedWords || new Set();
+    
+    let candidates = getUnusedTopics(topics, usedWords);
+    
+    if (candidates.length === 0) {
+        // Pool exhausted - start a new cycle
+        topics.forEach(t => t.words.forEach(w => usedWords.delete(getWordKey(t.topic, w))));
+        
+        const lastWordKey = room?.lastWordKey;
+        candidates = getUnusedTopics(topics, new Set(lastWordKey ? [lastWordKey] : []));
+        if (candidates.length === 0) {
+            candidates = topics;    // Pool has a single word
+        }
+        
+        console.log(`[Game] Word pool exhausted in room ${room?.code} - starting a new cycle`);
+    }
+    
+    const topicData = candidates[Math.floor(Math.random() * candidates.length)];
     const word = topicData.words[Math.floor(Math.random() * topicData.words.length)];
+    
+    if (room) {
+        const key = getWordKey(topicData.topic, word);
+        room.usedWords = usedWords;
+        room.usedWords.add(key);
+        room.lastWordKey = key;
+    }
+    
     return {
         topic: topicData.topic,
         word: word
@@ -87,14 +179,57 @@ function getRandomTopicAndWord() {
 }
 
 /**
- * Selects a random player as the imposter.
+ * V1.4: Selects random players as imposters.
  * @param {Map} players - Map of players in the room
- * @returns {string} - Player ID of the selected imposter
+ * @param {number} count - Number of imposters to pick
+ * @returns {string[]} - Player IDs of the selected imposters
  */
-function selectRandomImposter(players) {
+function selectRandomImposters(players, count) {
     const playerIds = Array.from(players.keys());
-    const randomIndex = Math.floor(Math.random() * playerIds.length);
-    return playerIds[randomIndex];
+    return shuffleArray(playerIds).slice(0, count);
+}
+
+/**
+ * V1.4: Selects imposters in fair rotation.
+ * Players who have been imposter the fewest times go first (random among ties),
+ * so everyone gets the role once before anyone gets it twice.
+ * 
+ * @param {Map} players - Map of players in the room
+ * @param {number} count - Number of imposters to pick
+ * @param {Object} imposterHistory - { [playerId]: timesImposter } (every player present)
+ * @returns {string[]} - Player IDs of the selected imposters
+ */
+function selectFairImposters(players, count, imposterHistory) {
+    const playerIds = Array.from(players.keys());
+    
+    // Shuffle first so the stable sort breaks ties randomly
+    return shuffleArray(playerIds)
+        .sort((a, b) => imposterHistory[a] - imposterHistory[b])
+        .slice(0, count);
+}
+
+/**
+ * V1.4: Adds players missing from room.imposterHistory.
+ * Late joiners start at the current lowest count, so they wait for the
+ * next turn of the rotation instead of being picked right away.
+ * 
+ * @param {Object} room - The room
+ */
+function syncImposterHistory(room) {
+    if (!room.imposterHistory) {
+        room.imposterHistory = {};
+    }
+    
+    const knownCounts = Array.from(room.players.keys())
+        .filter(id => room.imposterHistory[id] !== undefined)
+        .map(id => room.imposterHistory[id]);
+    const baseline = knownCounts.length > 0 ? Math.min(...knownCounts) : 0;
+    
+    room.players.forEach((p, id) => {
+        if (room.imposterHistory[id] === undefined) {
+            room.imposterHistory[id] = baseline;
+        }
+    });
 }
 
 /**
@@ -112,6 +247,66 @@ function shuffleArray(array) {
     return shuffled;
 }
 
+/**
+ * V1.4: Possible singular forms of an English word, the word itself included.
+ * Plural spellings overlap ("movies" / "berries", "buses" / "horses"), so every
+ * candidate stem is kept: "-ies" → "-y" and "-ie", "-es" → "" and "-e", "-s" → "".
+ * @param {string} word - A lowercase word
+ * @returns {string[]}
+ */
+function getSingularForms(word) {
+    const forms = new Set([word]);
+    if (word.length > 4 && word.endsWith('ies')) {
+        forms.add(word.slice(0, -3) + 'y');
+        forms.add(word.slice(0, -1));
+    }
+    if (word.length > 3 && word.endsWith('es')) {
+        forms.add(word.slice(0, -2));
+        forms.add(word.slice(0, -1));
+    }
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) {
+        forms.add(word.slice(0, -1));
+    }
+    return Array.from(forms);
+}
+
+/**
+ * V1.4: Normalizes a word guess for loose comparison.
+ * Ignores case, accents, punctuation, spacing and leading articles. The last
+ * word may be plural, so every singular form of it is returned.
+ * @param {string} text - Guess or secret word
+ * @returns {string[]} - Normalized forms (empty when nothing is left)
+ */
+function normalizeGuess(text) {
+    const tokens = String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')     // Strip accents
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')  // Keep letters and digits of any script
+        .split(/\s+/)
+        .filter(Boolean)
+        .filter((token, index) => !(index === 0 && ['a', 'an', 'the'].includes(token)));
+    
+    if (tokens.length === 0) {
+        return [];
+    }
+    
+    const head = tokens.slice(0, -1).join('');
+    return getSingularForms(tokens[tokens.length - 1]).map(form => head + form);
+}
+
+/**
+ * V1.4: Checks an imposter's guess against the secret word.
+ * Correct when any normalized form of the guess matches one of the word's.
+ * @param {string} guess - The imposter's guess
+ * @param {string} word - The secret word
+ * @returns {boolean}
+ */
+function isGuessCorrect(guess, word) {
+    const wordForms = normalizeGuess(word);
+    return normalizeGuess(guess).some(form => wordForms.includes(form));
+}
+
 // =============================================================================
 // ROOM OPERATIONS
 // =============================================================================
@@ -126,7 +321,16 @@ function shuffleArray(array) {
  */
 const DEFAULT_SETTINGS = {
     descriptionTime: 10,   // seconds per speaker (min: 5, max: 60)
-    votingTime: 60         // seconds for voting phase (min: 15, max: 180)
+    votingTime: 60,        // seconds for voting phase (min: 15, max: 180)
+    imposterCount: 1,      // V1.4: imposters per game (min: 1, max: 3)
+    revealImposterPartners: false,  // V1.4: imposters learn who their partners are
+    wordPackIds: [],       // V1.4: library packs to draw words from (empty = built-in)
+    fairImposterRotation: false,    // V1.4: everyone is imposter once before anyone repeats
+    descriptionRounds: 1,  // V1.4: passes through the speaking order before voting (min: 1, max: 3)
+    multiElimination: false,        // V1.4: voted-out civilians are eliminated and play continues
+    isPublic: false,                // V1.4: listed in the public room browser / Quick Play
+    maxPlayers: 12,        // V1.4: seats per game (min: 4, max: 20) - extra joiners spectate
+    requireReady: false             // V1.4: game:start waits until every player is ready
 };
 
 /**
@@ -134,23 +338,40 @@ const DEFAULT_SETTINGS = {
  */
 const SETTINGS_LIMITS = {
     descriptionTime: { min: 5, max: 60 },
-    votingTime: { min: 15, max: 180 }
+    votingTime: { min: 15, max: 180 },
+    imposterCount: { min: 1, max: 3 },
+    descriptionRounds: { min: 1, max: 3 },
+    wordPackIds: { max: 10 },
+    password: { max: 32 },      // V1.4: Room password length ('' = no password)
+    maxPlayers: { min: 4, max: 20 }     // V1.4
 };
 
 /**
  * Creates a new room with the specified host player.
+ * V1.4: The host may take the moderator seat - they run the room and watch
+ * every game with the word and imposters visible, but never play.
+ * V1.4: An optional password makes the room private (only its hash is kept).
+ * 
  * @param {string} hostName - Name of the player creating the room
  * @param {string} socketId - Socket ID of the host
- * @returns {Object} - { room, player } The created room and host player
+ * @param {boolean} [moderator] - V1.4: Host takes the moderator seat
+ * @param {string} [password] - V1.4: Room password ('' or omitted = open room)
+ * @param {boolean} [isPublic] - V1.4: List the room in the public room browser
+ * @returns {Promise<Object>} - { room, player } The created room and host player
  */
-function createRoom(hostName, socketId) {
+async function createRoom(hostName, socketId, moderator = false, password = '', isPublic = false) {
+    // V1.4: Hash first, so the rest runs in one go
+    const passwordHash = password ? await tokenManager.hashPassword(password) : null;
+    
     const roomCode = generateRoomCode();
     const playerId = generatePlayerId();
     
     const player = {
         id: playerId,
         name: hostName,
-        socketId: socketId
+        socketId: socketId,
+        connected: true,
+        moderator: moderator    // V1.4: God-view seat, never plays
     };
     
     const room = {
@@ -160,12 +381,19 @@ function createRoom(hostName, socketId) {
         players: new Map([[playerId, player]]),
         createdAt: new Date(),
         gameNumber: 0,              // V1.1: Track number of games played
-        settings: { ...DEFAULT_SETTINGS }   // V1.2: Host-configurable settings
+        settings: { ...DEFAULT_SETTINGS, isPublic },  // V1.2: Host-configurable settings
+        usedWords: new Set(),               // V1.4: Words already played this session
+        imposterHistory: {},                // V1.4: Times each player has been imposter
+        scores: {},                         // V1.4: Running leaderboard
+        bannedPlayerIds: new Set(),         // V1.4: Kicked with ban - reconnect tokens refused
+        bannedNames: new Set(),             // V1.4: Kicked with ban - lowercased names refused
+        passwordHash: passwordHash          // V1.4: Never plain text
     };
     
     rooms.set(roomCode, room);
+    createdRoomCodes.add(roomCode);     // V1.4: Committed by runRoomTask()
     
-    console.log(`[Room] Created room ${roomCode} by ${hostName}`);
+    console.log(`[Room] Created room ${roomCode} by ${hostName}${moderator ? ' (moderator)' : ''}${password ? ' (password)' : ''}`);
     
     return { room, player };
 }
@@ -175,10 +403,10 @@ function createRoom(hostName, socketId) {
  * 
  * @param {string} roomCode - The room code
  * @param {string} playerId - The player requesting the update (must be host)
- * @param {Object} newSettings - Settings to update { descriptionTime?, votingTime? }
- * @returns {Object} - { success, error?, room?, settings? }
+ * @param {Object} newSettings - Settings to update { descriptionTime?, votingTime?, imposterCount?, revealImposterPartners?, wordPackIds?, fairImposterRotation?, descriptionRounds?, multiElimination?, isPublic?, requireReady?, maxPlayers?, password? }
+ * @returns {Promise<Object>} - { success, error?, room?, settings? }
  */
-function updateRoomSettings(roomCode, playerId, newSettings) {
+async function updateRoomSettings(roomCode, playerId, newSettings) {
     const room = rooms.get(roomCode.toUpperCase());
     
     if (!room) {
@@ -237,6 +465,190 @@ function updateRoomSettings(roomCode, playerId, newSettings) {
         updatedFields.push('votingTime');
     }
     
+    // V1.4: Number of imposters (player count is checked again at game start)
+    if (newSettings.imposterCount !== undefined) {
+        const value = parseInt(newSettings.imposterCount, 10);
+        const limits = SETTINGS_LIMITS.imposterCount;
+        
+        if (isNaN(value) || value < limits.min || value > limits.max) {
+            return { 
+                success: false, 
+                error: 'INVALID_VALUE',
+                field: 'imposterCount',
+                limits: limits
+            };
+        }
+        
+        // V1.4: The player cap must leave room for the required players
+        const maxPlayers = newSettings.maxPlayers !== undefined
+            ? parseInt(newSettings.maxPlayers, 10)
+            : getMaxPlayers(room);
+        if (getMinPlayersForImposters(value) > maxPlayers) {
+            return { 
+                success: false, 
+                error: 'INVALID_VALUE',
+                field: 'imposterCount',
+                limits: limits
+            };
+        }
+        
+        room.settings.imposterCount = value;
+        updatedFields.push('imposterCount');
+    }
+    
+    // V1.4: Rounds of clues before voting
+    if (newSettings.descriptionRounds !== undefined) {
+        const value = parseInt(newSettings.descriptionRounds, 10);
+        const limits = SETTINGS_LIMITS.descriptionRounds;
+        
+        if (isNaN(value) || value < limits.min || value > limits.max) {
+            return { 
+                success: false, 
+                error: 'INVALID_VALUE',
+                field: 'descriptionRounds',
+                limits: limits
+            };
+        }
+        
+        room.settings.descriptionRounds = value;
+        updatedFields.push('descriptionRounds');
+    }
+    
+    if (newSettings.revealImposterPartners !== undefined) {
+        if (typeof newSettings.revealImposterPartners !== 'boolean') {
+            return { 
+                success: false, 
+                error: 'INVALID_VALUE',
+                field: 'revealImposterPartners'
+            };
+        }
+        
+        room.settings.revealImposterPartners = newSettings.revealImposterPartners;
+        updatedFields.push('revealImposterPartners');
+    }
+    
+    if (newSettings.fairImposterRotation !== undefined) {
+        if (typeof newSettings.fairImposterRotation !== 'boolean') {
+            return { 
+                success: false, 
+                error: 'INVALID_VALUE',
+                field: 'fairImposterRotation'
+            };
+        }
+        
+        room.settings.fairImposterRotation = newSettings.fairImposterRotation;
+        updatedFields.push('fairImposterRotation');
+    }
+    
+    // V1.4: Werewolf-style play until the imposter is found or wins
+    if (newSettings.multiElimination !== undefined) {
+        if (typeof newSettings.multiElimination !== 'boolean') {
+            return { 
+                success: false, 
+                error: 'INVALID_VALUE',
+                field: 'multiElimination'
+            };
+        }
+        
+        room.settings.multiElimination = newSettings.multiElimination;
+        updatedFields.push('multiElimination');
+    }
+    
+    if (newSettings.isPublic !== undefined) {
+        if (typeof newSettings.isPublic !== 'boolean') {
+            return { 
+                success: false, 
+                error: 'INVALID_VALUE',
+                field: 'isPublic'
+            };
+        }
+        
+        room.settings.isPublic = newSettings.isPublic;
+        updatedFields.push('isPublic');
+    }
+    
+    if (newSettings.requireReady !== undefined) {
+        if (typeof newSettings.requireReady !== 'boolean') {
+            return { 
+                success: false, 
+                error: 'INVALID_VALUE',
+                field: 'requireReady'
+            };
+        }
+        
+        room.settings.requireReady = newSettings.requireReady;
+        updatedFields.push('requireReady');
+    }
+    
+    // V1.4: Player cap - at least the players the imposter count needs and
+    // the players already seated (nobody is pushed out)
+    if (newSettings.maxPlayers !== undefined) {
+        const value = parseInt(newSettings.maxPlayers, 10);
+        const limits = {
+            min: Math.max(
+                SETTINGS_LIMITS.maxPlayers.min,
+                getMinPlayersForImposters(room.settings.imposterCount || 1),
+                countSeatedPlayers(room)
+            ),
+            max: SETTINGS_LIMITS.maxPlayers.max
+        };
+        
+        if (isNaN(value) || value < limits.min || value > limits.max) {
+            return { 
+                success: false, 
+                error: 'INVALID_VALUE',
+                field: 'maxPlayers',
+                limits: limits
+            };
+        }
+        
+        room.settings.maxPlayers = value;
+        updatedFields.push('maxPlayers');
+        
+        // Waiting spectators take any new seats right away
+        if (room.phase === 'lobby') {
+            fillOpenSeats(room);
+        }
+    }
+    
+    // V1.4: Selected library packs (must all exist)
+    if (newSettings.wordPackIds !== undefined) {
+        const value = newSettings.wordPackIds;
+        const limits = SETTINGS_LIMITS.wordPackIds;
+        
+        if (!Array.isArray(value) || value.length > limits.max ||
+            !value.every(id => typeof id === 'string' && wordPackManager.getLibraryPack(id))) {
+            return { 
+                success: false, 
+                error: 'INVALID_VALUE',
+                field: 'wordPackIds',
+                limits: limits
+            };
+        }
+        
+        room.settings.wordPackIds = [...new Set(value)];
+        updatedFields.push('wordPackIds');
+    }
+    
+    // V1.4: Room password - kept as a hash outside room.settings so it is
+    // never broadcast. '' removes the password.
+    if (newSettings.password !== undefined) {
+        const value = newSettings.password;
+        const limits = SETTINGS_LIMITS.password;
+        
+        if (typeof value !== 'string' || value.length > limits.max) {
+            return { 
+                success: false, 
+                error: 'INVALID_VALUE',
+                field: 'password',
+                limits: limits
+            };
+        }
+        
+        room.passwordHash = value ? await tokenManager.hashPassword(value) : null;
+        updatedFields.push('password');
+    }
+    
     console.log(`[Room] Settings updated in room ${roomCode}: ${updatedFields.join(', ')}`);
     
     return { 
@@ -247,170 +659,678 @@ function updateRoomSettings(roomCode, playerId, newSettings) {
     };
 }
 
+/**
+ * V1.4: Sets a custom word pack for the room. Host-only, lobby/postGame only.
+ * The pack replaces the built-in topics for every following game
+ * (including tie-breaker replays) until it is cleared.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string} playerId - The player uploading the pack (must be host)
+ * @param {Object} data - { content, format?, name? } raw JSON/CSV pack text
+ * @returns {Object} - { success, error?, message?, room?, wordPack? }
+ */
+function setRoomWordPack(roomCode, playerId, data) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { success: false, error: 'ROOM_NOT_FOUND' };
+    }
+    
+    if (room.phase !== 'lobby' && room.phase !== 'postGame') {
+        return { success: false, error: 'INVALID_PHASE' };
+    }
+    
+    if (room.hostId !== playerId) {
+        return { success: false, error: 'NOT_HOST' };
+    }
+    
+    const { content, format, name } = data || {};
+    const result = wordPackManager.parseWordPack(content, format, name);
+    
+    if (!result.success) {
+        return result;
+    }
+    
+    room.wordPack = result.pack;
+    
+    const summary = wordPackManager.summarizePack(room.wordPack);
+    console.log(`[Room] Word pack "${summary.name}" set in room ${roomCode} (${summary.topics.length} topics, ${summary.wordCount} words)`);
+    
+    return { success: true, room: room, wordPack: summary };
+}
+
+/**
+ * V1.4: Removes the room's custom word pack (back to the built-in topics).
+ * Host-only, lobby/postGame only.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string} playerId - The player clearing the pack (must be host)
+ * @returns {Object} - { success, error?, room? }
+ */
+function clearRoomWordPack(roomCode, playerId) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { success: false, error: 'ROOM_NOT_FOUND' };
+    }
+    
+    if (room.phase !== 'lobby' && room.phase !== 'postGame') {
+        return { success: false, error: 'INVALID_PHASE' };
+    }
+    
+    if (room.hostId !== playerId) {
+        return { success: false, error: 'NOT_HOST' };
+    }
+    
+    delete room.wordPack;
+    
+    console.log(`[Room] Word pack cleared in room ${roomCode}`);
+    
+    return { success: true, room: room };
+}
+
+/**
+ * V1.4: Forgets which words were played in the room, so any word can come up again.
+ * Host-only, lobby/postGame only.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string} playerId - The player requesting the reset (must be host)
+ * @returns {Object} - { success, error?, room? }
+ */
+function resetWordHistory(roomCode, playerId) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { success: false, error: 'ROOM_NOT_FOUND' };
+    }
+    
+    if (room.phase !== 'lobby' && room.phase !== 'postGame') {
+        return { success: false, error: 'INVALID_PHASE' };
+    }
+    
+    if (room.hostId !== playerId) {
+        return { success: false, error: 'NOT_HOST' };
+    }
+    
+    room.usedWords = new Set();
+    delete room.lastWordKey;
+    
+    console.log(`[Room] Word history reset in room ${roomCode}`);
+    
+    return { success: true, room: room };
+}
+
+/**
+ * V1.4: Counts how much of the room's current word pool has been played.
+ * 
+ * @param {Object} room - The room
+ * @returns {Object} - { used, total }
+ */
+function getWordHistory(room) {
+    const topics = getTopicPool(room);
+    const usedWords = room.usedWords || new Set();
+    
+    let used = 0;
+    let total = 0;
+    topics.forEach(t => t.words.forEach(w => {
+        total++;
+        if (usedWords.has(getWordKey(t.topic, w))) used++;
+    }));
+    
+    return { used, total };
+}
+
+/**
+ * V1.4: Wrong room passwords allowed within windowMs, per socket and per
+ * client address, before room:join refuses more with TOO_MANY_ATTEMPTS
+ * (counted in server.js). Never per room, so guessers can't lock players out.
+ */
+const PASSWORD_ATTEMPT_LIMIT = {
+    perSocket: 5,
+    perAddress: 20,
+    windowMs: 60000     // 1 minute
+};
+
 /**
  * Adds a player to an existing room.
+ * V1.4: Players joining during a game are added as spectators: they get public
+ * events only and sit out descriptions and votes until the next reset.
+ * V1.4: Names the host has banned are refused with BANNED.
+ * V1.4: Private rooms need the password: PASSWORD_REQUIRED without one,
+ * WRONG_PASSWORD when it doesn't match.
+ * V1.4: Once settings.maxPlayers seats are taken, newcomers spectate and wait
+ * for a seat (see fillOpenSeats); with MAX_SPECTATORS already waiting, ROOM_FULL.
  * @param {string} roomCode - The room code to join
  * @param {string} playerName - Name of the joining player
  * @param {string} socketId - Socket ID of the player
- * @returns {Object|null} - { room, player } or null if room doesn't exist
+ * @param {string} [password] - V1.4: Room password, if the room has one
+ * @returns {Promise<Object>} - { room, player } or { error }
+ */
+async function joinRoom(roomCode, playerName, socketId, password) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { error: 'ROOM_NOT_FOUND' };
+    }
+    
+    // V1.4: Banned by the host
+    if (room.bannedNames.has(playerName.toLowerCase())) {
+        return { error: 'BANNED' };
+    }
+    
+    // V1.4: Private room
+    if (room.passwordHash) {
+        if (!password) {
+            return { error: 'PASSWORD_REQUIRED' };
+        }
+        if (!(await tokenManager.verifyPassword(password, room.passwordHash))) {
+            return { error: 'WRONG_PASSWORD' };
+        }
+    }
+    
+    // Check for duplicate names
+    for (const player of room.players.values()) {
+        if (player.name.toLowerCase() === playerName.toLowerCase()) {
+            return { error: 'NAME_TAKEN' };
+        }
+    }
+    
+    // V1.4: Player cap, with spectator overflow
+    const noSeat = countSeatedPlayers(room) >= getMaxPlayers(room);
+    if (noSeat && countWaitingSpectators(room) >= MAX_SPECTATORS) {
+        return { error: 'ROOM_FULL' };
+    }
+    
+    const playerId = generatePlayerId();
+    const player = {
+        id: playerId,
+        name: playerName,
+        socketId: socketId,
+        connected: true,
+        // V1.4: Joining mid-game (anything but lobby/postGame) makes you a spectator
+        // until the next game:reset - and so does joining a full room
+        spectator: noSeat || (room.phase !== 'lobby' && room.phase !== 'postGame')
+    };
+    
+    room.players.set(playerId, player);
+    
+    console.log(`[Room] ${playerName} joined room ${roomCode}${player.spectator ? ' as a spectator' : ''}`);
+    
+    return { room, player };
+}
+
+/**
+ * Removes a player from their room.
+ * Handles host transfer if the host leaves.
+ * Deletes room if empty.
+ * 
+ * DISCONNECT RECOVERY:
+ * - This function only removes the player from the room
+ * - Phase-specific cleanup (auto-submit, etc.) is handled by handlePlayerDisconnectMidGame()
+ * - Call handlePlayerDisconnectMidGame() BEFORE calling this during active games
+ * 
+ * @param {string} socketId - Socket ID of the disconnecting player
+ * @returns {Object|null} - { room, player, newHostId?, roomDeleted? } or null if not found
+ */
+function removePlayerBySocketId(socketId) {
+    for (const [roomCode, room] of rooms.entries()) {
+        for (const [playerId, player] of room.players.entries()) {
+            if (player.socketId === socketId) {
+                // V1.4: Cancel any pending disconnect grace timeout
+                if (player.disconnectTimeoutId) {
+                    clearTimeout(player.disconnectTimeoutId);
+                    player.disconnectTimeoutId = null;
+                }
+                
+                room.players.delete(playerId);
+                
+                console.log(`[Room] ${player.name} left room ${roomCode}`);
+                
+                // If room is now empty, delete it
+                if (room.players.size === 0) {
+                    rooms.delete(roomCode);
+                    console.log(`[Room] Deleted empty room ${roomCode}`);
+                    return { room: null, player, roomDeleted: true };
+                }
+                
+                // If the host left, transfer host to the next player
+                let newHostId = null;
+                if (room.hostId === playerId) {
+                    newHostId = room.players.keys().next().value;
+                    room.hostId = newHostId;
+                    const newHost = room.players.get(newHostId);
+                    console.log(`[Room] Host transferred to ${newHost.name} in room ${roomCode}`);
+                }
+                
+                // V1.4: A freed lobby seat goes to the longest-waiting spectator
+                if (room.phase === 'lobby') {
+                    fillOpenSeats(room);
+                }
+                
+                return { room, player, newHostId };
+            }
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Handles phase-specific cleanup when a player disconnects mid-game.
+ * This should be called BEFORE removePlayerBySocketId() during active games.
+ * 
+ * DISCONNECT RECOVERY BEHAVIOR:
+ * - Lobby phase: No special handling needed
+ * - RoleReveal phase: No special handling needed (timer will auto-progress)
+ * - Description phase: Auto-submit "(Disconnected)" for the player
+ * - Voting phase: Player's vote is ignored (treated as abstain)
+ * - Results phase: No special handling needed
+ * 
+ * This ensures the game can continue without blocking on the disconnected player.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string} playerId - The disconnecting player's ID
+ * @returns {Object} - { phase, autoSubmitted?, descriptionComplete?, votingComplete? }
+ */
+function handlePlayerDisconnectMidGame(roomCode, playerId) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { phase: null, error: 'ROOM_NOT_FOUND' };
+    }
+    
+    const phase = room.phase;
+    const result = { phase };
+    
+    // =========================================================================
+    // V1.4: IMPOSTER GUESS PHASE: The guessing imposter leaving forfeits the guess
+    // Checked first: with multiElimination the caught imposter is already
+    // marked eliminated while they guess
+    // =========================================================================
+    if (phase === 'imposterGuess' && room.pendingGuess?.imposterId === playerId) {
+        result.guesserLeft = true;
+        console.log(`[Game] Guessing imposter left room ${roomCode} - guess forfeited`);
+        return result;
+    }
+    
+    // V1.4: Eliminated players and spectators already sit out descriptions and votes
+    if (isEliminated(room, playerId) || isSpectator(room, playerId)) {
+        return result;
+    }
+    
+    // =========================================================================
+    // DESCRIPTION PHASE: Auto-submit "(Disconnected)" for the player
+    // V1.1: Also handles sequential speaking order
+    // =========================================================================
+    if (phase === 'description') {
+        // If player hasn't submitted a description, auto-submit for them
+        if (!room.descriptions[playerId]) {
+            room.descriptions[playerId] = '(Disconnected)';
+            result.autoSubmitted = true;
+            console.log(`[Game] Auto-submitted "(Disconnected)" for disconnected player in room ${roomCode}`);
+            
+            // V1.1: Check if disconnected player was the current speaker
+            if (room.speakingOrder && room.currentSpeakerIndex !== undefined) {
+                const currentSpeaker = room.speakingOrder[room.currentSpeakerIndex];
+                if (currentSpeaker && currentSpeaker.id === playerId) {
+                    result.wasCurrentSpeaker = true;
+                    // Advance to next speaker (V1.4: may start the next round)
+                    advanceSpeaker(room);
+                    result.newSpeakerIndex = room.currentSpeakerIndex;
+                }
+            }
+        }
+        
+        // Check if all remaining players have submitted (excluding disconnected)
+        // Note: The disconnected player is still in room.players at this point
+        // V1.4: Only the last description round can end the phase
+        const submittedCount = Object.keys(room.descriptions).length;
+        const totalPlayers = getActivePlayerIds(room).length; // Includes disconnected player
+        const lastRound = (room.descriptionRound || 1) >= getDescriptionRounds(room);
+        result.descriptionComplete = lastRound && submittedCount >= totalPlayers;
+    }
+    
+    // =========================================================================
+    // VOTING PHASE: Player's vote is ignored (abstain)
+    // V1.1: Uses confirmedVotes for 2-step voting
+    // =========================================================================
+    if (phase === 'voting') {
+        // No action needed - player simply doesn't vote (abstain)
+        // Their vote will be ignored in calculateVoteResults()
+        console.log(`[Game] Disconnected player's vote ignored in room ${roomCode}`);
+        
+        // V1.1: Check against confirmedVotes instead of votes
+        const votes = room.confirmedVotes || room.votes || {};
+        const votedCount = Object.keys(votes).length;
+        const remainingPlayers = getActivePlayerIds(room).length - 1; // Exclude disconnected player
+        result.votingComplete = remainingPlayers > 0 && votedCount >= remainingPlayers;
+    }
+    
+    // V1.1: PostGame phase - nothing special to do
+    if (phase === 'postGame') {
+        // Player leaving postGame is handled normally
+    }
+    
+    return result;
+}
+
+// =============================================================================
+// V1.4: DISCONNECT GRACE PERIOD
+// =============================================================================
+
+/**
+ * How long a player who drops mid-game keeps their seat before being removed.
+ * Configurable via the DISCONNECT_GRACE_SECONDS environment variable.
+ * 0 removes disconnected players immediately (pre-V1.4 behavior).
+ */
+const DISCONNECT_GRACE_SECONDS = (() => {
+    const value = parseInt(process.env.DISCONNECT_GRACE_SECONDS, 10);
+    return isNaN(value) || value < 0 ? 30 : value;
+})();
+
+/**
+ * V1.4: Marks a player as temporarily disconnected and schedules removal.
+ * 
+ * GRACE PERIOD BEHAVIOR:
+ * - Player stays in room.players with connected: false (shown greyed out)
+ * - Their turn timer keeps running - nothing is auto-submitted early
+ * - If they rejoin in time, attemptRejoin() cancels the removal
+ * - If not, onExpire(socketId) runs the normal leave/removal logic
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string} playerId - The disconnected player's ID
+ * @param {Function} onExpire - Called with the player's socketId when the window closes
+ * @returns {Object} - { success, error?, room?, player?, graceSeconds? }
+ */
+function markPlayerDisconnected(roomCode, playerId, onExpire) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { success: false, error: 'ROOM_NOT_FOUND' };
+    }
+    
+    const player = room.players.get(playerId);
+    if (!player) {
+        return { success: false, error: 'PLAYER_NOT_IN_ROOM' };
+    }
+    
+    if (player.disconnectTimeoutId) {
+        clearTimeout(player.disconnectTimeoutId);
+    }
+    
+    player.connected = false;
+    const socketId = player.socketId;
+    player.disconnectTimeoutId = setTimeout(() => {
+        player.disconnectTimeoutId = null;
+        console.log(`[Room] Grace period expired for ${player.name} in room ${roomCode}`);
+        onExpire(socketId);
+    }, DISCONNECT_GRACE_SECONDS * 1000);
+    
+    console.log(`[Room] ${player.name} disconnected from room ${roomCode} (${DISCONNECT_GRACE_SECONDS}s grace period)`);
+    
+    return { success: true, room, player, graceSeconds: DISCONNECT_GRACE_SECONDS };
+}
+
+// =============================================================================
+// V1.4: KICK AND BAN
+// =============================================================================
+
+/**
+ * V1.4: Validates a host's request to kick a player and records the ban.
+ * 
+ * The player is NOT removed here: the caller runs the normal leave path
+ * (removePlayerBySocketId + mid-game cleanup) so a kick behaves exactly
+ * like the player leaving on their own.
+ * 
+ * BAN:
+ * - The player ID is refused by attemptRejoin(), so their reconnect token is dead
+ * - The name (case-insensitive) is refused by joinRoom()
+ * - Bans last as long as the room
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string} hostId - The player requesting the kick (must be host)
+ * @param {string} targetId - The player to kick
+ * @param {boolean} ban - Also ban the player from rejoining
+ * @returns {Object} - { success, error?, room?, player? }
+ */
+function kickPlayer(roomCode, hostId, targetId, ban) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { success: false, error: 'ROOM_NOT_FOUND' };
+    }
+    
+    if (room.hostId !== hostId) {
+        return { success: false, error: 'NOT_HOST' };
+    }
+    
+    const player = room.players.get(targetId);
+    if (!player) {
+        return { success: false, error: 'TARGET_NOT_IN_ROOM' };
+    }
+    
+    if (targetId === hostId) {
+        return { success: false, error: 'CANNOT_KICK_SELF' };
+    }
+    
+    if (ban) {
+        room.bannedPlayerIds.add(player.id);
+        room.bannedNames.add(player.name.toLowerCase());
+    }
+    
+    console.log(`[Room] ${player.name} was ${ban ? 'banned' : 'kicked'} from room ${room.code}`);
+    
+    return { success: true, room, player };
+}
+
+// =============================================================================
+// V1.4: READY-CHECK
+// =============================================================================
+
+/**
+ * V1.4: Sets a player's ready state for the next game. Lobby/postGame only.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string} playerId - The player
+ * @param {boolean} ready - Ready or not
+ * @returns {Object} - { success, error?, room?, player? }
+ */
+function setPlayerReady(roomCode, playerId, ready) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { success: false, error: 'ROOM_NOT_FOUND' };
+    }
+    
+    if (room.phase !== 'lobby' && room.phase !== 'postGame') {
+        return { success: false, error: 'INVALID_PHASE' };
+    }
+    
+    const player = room.players.get(playerId);
+    if (!player) {
+        return { success: false, error: 'PLAYER_NOT_IN_ROOM' };
+    }
+    
+    player.ready = ready;
+    
+    console.log(`[Room] ${player.name} is ${ready ? 'ready' : 'not ready'} in room ${room.code}`);
+    
+    return { success: true, room, player };
+}
+
+/**
+ * V1.4: Players holding the ready-check up: seated players other than the
+ * host (starting is the host's "ready") who haven't readied.
+ * Spectators waiting for a seat and the moderator never count.
+ * 
+ * @param {Object} room - The room
+ * @returns {Array} - Player objects
+ */
+function getNotReadyPlayers(room) {
+    return Array.from(room.players.values()).filter(p =>
+        p.id !== room.hostId && !p.moderator && !p.spectator && !p.ready
+    );
+}
+
+// =============================================================================
+// V1.4: PUBLIC ROOM BROWSER
+// =============================================================================
+
+/**
+ * V1.4: Lists the rooms marked public, fullest first.
+ * 
+ * Built for strangers, so it carries less than serializeRoom(): no player
+ * IDs, no scores, no word pack contents - just enough to pick a room.
+ * 
+ * @returns {Array} - [{ code, hostName, phase, playerCount, minPlayers, maxPlayers, hasPassword, settings }]
+ */
+function listPublicRooms() {
+    const list = [];
+    
+    for (const room of rooms.values()) {
+        if (!room.settings?.isPublic) continue;
+        
+        const host = room.players.get(room.hostId);
+        list.push({
+            code: room.code,
+            hostName: host ? host.name : null,
+            phase: room.phase,
+            playerCount: countPlayingSeats(room),
+            minPlayers: getMinPlayersForImposters(room.settings.imposterCount || 1),
+            maxPlayers: getMaxPlayers(room),
+            hasPassword: !!room.passwordHash,
+            settings: {
+                descriptionTime: room.settings.descriptionTime,
+                votingTime: room.settings.votingTime,
+                imposterCount: room.settings.imposterCount,
+                descriptionRounds: room.settings.descriptionRounds,
+                multiElimination: room.settings.multiElimination
+            }
+        });
+    }
+    
+    return list.sort((a, b) => b.playerCount - a.playerCount);
+}
+
+// =============================================================================
+// V1.4: PAUSE
+// =============================================================================
+
+/**
+ * Phases the host can pause.
+ */
+const PAUSABLE_PHASES = ['roleReveal', 'description', 'voting', 'imposterGuess'];
+
+/**
+ * V1.4: Pauses the game. Host-only, during a game.
+ * While room.pause is set, descriptions, votes and guesses are refused
+ * with GAME_PAUSED. The caller freezes the clock into room.pause.timer.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string} playerId - The player pausing (must be host)
+ * @returns {Object} - { success, error?, room? }
  */
-function joinRoom(roomCode, playerName, socketId) {
+function pauseGame(roomCode, playerId) {
     const room = rooms.get(roomCode.toUpperCase());
     
     if (!room) {
-        return { error: 'ROOM_NOT_FOUND' };
+        return { success: false, error: 'ROOM_NOT_FOUND' };
     }
     
-    // V1.1: Allow joining in lobby or postGame phase
-    if (room.phase !== 'lobby' && room.phase !== 'postGame') {
-        return { error: 'GAME_IN_PROGRESS' };
+    if (room.hostId !== playerId) {
+        return { success: false, error: 'NOT_HOST' };
     }
     
-    // Check for duplicate names
-    for (const player of room.players.values()) {
-        if (player.name.toLowerCase() === playerName.toLowerCase()) {
-            return { error: 'NAME_TAKEN' };
-        }
+    if (!PAUSABLE_PHASES.includes(room.phase)) {
+        return { success: false, error: 'INVALID_PHASE' };
     }
     
-    const playerId = generatePlayerId();
-    const player = {
-        id: playerId,
-        name: playerName,
-        socketId: socketId
-    };
+    if (room.pause) {
+        return { success: false, error: 'ALREADY_PAUSED' };
+    }
     
-    room.players.set(playerId, player);
+    room.pause = {
+        pausedAt: Date.now(),
+        timer: null         // { phase, remainingMs } of the frozen timer
+    };
     
-    console.log(`[Room] ${playerName} joined room ${roomCode}`);
+    console.log(`[Game] Room ${room.code} paused (phase: ${room.phase})`);
     
-    return { room, player };
+    return { success: true, room };
 }
 
 /**
- * Removes a player from their room.
- * Handles host transfer if the host leaves.
- * Deletes room if empty.
- * 
- * DISCONNECT RECOVERY:
- * - This function only removes the player from the room
- * - Phase-specific cleanup (auto-submit, etc.) is handled by handlePlayerDisconnectMidGame()
- * - Call handlePlayerDisconnectMidGame() BEFORE calling this during active games
+ * V1.4: Resumes a paused game. Host-only.
  * 
- * @param {string} socketId - Socket ID of the disconnecting player
- * @returns {Object|null} - { room, player, newHostId?, roomDeleted? } or null if not found
+ * @param {string} roomCode - The room code
+ * @param {string} playerId - The player resuming (must be host)
+ * @returns {Object} - { success, error?, room?, timer? } - timer is the frozen timer to restart, or null
  */
-function removePlayerBySocketId(socketId) {
-    for (const [roomCode, room] of rooms.entries()) {
-        for (const [playerId, player] of room.players.entries()) {
-            if (player.socketId === socketId) {
-                room.players.delete(playerId);
-                
-                console.log(`[Room] ${player.name} left room ${roomCode}`);
-                
-                // If room is now empty, delete it
-                if (room.players.size === 0) {
-                    rooms.delete(roomCode);
-                    console.log(`[Room] Deleted empty room ${roomCode}`);
-                    return { room: null, player, roomDeleted: true };
-                }
-                
-                // If the host left, transfer host to the next player
-                let newHostId = null;
-                if (room.hostId === playerId) {
-                    newHostId = room.players.keys().next().value;
-                    room.hostId = newHostId;
-                    const newHost = room.players.get(newHostId);
-                    console.log(`[Room] Host transferred to ${newHost.name} in room ${roomCode}`);
-                }
-                
-                return { room, player, newHostId };
-            }
-        }
+function resumeGame(roomCode, playerId) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { success: false, error: 'ROOM_NOT_FOUND' };
     }
     
-    return null;
+    if (room.hostId !== playerId) {
+        return { success: false, error: 'NOT_HOST' };
+    }
+    
+    if (!room.pause) {
+        return { success: false, error: 'NOT_PAUSED' };
+    }
+    
+    const { timer } = room.pause;
+    delete room.pause;
+    
+    console.log(`[Game] Room ${room.code} resumed (phase: ${room.phase})`);
+    
+    return { success: true, room, timer };
 }
 
+// =============================================================================
+// V1.4: MANUAL HOST TRANSFER
+// =============================================================================
+
 /**
- * Handles phase-specific cleanup when a player disconnects mid-game.
- * This should be called BEFORE removePlayerBySocketId() during active games.
- * 
- * DISCONNECT RECOVERY BEHAVIOR:
- * - Lobby phase: No special handling needed
- * - RoleReveal phase: No special handling needed (timer will auto-progress)
- * - Description phase: Auto-submit "(Disconnected)" for the player
- * - Voting phase: Player's vote is ignored (treated as abstain)
- * - Results phase: No special handling needed
- * 
- * This ensures the game can continue without blocking on the disconnected player.
+ * V1.4: Hands the host role to a chosen player. Host-only, lobby/postGame only.
+ * (When the host leaves, removePlayerBySocketId() still picks the next player.)
  * 
  * @param {string} roomCode - The room code
- * @param {string} playerId - The disconnecting player's ID
- * @returns {Object} - { phase, autoSubmitted?, descriptionComplete?, votingComplete? }
+ * @param {string} hostId - The player requesting the transfer (must be host)
+ * @param {string} targetId - The new host
+ * @returns {Object} - { success, error?, room?, player? }
  */
-function handlePlayerDisconnectMidGame(roomCode, playerId) {
+function transferHost(roomCode, hostId, targetId) {
     const room = rooms.get(roomCode.toUpperCase());
     
     if (!room) {
-        return { phase: null, error: 'ROOM_NOT_FOUND' };
+        return { success: false, error: 'ROOM_NOT_FOUND' };
     }
     
-    const phase = room.phase;
-    const result = { phase };
+    if (room.phase !== 'lobby' && room.phase !== 'postGame') {
+        return { success: false, error: 'INVALID_PHASE' };
+    }
     
-    // =========================================================================
-    // DESCRIPTION PHASE: Auto-submit "(Disconnected)" for the player
-    // V1.1: Also handles sequential speaking order
-    // =========================================================================
-    if (phase === 'description') {
-        // If player hasn't submitted a description, auto-submit for them
-        if (!room.descriptions[playerId]) {
-            room.descriptions[playerId] = '(Disconnected)';
-            result.autoSubmitted = true;
-            console.log(`[Game] Auto-submitted "(Disconnected)" for disconnected player in room ${roomCode}`);
-            
-            // V1.1: Check if disconnected player was the current speaker
-            if (room.speakingOrder && room.currentSpeakerIndex !== undefined) {
-                const currentSpeaker = room.speakingOrder[room.currentSpeakerIndex];
-                if (currentSpeaker && currentSpeaker.id === playerId) {
-                    result.wasCurrentSpeaker = true;
-                    // Advance to next speaker
-                    room.currentSpeakerIndex++;
-                    result.newSpeakerIndex = room.currentSpeakerIndex;
-                }
-            }
-        }
-        
-        // Check if all remaining players have submitted (excluding disconnected)
-        // Note: The disconnected player is still in room.players at this point
-        const submittedCount = Object.keys(room.descriptions).length;
-        const totalPlayers = room.players.size; // Includes disconnected player
-        result.descriptionComplete = submittedCount >= totalPlayers;
+    if (room.hostId !== hostId) {
+        return { success: false, error: 'NOT_HOST' };
     }
     
-    // =========================================================================
-    // VOTING PHASE: Player's vote is ignored (abstain)
-    // V1.1: Uses confirmedVotes for 2-step voting
-    // =========================================================================
-    if (phase === 'voting') {
-        // No action needed - player simply doesn't vote (abstain)
-        // Their vote will be ignored in calculateVoteResults()
-        console.log(`[Game] Disconnected player's vote ignored in room ${roomCode}`);
-        
-        // V1.1: Check against confirmedVotes instead of votes
-        const votes = room.confirmedVotes || room.votes || {};
-        const votedCount = Object.keys(votes).length;
-        const remainingPlayers = room.players.size - 1; // Exclude disconnected player
-        result.votingComplete = remainingPlayers > 0 && votedCount >= remainingPlayers;
+    const player = room.players.get(targetId);
+    if (!player) {
+        return { success: false, error: 'TARGET_NOT_IN_ROOM' };
     }
     
-    // V1.1: PostGame phase - nothing special to do
-    if (phase === 'postGame') {
-        // Player leaving postGame is handled normally
+    if (targetId === hostId) {
+        return { success: false, error: 'ALREADY_HOST' };
     }
     
-    return result;
+    room.hostId = targetId;
+    
+    console.log(`[Room] Host transferred to ${player.name} in room ${room.code}`);
+    
+    return { success: true, room, player };
 }
 
 /**
@@ -418,44 +1338,63 @@ function handlePlayerDisconnectMidGame(roomCode, playerId) {
  * Used for browser refresh/reconnection scenarios.
  * 
  * REJOIN RULES:
- * - Player must provide the same name they used before
- * - Room must still exist
- * - If game is in progress, the original player slot must still exist
+ * - Player must present the reconnect token issued on create/join
+ * - Token must be signed by this server and issued for this room
+ * - Room must still exist and the original player slot must still exist
  * - New socket ID is associated with the existing player
  * 
+ * Knowing a player's name is NOT enough to take over their seat.
+ * 
  * @param {string} roomCode - The room code
- * @param {string} playerName - The player's name
+ * @param {string} reconnectToken - Token issued by tokenManager
  * @param {string} newSocketId - The new socket ID after reconnection
  * @returns {Object} - { success, player?, room?, error?, isRejoin? }
  */
-function attemptRejoin(roomCode, playerName, newSocketId) {
+function attemptRejoin(roomCode, reconnectToken, newSocketId) {
     const room = rooms.get(roomCode.toUpperCase());
     
     if (!room) {
         return { success: false, error: 'ROOM_NOT_FOUND' };
     }
     
-    // Look for existing player with same name (case-insensitive)
-    for (const [playerId, player] of room.players.entries()) {
-        if (player.name.toLowerCase() === playerName.toLowerCase()) {
-            // Found existing player - update their socket ID
-            const oldSocketId = player.socketId;
-            player.socketId = newSocketId;
-            
-            console.log(`[Room] ${player.name} rejoined room ${roomCode} (socket: ${oldSocketId} -> ${newSocketId})`);
-            
-            return {
-                success: true,
-                isRejoin: true,
-                player: player,
-                room: room,
-                oldSocketId: oldSocketId
-            };
-        }
+    const claims = tokenManager.verifyReconnectToken(reconnectToken);
+    if (!claims || claims.roomCode !== room.code) {
+        return { success: false, error: 'INVALID_TOKEN', isRejoin: false };
+    }
+    
+    // V1.4: A banned player's token must not fall through to a fresh join
+    if (room.bannedPlayerIds.has(claims.playerId)) {
+        return { success: false, error: 'BANNED', isRejoin: false };
+    }
+    
+    const player = room.players.get(claims.playerId);
+    if (!player) {
+        // Token is valid but the seat is gone (player left or was removed)
+        return { success: false, error: 'PLAYER_NOT_FOUND', isRejoin: false };
     }
     
-    // No existing player found - this is not a rejoin
-    return { success: false, error: 'PLAYER_NOT_FOUND', isRejoin: false };
+    // Found existing player - update their socket ID
+    const oldSocketId = player.socketId;
+    player.socketId = newSocketId;
+    
+    // V1.4: Rejoined within the grace period - keep the seat as it was
+    const wasDisconnected = player.connected === false;
+    if (player.disconnectTimeoutId) {
+        clearTimeout(player.disconnectTimeoutId);
+        player.disconnectTimeoutId = null;
+    }
+    player.connected = true;
+    
+    console.log(`[Room] ${player.name} rejoined room ${roomCode} (socket: ${oldSocketId} -> ${newSocketId})`);
+    
+    return {
+        success: true,
+        isRejoin: true,
+        player: player,
+        room: room,
+        oldSocketId: oldSocketId,
+        wasDisconnected: wasDisconnected
+    };
 }
 
 /**
@@ -492,23 +1431,35 @@ function getRejoinState(roomCode, playerId) {
         phase: room.phase,
         topic: room.topic || null,
         gameNumber: room.gameNumber || 1,
-        settings: room.settings || { descriptionTime: 10, votingTime: 60 }  // V1.2
+        settings: room.settings || { ...DEFAULT_SETTINGS }  // V1.2
     };
     
-    // Game in progress - include role information
-    if (room.phase !== 'lobby' && room.phase !== 'postGame' && room.imposterId) {
-        state.isImposter = playerId === room.imposterId;
+    // Game in progress - include role information (V1.4: spectators and the moderator have no role)
+    if (room.phase !== 'lobby' && room.phase !== 'postGame' && room.imposterIds && !isSpectator(room, playerId)) {
+        state.isImposter = room.imposterIds.includes(playerId);
         
         // Only non-imposters see the word
         if (!state.isImposter && room.word) {
             state.word = room.word;
         }
+        
+        // V1.4: Imposters may know their partners
+        if (state.isImposter) {
+            state.imposterPartners = getImposterPartners(room, playerId);
+        }
+
     }
     
     // V1.1: Sequential description phase state
     if (room.phase === 'description' && room.speakingOrder) {
-        state.speakingOrder = room.speakingOrder;
+        // Same { id, name } shape as game:phaseChanged
+        state.speakingOrder = room.speakingOrder.map(id => ({
+            id: id,
+            name: room.players.get(id)?.name
+        }));
         state.currentSpeakerIndex = room.currentSpeakerIndex || 0;
+        state.descriptionRound = room.descriptionRound || 1;      // V1.4
+        state.descriptionRounds = getDescriptionRounds(room);     // V1.4
         
         // Get attributed descriptions for live feed
         const descResult = getAttributedDescriptions(roomCode);
@@ -522,7 +1473,7 @@ function getRejoinState(roomCode, playerId) {
         state.hasSubmittedDescription = !!room.descriptions[playerId];
         state.submissionProgress = {
             count: Object.keys(room.descriptions).length,
-            total: room.players.size
+            total: getActivePlayerIds(room).length
         };
     }
     
@@ -543,7 +1494,7 @@ function getRejoinState(roomCode, playerId) {
             state.hasVoted = !!room.confirmedVotes[playerId];
             state.confirmProgress = {
                 count: Object.keys(room.confirmedVotes).length,
-                total: room.players.size
+                total: getActivePlayerIds(room).length
             };
         }
         
@@ -553,6 +1504,19 @@ function getRejoinState(roomCode, playerId) {
         }
     }
     
+    // V1.4: Imposter guess phase - who is guessing (public) + descriptions for display
+    if (room.phase === 'imposterGuess' && room.pendingGuess) {
+        const descResult = getAttributedDescriptions(roomCode);
+        if (descResult.success) {
+            state.descriptions = descResult.descriptions;
+        }
+        
+        state.imposterGuess = {
+            guesserId: room.pendingGuess.imposterId,
+            guesserName: room.pendingGuess.imposterName
+        };
+    }
+    
     // Results phase - include final results
     if (room.phase === 'results') {
         // Get attributed descriptions for display
@@ -583,11 +1547,15 @@ function getRejoinState(roomCode, playerId) {
         }
         voteSummary.sort((a, b) => b.votes - a.votes);
         
-        const imposter = room.players.get(room.imposterId);
         state.results = {
-            imposter: imposter ? { id: imposter.id, name: imposter.name } : null,
+            imposters: getImposterList(room),
             secretWord: room.word,
-            voteSummary: voteSummary
+            voteSummary: voteSummary,
+            roundPoints: room.lastRoundPoints || {},   // V1.4
+            playersWin: room.lastOutcome?.playersWin,  // V1.4: Guess can change the winner
+            imposterGuess: room.lastOutcome?.imposterGuess || null,
+            reason: room.lastOutcome?.reason,
+            eliminations: room.lastOutcome?.eliminations || []
         };
     }
     
@@ -614,11 +1582,15 @@ function getRejoinState(roomCode, playerId) {
         }
         voteSummary.sort((a, b) => b.votes - a.votes);
         
-        const imposter = room.players.get(room.imposterId);
         state.results = {
-            imposter: imposter ? { id: imposter.id, name: imposter.name } : null,
+            imposters: getImposterList(room),
             secretWord: room.word,
-            voteSummary: voteSummary
+            voteSummary: voteSummary,
+            roundPoints: room.lastRoundPoints || {},   // V1.4
+            playersWin: room.lastOutcome?.playersWin,  // V1.4: Guess can change the winner
+            imposterGuess: room.lastOutcome?.imposterGuess || null,
+            reason: room.lastOutcome?.reason,
+            eliminations: room.lastOutcome?.eliminations || []
         };
     }
     
@@ -634,10 +1606,56 @@ function getRejoinState(roomCode, playerId) {
  */
 const MIN_PLAYERS = 4;
 
+/**
+ * V1.4: Extra players required for each imposter beyond the first.
+ * Keeps imposters a clear minority: 1 → 4 players, 2 → 7, 3 → 10.
+ */
+const PLAYERS_PER_EXTRA_IMPOSTER = 3;
+
+/**
+ * V1.4: Gets the minimum player count for a given number of imposters.
+ * @param {number} imposterCount - Number of imposters
+ * @returns {number} - Required player count
+ */
+function getMinPlayersForImposters(imposterCount) {
+    return MIN_PLAYERS + (Math.max(1, imposterCount) - 1) * PLAYERS_PER_EXTRA_IMPOSTER;
+}
+
+/**
+ * V1.4: Gets the public info of every imposter still in the room.
+ * Only used when revealing imposters (results, host ended game).
+ * 
+ * @param {Object} room - The room object
+ * @returns {Array} - [{ id, name }, ...]
+ */
+function getImposterList(room) {
+    return (room.imposterIds || [])
+        .map(id => room.players.get(id))
+        .filter(Boolean)
+        .map(p => ({ id: p.id, name: p.name }));
+}
+
+/**
+ * V1.4: Gets the fellow imposters of an imposter.
+ * Returns an empty list unless the host enabled revealImposterPartners.
+ * 
+ * @param {Object} room - The room object
+ * @param {string} playerId - The imposter asking
+ * @returns {Array} - [{ id, name }, ...]
+ */
+function getImposterPartners(room, playerId) {
+    if (!room.settings?.revealImposterPartners) {
+        return [];
+    }
+    return getImposterList(room).filter(p => p.id !== playerId);
+}
+
 /**
  * Starts the game for a room.
  * Validates host, player count, and game state.
- * Assigns imposter, topic, and word.
+ * Assigns imposters, topic, and word.
+ * V1.4: With settings.requireReady, every player but the host must be ready
+ * (PLAYERS_NOT_READY lists who isn't). Ready flags are cleared on start.
  * 
  * @param {string} roomCode - The room code
  * @param {string} requestingPlayerId - ID of player trying to start
@@ -661,32 +1679,63 @@ function startGame(roomCode, requestingPlayerId) {
         return { success: false, error: 'GAME_ALREADY_STARTED' };
     }
     
-    // Validation: Minimum player count
-    if (room.players.size < MIN_PLAYERS) {
+    // Validation: Minimum player count (V1.4: scales with imposter count, moderator doesn't count)
+    const imposterCount = room.settings?.imposterCount || 1;
+    const requiredPlayers = getMinPlayersForImposters(imposterCount);
+    const playerCount = countPlayingSeats(room);
+    if (playerCount < requiredPlayers) {
         return { 
             success: false, 
             error: 'NOT_ENOUGH_PLAYERS',
-            required: MIN_PLAYERS,
-            current: room.players.size
+            required: requiredPlayers,
+            current: playerCount
         };
     }
     
+    // V1.4: Ready-check
+    if (room.settings?.requireReady) {
+        const notReady = getNotReadyPlayers(room);
+        if (notReady.length > 0) {
+            return { 
+                success: false, 
+                error: 'PLAYERS_NOT_READY',
+                notReady: notReady.map(p => ({ id: p.id, name: p.name }))
+            };
+        }
+    }
+    
     // === GAME SETUP (Server-side only) ===
     
     // Select random topic and word
-    const { topic, word } = getRandomTopicAndWord();
+    const { topic, word } = getRandomTopicAndWord(room);
+    
+    // V1.4: Select imposters (fair rotation or pure random) - never the moderator
+    syncImposterHistory(room);
+    const candidates = new Map(getActivePlayerIds(room).map(id => [id, room.players.get(id)]));
+    const imposterIds = room.settings?.fairImposterRotation
+        ? selectFairImposters(candidates, imposterCount, room.imposterHistory)
+        : selectRandomImposters(candidates, imposterCount);
+    
+    // Counted in both modes, so turning fair rotation on later is fair right away
+    imposterIds.forEach(id => {
+        room.imposterHistory[id]++;
+    });
     
-    // Select random imposter
-    const imposterId = selectRandomImposter(room.players);
+    // V1.4: Everyone readies up again for the next game
+    for (const player of room.players.values()) {
+        player.ready = false;
+    }
     
     // Update room state
     room.phase = 'roleReveal';
     room.topic = topic;
-    room.word = word;           // SECRET: Only server knows, sent only to non-imposters
-    room.imposterId = imposterId; // SECRET: Never sent to clients
+    room.word = word;               // SECRET: Only server knows, sent only to non-imposters
+    room.imposterIds = imposterIds; // SECRET: Never sent to clients
+    room.eliminatedIds = [];        // V1.4: Multi-elimination mode
+    room.eliminations = [];
     
     console.log(`[Game] Game started in room ${roomCode}`);
-    console.log(`[Game] Topic: ${topic}, Word: ${word}, Imposter: ${room.players.get(imposterId).name}`);
+    console.log(`[Game] Topic: ${topic}, Word: ${word}, Imposters: ${imposterIds.map(id => room.players.get(id).name).join(', ')}`);
     
     return {
         success: true,
@@ -694,7 +1743,7 @@ function startGame(roomCode, requestingPlayerId) {
         gameData: {
             topic: topic,
             word: word,
-            imposterId: imposterId
+            imposterIds: imposterIds
         }
     };
 }
@@ -708,6 +1757,9 @@ function startGame(roomCode, requestingPlayerId) {
  * - Sets currentSpeakerIndex to 0 (first speaker)
  * - Each speaker gets 10 seconds to submit
  * 
+ * V1.4: With settings.descriptionRounds > 1 the speaking order is repeated;
+ * see advanceSpeaker().
+ * 
  * @param {string} roomCode - The room code
  * @returns {Object} - { success, error?, room?, speakingOrder? }
  */
@@ -724,10 +1776,10 @@ function transitionToDescriptionPhase(roomCode) {
     
     // Transition to description phase
     room.phase = 'description';
-    room.descriptions = {}; // { [playerId]: string }
+    startDescriptionRounds(room);
     
-    // V1.1: Set up sequential speaking order
-    const playerIds = Array.from(room.players.keys());
+    // V1.1: Set up sequential speaking order (V1.4: eliminated players sit out)
+    const playerIds = getActivePlayerIds(room);
     room.speakingOrder = shuffleArray(playerIds); // Randomize order
     room.currentSpeakerIndex = 0;
     room.currentDescription = null; // Live description being typed (not used server-side)
@@ -763,6 +1815,11 @@ function submitDescription(roomCode, playerId, description) {
         return { success: false, error: 'ROOM_NOT_FOUND' };
     }
     
+    // V1.4: Nothing counts while the host has the game paused
+    if (room.pause) {
+        return { success: false, error: 'GAME_PAUSED' };
+    }
+    
     // Validation: Correct phase
     if (room.phase !== 'description') {
         return { success: false, error: 'INVALID_PHASE' };
@@ -792,15 +1849,15 @@ function submitDescription(roomCode, playerId, description) {
     room.descriptions[playerId] = finalDescription;
     
     const submittedCount = Object.keys(room.descriptions).length;
-    const totalPlayers = room.players.size;
-    const allSubmitted = submittedCount === totalPlayers;
+    const totalPlayers = getActivePlayerIds(room).length;
+    const round = room.descriptionRound;
     
-    // Move to next speaker
-    room.currentSpeakerIndex++;
+    // Move to next speaker (V1.4: loops back to the first speaker for the next round)
+    const allSubmitted = advanceSpeaker(room);
     const turnComplete = true;
     
     const player = room.players.get(playerId);
-    console.log(`[Game] ${player.name} submitted description (${submittedCount}/${totalPlayers})`);
+    console.log(`[Game] ${player.name} submitted description (${submittedCount}/${totalPlayers}, round ${round})`);
     
     return {
         success: true,
@@ -809,6 +1866,7 @@ function submitDescription(roomCode, playerId, description) {
         turnComplete: turnComplete,
         submittedCount: submittedCount,
         totalPlayers: totalPlayers,
+        round: round,   // V1.4: Round the description belongs to
         submittedBy: {
             id: playerId,
             name: player.name
@@ -843,7 +1901,7 @@ function autoSubmitMissingDescriptions(roomCode) {
     let autoSubmittedCount = 0;
     
     // Find players who haven't submitted and auto-submit for them
-    for (const playerId of room.players.keys()) {
+    for (const playerId of getActivePlayerIds(room)) {
         if (!room.descriptions[playerId]) {
             // AUTO-SUBMIT: Default description for missing players
             room.descriptions[playerId] = '(No response)';
@@ -893,12 +1951,12 @@ function autoSubmitCurrentSpeaker(roomCode) {
         // Player disconnected but still in speakingOrder - their description was
         // already auto-submitted by handlePlayerDisconnectMidGame, just advance
         console.log(`[Game] Skipping disconnected speaker at index ${room.currentSpeakerIndex}`);
-        room.currentSpeakerIndex++;
+        let allSubmitted = advanceSpeaker(room);
         
         // Check if we need to skip more disconnected players (avoid infinite loop with limit)
         let skipCount = 0;
-        const maxSkips = room.speakingOrder.length;
-        while (room.currentSpeakerIndex < room.speakingOrder.length && skipCount < maxSkips) {
+        const maxSkips = room.speakingOrder.length * getDescriptionRounds(room);
+        while (!allSubmitted && skipCount < maxSkips) {
             const nextId = room.speakingOrder[room.currentSpeakerIndex];
             if (room.players.has(nextId)) {
                 break; // Found a valid player
@@ -907,13 +1965,12 @@ function autoSubmitCurrentSpeaker(roomCode) {
             if (!room.descriptions[nextId]) {
                 room.descriptions[nextId] = '(Disconnected)';
             }
-            room.currentSpeakerIndex++;
+            allSubmitted = advanceSpeaker(room);
             skipCount++;
         }
         
         // Return with updated state
         const submittedCount = Object.keys(room.descriptions).length;
-        const allSubmitted = room.currentSpeakerIndex >= room.speakingOrder.length;
         
         let nextSpeaker = null;
         if (!allSubmitted && room.currentSpeakerIndex < room.speakingOrder.length) {
@@ -923,7 +1980,8 @@ function autoSubmitCurrentSpeaker(roomCode) {
                 nextSpeaker = {
                     id: nextSpeakerId,
                     name: nextPlayer.name,
-                    index: room.currentSpeakerIndex
+                    index: room.currentSpeakerIndex,
+                    round: room.descriptionRound
                 };
             }
         }
@@ -933,7 +1991,7 @@ function autoSubmitCurrentSpeaker(roomCode) {
             room: room,
             allSubmitted: allSubmitted,
             submittedCount: submittedCount,
-            totalPlayers: room.players.size,
+            totalPlayers: getActivePlayerIds(room).length,
             nextSpeaker: nextSpeaker,
             skippedDisconnected: true
         };
@@ -945,12 +2003,12 @@ function autoSubmitCurrentSpeaker(roomCode) {
         console.log(`[Game] Auto-submitted "(No response)" for ${currentPlayer.name} (turn timeout)`);
     }
     
-    // Move to next speaker
-    room.currentSpeakerIndex++;
-    
     const submittedCount = Object.keys(room.descriptions).length;
-    const totalPlayers = room.players.size;
-    const allSubmitted = room.currentSpeakerIndex >= room.speakingOrder.length;
+    const totalPlayers = getActivePlayerIds(room).length;
+    const round = room.descriptionRound;
+    
+    // Move to next speaker (V1.4: loops back to the first speaker for the next round)
+    const allSubmitted = advanceSpeaker(room);
     
     let nextSpeaker = null;
     if (!allSubmitted) {
@@ -959,7 +2017,8 @@ function autoSubmitCurrentSpeaker(roomCode) {
         nextSpeaker = {
             id: nextSpeakerId,
             name: nextPlayer.name,
-            index: room.currentSpeakerIndex
+            index: room.currentSpeakerIndex,
+            round: room.descriptionRound
         };
     }
     
@@ -969,7 +2028,13 @@ function autoSubmitCurrentSpeaker(roomCode) {
         allSubmitted: allSubmitted,
         submittedCount: submittedCount,
         totalPlayers: totalPlayers,
-        nextSpeaker: nextSpeaker
+        nextSpeaker: nextSpeaker,
+        // V1.4: Who timed out (the index may have looped back for the next round)
+        timedOutSpeaker: {
+            id: currentSpeakerId,
+            name: currentPlayer.name,
+            round: round
+        }
     };
 }
 
@@ -992,7 +2057,7 @@ function getCurrentSpeaker(roomCode) {
     
     // FIX 2: Skip any disconnected players in the speaking order
     let skipCount = 0;
-    const maxSkips = room.speakingOrder.length;
+    const maxSkips = room.speakingOrder.length * getDescriptionRounds(room);
     while (room.currentSpeakerIndex < room.speakingOrder.length && skipCount < maxSkips) {
         const speakerId = room.speakingOrder[room.currentSpeakerIndex];
         if (room.players.has(speakerId)) {
@@ -1003,7 +2068,7 @@ function getCurrentSpeaker(roomCode) {
             room.descriptions[speakerId] = '(Disconnected)';
             console.log(`[Game] Skipping disconnected speaker, auto-submitted description`);
         }
-        room.currentSpeakerIndex++;
+        advanceSpeaker(room);
         skipCount++;
     }
     
@@ -1036,8 +2101,10 @@ function getCurrentSpeaker(roomCode) {
         currentSpeaker: {
             id: currentSpeakerId,
             name: currentPlayer.name,
-            index: room.currentSpeakerIndex
+            index: room.currentSpeakerIndex,
+            round: room.descriptionRound    // V1.4
         },
+        totalRounds: getDescriptionRounds(room),    // V1.4
         // FIX 2: Filter out disconnected players from speaking order display
         speakingOrder: room.speakingOrder
             .filter(id => room.players.has(id))
@@ -1053,8 +2120,11 @@ function getCurrentSpeaker(roomCode) {
  * V1.1: Get all descriptions with player attribution (not anonymized).
  * Used for the voting phase where players can see who said what.
  * 
+ * V1.4: Covers every description round, in order. While the description
+ * phase is still running, the current round only lists who has spoken.
+ * 
  * @param {string} roomCode - The room code
- * @returns {Object} - { success, descriptions? }
+ * @returns {Object} - { success, descriptions? } - [{ playerId, playerName, description, round }]
  */
 function getAttributedDescriptions(roomCode) {
     const room = rooms.get(roomCode.toUpperCase());
@@ -1063,14 +2133,26 @@ function getAttributedDescriptions(roomCode) {
         return { success: false, error: 'ROOM_NOT_FOUND' };
     }
     
-    // Build descriptions with player names (in speaking order)
-    const descriptions = room.speakingOrder.map(playerId => {
-        const player = room.players.get(playerId);
-        return {
-            playerId: playerId,
-            playerName: player ? player.name : 'Unknown',
-            description: room.descriptions[playerId] || '(No response)'
-        };
+    // Rooms from before V1.4 only have a single round
+    const rounds = room.descriptionsByRound || [room.descriptions || {}];
+    const descriptions = [];
+    
+    rounds.forEach((roundDescriptions, index) => {
+        const inProgress = room.phase === 'description' && index === rounds.length - 1;
+        
+        // Build descriptions with player names (in speaking order)
+        for (const playerId of room.speakingOrder) {
+            if (inProgress && !roundDescriptions[playerId]) {
+                continue;
+            }
+            const player = room.players.get(playerId);
+            descriptions.push({
+                playerId: playerId,
+                playerName: player ? player.name : 'Unknown',
+                description: roundDescriptions[playerId] || '(No response)',
+                round: index + 1
+            });
+        }
     });
     
     return {
@@ -1079,6 +2161,58 @@ function getAttributedDescriptions(roomCode) {
     };
 }
 
+/**
+ * V1.4: Number of description rounds for the current game.
+ * 
+ * @param {Object} room - The room
+ * @returns {number} - Rounds (at least 1)
+ */
+function getDescriptionRounds(room) {
+    return room.settings?.descriptionRounds || 1;
+}
+
+/**
+ * V1.4: Resets description storage for a fresh description phase.
+ * room.descriptions always points at the current round's { [playerId]: string };
+ * room.descriptionsByRound keeps every round in order.
+ * 
+ * @param {Object} room - The room
+ */
+function startDescriptionRounds(room) {
+    room.descriptions = {};
+    room.descriptionsByRound = [room.descriptions];
+    room.descriptionRound = 1;
+}
+
+/**
+ * V1.4: Moves the turn to the next speaker.
+ * After the last speaker of a round, loops back to index 0 and starts the
+ * next round until settings.descriptionRounds rounds are done.
+ * 
+ * @param {Object} room - The room
+ * @returns {boolean} - True when every round is complete
+ */
+function advanceSpeaker(room) {
+    room.currentSpeakerIndex++;
+    
+    if (room.currentSpeakerIndex < room.speakingOrder.length) {
+        return false;
+    }
+    
+    if ((room.descriptionRound || 1) >= getDescriptionRounds(room)) {
+        return true;
+    }
+    
+    room.descriptions = {};
+    room.descriptionsByRound.push(room.descriptions);
+    room.descriptionRound++;
+    room.currentSpeakerIndex = 0;
+    
+    console.log(`[Game] Room ${room.code} starting description round ${room.descriptionRound}/${getDescriptionRounds(room)}`);
+    
+    return false;
+}
+
 /**
  * Gets anonymized descriptions for broadcasting.
  * 
@@ -1173,6 +2307,11 @@ function selectVote(roomCode, voterId, targetPlayerId) {
         return { success: false, error: 'ROOM_NOT_FOUND' };
     }
     
+    // V1.4: Nothing counts while the host has the game paused
+    if (room.pause) {
+        return { success: false, error: 'GAME_PAUSED' };
+    }
+    
     if (room.phase !== 'voting') {
         return { success: false, error: 'INVALID_PHASE' };
     }
@@ -1185,6 +2324,23 @@ function selectVote(roomCode, voterId, targetPlayerId) {
         return { success: false, error: 'TARGET_NOT_IN_ROOM' };
     }
     
+    // V1.4: Spectators and eliminated players neither vote nor get voted for
+    if (isSpectator(room, voterId)) {
+        return { success: false, error: 'SPECTATOR' };
+    }
+    
+    if (isSpectator(room, targetPlayerId)) {
+        return { success: false, error: 'TARGET_SPECTATOR' };
+    }
+    
+    if (isEliminated(room, voterId)) {
+        return { success: false, error: 'ELIMINATED' };
+    }
+    
+    if (isEliminated(room, targetPlayerId)) {
+        return { success: false, error: 'TARGET_ELIMINATED' };
+    }
+    
     if (voterId === targetPlayerId) {
         return { success: false, error: 'CANNOT_VOTE_SELF' };
     }
@@ -1217,6 +2373,11 @@ function confirmVote(roomCode, voterId) {
         return { success: false, error: 'ROOM_NOT_FOUND' };
     }
     
+    // V1.4: Nothing counts while the host has the game paused
+    if (room.pause) {
+        return { success: false, error: 'GAME_PAUSED' };
+    }
+    
     if (room.phase !== 'voting') {
         return { success: false, error: 'INVALID_PHASE' };
     }
@@ -1241,7 +2402,7 @@ function confirmVote(roomCode, voterId) {
     room.votes[voterId] = targetPlayerId; // For calculateVoteResults compatibility
     
     const confirmedCount = Object.keys(room.confirmedVotes).length;
-    const totalPlayers = room.players.size;
+    const totalPlayers = getActivePlayerIds(room).length;
     const allConfirmed = confirmedCount === totalPlayers;
     
     const voter = room.players.get(voterId);
@@ -1291,7 +2452,7 @@ function autoConfirmPendingVotes(roomCode) {
     }
     
     // Players with no pendingVotes are treated as abstaining (no action needed)
-    const abstainCount = room.players.size - Object.keys(room.confirmedVotes).length;
+    const abstainCount = getActivePlayerIds(room).length - Object.keys(room.confirmedVotes).length;
     if (abstainCount > 0) {
         console.log(`[Game] ${abstainCount} player(s) abstained (no selection made)`);
     }
@@ -1319,6 +2480,11 @@ function submitVote(roomCode, voterId, targetPlayerId) {
         return { success: false, error: 'ROOM_NOT_FOUND' };
     }
     
+    // V1.4: Nothing counts while the host has the game paused
+    if (room.pause) {
+        return { success: false, error: 'GAME_PAUSED' };
+    }
+    
     // Validation: Correct phase
     if (room.phase !== 'voting') {
         return { success: false, error: 'INVALID_PHASE' };
@@ -1334,6 +2500,23 @@ function submitVote(roomCode, voterId, targetPlayerId) {
         return { success: false, error: 'TARGET_NOT_IN_ROOM' };
     }
     
+    // V1.4: Validation - Spectators and eliminated players neither vote nor get voted for
+    if (isSpectator(room, voterId)) {
+        return { success: false, error: 'SPECTATOR' };
+    }
+    
+    if (isSpectator(room, targetPlayerId)) {
+        return { success: false, error: 'TARGET_SPECTATOR' };
+    }
+    
+    if (isEliminated(room, voterId)) {
+        return { success: false, error: 'ELIMINATED' };
+    }
+    
+    if (isEliminated(room, targetPlayerId)) {
+        return { success: false, error: 'TARGET_ELIMINATED' };
+    }
+    
     // Validation: Cannot vote for yourself
     if (voterId === targetPlayerId) {
         return { success: false, error: 'CANNOT_VOTE_SELF' };
@@ -1348,7 +2531,7 @@ function submitVote(roomCode, voterId, targetPlayerId) {
     room.votes[voterId] = targetPlayerId;
     
     const votedCount = Object.keys(room.votes).length;
-    const totalPlayers = room.players.size;
+    const totalPlayers = getActivePlayerIds(room).length;
     const allVoted = votedCount === totalPlayers;
     
     console.log(`[Game] ${room.players.get(voterId).name} voted (${votedCount}/${totalPlayers})`);
@@ -1386,74 +2569,459 @@ function calculateVoteResults(roomCode) {
         return { success: false, error: 'ROOM_NOT_FOUND' };
     }
     
-    if (room.phase !== 'voting') {
+    if (room.phase !== 'voting') {
+        return { success: false, error: 'INVALID_PHASE' };
+    }
+    
+    // =========================================================================
+    // STEP 1: Count votes for each player
+    // NOTE: Only actual votes are counted. Abstains (missing votes) are ignored.
+    // =========================================================================
+    const voteCounts = {}; // { [playerId]: number }
+    
+    // Initialize all players with 0 votes
+    for (const playerId of getActivePlayerIds(room)) {
+        voteCounts[playerId] = 0;
+    }
+    
+    // Count only actual votes cast (abstains are simply not in room.votes)
+    const actualVotesCast = Object.keys(room.votes).length;
+    for (const targetPlayerId of Object.values(room.votes)) {
+        if (voteCounts[targetPlayerId] !== undefined) {
+            voteCounts[targetPlayerId]++;
+        }
+    }
+    
+    // Log abstain count for debugging
+    const abstainCount = getActivePlayerIds(room).length - actualVotesCast;
+    if (abstainCount > 0) {
+        console.log(`[Game] ${abstainCount} player(s) abstained from voting in room ${roomCode}`);
+    }
+    
+    // =========================================================================
+    // STEP 2: Find the highest vote count and players with that count
+    // =========================================================================
+    let maxVotes = 0;
+    for (const count of Object.values(voteCounts)) {
+        if (count > maxVotes) {
+            maxVotes = count;
+        }
+    }
+    
+    // Get all players with the max vote count (potential ties)
+    const playersWithMaxVotes = [];
+    for (const [playerId, count] of Object.entries(voteCounts)) {
+        if (count === maxVotes) {
+            playersWithMaxVotes.push(playerId);
+        }
+    }
+    
+    // =========================================================================
+    // STEP 3: Handle ties (V1.3) - Signal tie-breaker replay
+    // =========================================================================
+    if (playersWithMaxVotes.length > 1) {
+        // TIE DETECTED - Don't eliminate anyone
+        const tiedPlayerNames = playersWithMaxVotes.map(id => room.players.get(id).name);
+        console.log(`[Game] Tie detected in room ${roomCode}: ${tiedPlayerNames.join(', ')} with ${maxVotes} votes each`);
+        
+        return {
+            success: false,
+            isTie: true
+        };
+    }
+    
+    // =========================================================================
+    // STEP 4: Clear winner - proceed to results
+    // =========================================================================
+    const votedOutPlayerId = playersWithMaxVotes[0];
+    console.log(`[Game] Clear winner: ${room.players.get(votedOutPlayerId).name} with ${maxVotes} votes`);
+    
+    const multiElimination = !!room.settings?.multiElimination;
+    if (multiElimination) {
+        recordElimination(room, votedOutPlayerId, maxVotes);
+    }
+    
+    // V1.4: A caught imposter gets one last guess at the word
+    if (room.imposterIds.includes(votedOutPlayerId)) {
+        return startImposterGuess(room, votedOutPlayerId, voteCounts);
+    }
+    
+    // V1.4: Multi-elimination - the civilian is out and play goes on,
+    // until the imposters are no longer outnumbered
+    if (multiElimination && !impostersHaveParity(room)) {
+        const player = room.players.get(votedOutPlayerId);
+        return {
+            success: true,
+            eliminated: true,
+            room: room,
+            eliminatedPlayer: { id: player.id, name: player.name },
+            eliminations: room.eliminations
+        };
+    }
+    
+    return finalizeResults(room, votedOutPlayerId, voteCounts);
+}
+
+// =============================================================================
+// V1.4: ACTIVE PLAYERS (MULTI-ELIMINATION AND SPECTATORS)
+// =============================================================================
+
+/**
+ * V1.4: Whether a player has been voted out in multi-elimination mode.
+ * Eliminated players stay in the room as spectators - unlike disconnected
+ * players, who leave room.players.
+ * 
+ * @param {Object} room - The room
+ * @param {string} playerId - The player to check
+ * @returns {boolean}
+ */
+function isEliminated(room, playerId) {
+    return !!room.eliminatedIds && room.eliminatedIds.includes(playerId);
+}
+
+/**
+ * V1.4: Whether a player watches instead of playing: joined mid-game
+ * (until the next reset) or sits in the moderator seat.
+ * 
+ * @param {Object} room - The room
+ * @param {string} playerId - The player to check
+ * @returns {boolean}
+ */
+function isSpectator(room, playerId) {
+    const player = room.players.get(playerId);
+    return !!(player?.spectator || player?.moderator);
+}
+
+/**
+ * V1.4: Seats that take part in the next game - everyone but the moderator,
+ * up to the room's player cap (the rest keep spectating).
+ * 
+ * @param {Object} room - The room
+ * @returns {number}
+ */
+function countPlayingSeats(room) {
+    const candidates = Array.from(room.players.values()).filter(p => !p.moderator).length;
+    return Math.min(candidates, getMaxPlayers(room));
+}
+
+/**
+ * V1.4: Spectators allowed on top of a full room before joins fail with ROOM_FULL.
+ */
+const MAX_SPECTATORS = 10;
+
+/**
+ * V1.4: The room's player cap.
+ * 
+ * @param {Object} room - The room
+ * @returns {number}
+ */
+function getMaxPlayers(room) {
+    return room.settings?.maxPlayers || DEFAULT_SETTINGS.maxPlayers;
+}
+
+/**
+ * V1.4: Players holding a seat - not spectating, not the moderator.
+ * 
+ * @param {Object} room - The room
+ * @returns {number}
+ */
+function countSeatedPlayers(room) {
+    return Array.from(room.players.values()).filter(p => !p.moderator && !p.spectator).length;
+}
+
+/**
+ * V1.4: Spectators beyond the seats the room can hand out next game.
+ * (Before a reset, mid-game spectators still have a seat waiting.)
+ * 
+ * @param {Object} room - The room
+ * @returns {number}
+ */
+function countWaitingSpectators(room) {
+    const candidates = Array.from(room.players.values()).filter(p => !p.moderator).length;
+    return Math.max(0, candidates - getMaxPlayers(room));
+}
+
+/**
+ * V1.4: Seats spectators, longest-waiting first, until the room is at its cap.
+ * Only call outside a game (lobby, or while resetting for the next game).
+ * 
+ * @param {Object} room - The room
+ * @returns {Array} - The promoted players
+ */
+function fillOpenSeats(room) {
+    const promoted = [];
+    let seated = countSeatedPlayers(room);
+    
+    for (const player of room.players.values()) {
+        if (seated >= getMaxPlayers(room)) break;
+        if (!player.spectator) continue;
+        
+        player.spectator = false;
+        seated++;
+        promoted.push(player);
+        console.log(`[Game] Spectator ${player.name} promoted to player in room ${room.code}`);
+    }
+    
+    return promoted;
+}
+
+/**
+ * V1.4: Secret game state for the moderator seat.
+ * Sent only over the moderator's own socket channel.
+ * 
+ * @param {Object} room - The room
+ * @returns {Object|null} - { topic, word, imposters }, or null outside a game
+ */
+function getModeratorState(room) {
+    if (!room.imposterIds || room.phase === 'lobby') {
+        return null;
+    }
+    
+    return {
+        topic: room.topic,
+        word: room.word,
+        imposters: getImposterList(room)
+    };
+}
+
+/**
+ * V1.4: IDs of the players taking part in the current game
+ * (not eliminated and not spectating).
+ * 
+ * @param {Object} room - The room
+ * @returns {string[]} - Player IDs in join order
+ */
+function getActivePlayerIds(room) {
+    return Array.from(room.players.keys())
+        .filter(id => !isEliminated(room, id) && !isSpectator(room, id));
+}
+
+/**
+ * V1.4: Records a multi-elimination vote in room.eliminations and
+ * marks the player as eliminated.
+ * 
+ * @param {Object} room - The room
+ * @param {string} playerId - The voted-out player
+ * @param {number} votes - Votes the player received
+ */
+function recordElimination(room, playerId, votes) {
+    room.eliminatedIds.push(playerId);
+    room.eliminations.push({
+        round: room.eliminations.length + 1,
+        playerId: playerId,
+        playerName: room.players.get(playerId).name,
+        wasImposter: room.imposterIds.includes(playerId),
+        votes: votes
+    });
+}
+
+/**
+ * V1.4: The imposters win a multi-elimination game once they are no longer
+ * outnumbered - with one imposter, when only two players are left.
+ * 
+ * @param {Object} room - The room
+ * @returns {boolean}
+ */
+function impostersHaveParity(room) {
+    const activeIds = getActivePlayerIds(room);
+    const activeImposters = activeIds.filter(id => room.imposterIds.includes(id)).length;
+    return activeImposters >= activeIds.length - activeImposters;
+}
+
+/**
+ * V1.4: Starts the next description + voting cycle after a civilian was
+ * eliminated. Same word and imposters; only the remaining players speak.
+ * 
+ * @param {string} roomCode - The room code
+ * @returns {Object} - { success, error?, room?, speakingOrder? }
+ */
+function startNextEliminationRound(roomCode) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { success: false, error: 'ROOM_NOT_FOUND' };
+    }
+    
+    if (room.phase !== 'voting') {
+        return { success: false, error: 'INVALID_PHASE' };
+    }
+    
+    // Clear round-specific state
+    startDescriptionRounds(room);
+    room.votes = {};
+    room.pendingVotes = {};
+    room.confirmedVotes = {};
+    room.chat = {
+        messages: [],
+        rateLimit: new Map()
+    };
+    
+    room.phase = 'description';
+    room.speakingOrder = shuffleArray(getActivePlayerIds(room));
+    room.currentSpeakerIndex = 0;
+    room.currentDescription = null;
+    
+    console.log(`[Game] Elimination round ${room.eliminations.length + 1} in room ${roomCode}`);
+    console.log(`[Game] Speaking order: ${room.speakingOrder.map(id => room.players.get(id).name).join(' → ')}`);
+    
+    return {
+        success: true,
+        room: room,
+        speakingOrder: room.speakingOrder.map(id => ({
+            id: id,
+            name: room.players.get(id).name
+        }))
+    };
+}
+
+/**
+ * V1.4: Moves the room into the imposterGuess phase.
+ * The voted-out imposter may guess the secret word to steal the win.
+ * Results are held back until the guess is in (or the timer expires).
+ * 
+ * @param {Object} room - The room object
+ * @param {string} imposterId - The voted-out imposter
+ * @param {Object} voteCounts - Vote counts per player (used for the final results)
+ * @returns {Object} - { success, imposterGuess: true, room, guesser }
+ */
+function startImposterGuess(room, imposterId, voteCounts) {
+    const imposter = room.players.get(imposterId);
+    
+    room.phase = 'imposterGuess';
+    room.pendingGuess = {
+        imposterId: imposterId,
+        imposterName: imposter.name,
+        voteCounts: voteCounts
+    };
+    
+    console.log(`[Game] ${imposter.name} was caught - waiting for their last-chance guess in room ${room.code}`);
+    
+    return {
+        success: true,
+        imposterGuess: true,
+        room: room,
+        guesser: { id: imposter.id, name: imposter.name }
+    };
+}
+
+/**
+ * V1.4: Submits the caught imposter's last-chance guess.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string} playerId - The player guessing (must be the voted-out imposter)
+ * @param {string} guess - The guessed word
+ * @returns {Object} - Result payload from finalizeResults, or { success: false, error }
+ */
+function submitImposterGuess(roomCode, playerId, guess) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { success: false, error: 'ROOM_NOT_FOUND' };
+    }
+    
+    // V1.4: Nothing counts while the host has the game paused
+    if (room.pause) {
+        return { success: false, error: 'GAME_PAUSED' };
+    }
+    
+    if (room.phase !== 'imposterGuess' || !room.pendingGuess) {
+        return { success: false, error: 'INVALID_PHASE' };
+    }
+    
+    if (room.pendingGuess.imposterId !== playerId) {
+        return { success: false, error: 'NOT_GUESSING_IMPOSTER' };
+    }
+    
+    if (typeof guess !== 'string' || !guess.trim() || guess.length > 50) {
+        return { success: false, error: 'INVALID_GUESS' };
+    }
+    
+    return resolveImposterGuess(roomCode, guess.trim());
+}
+
+/**
+ * V1.4: Ends the imposterGuess phase and finalizes results.
+ * Called with the guess, or with null when the timer expires / the imposter leaves.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string|null} guess - The guess, or null if none was made
+ * @returns {Object} - Result payload from finalizeResults
+ */
+function resolveImposterGuess(roomCode, guess) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { success: false, error: 'ROOM_NOT_FOUND' };
+    }
+    
+    if (room.phase !== 'imposterGuess' || !room.pendingGuess) {
         return { success: false, error: 'INVALID_PHASE' };
     }
     
-    // =========================================================================
-    // STEP 1: Count votes for each player
-    // NOTE: Only actual votes are counted. Abstains (missing votes) are ignored.
-    // =========================================================================
-    const voteCounts = {}; // { [playerId]: number }
+    const { imposterId, imposterName, voteCounts } = room.pendingGuess;
+    const correct = guess !== null && isGuessCorrect(guess, room.word);
     
-    // Initialize all players with 0 votes
-    for (const playerId of room.players.keys()) {
-        voteCounts[playerId] = 0;
-    }
+    console.log(`[Game] ${imposterName} guessed "${guess}" in room ${roomCode}: ${correct ? 'CORRECT' : 'wrong'}`);
     
-    // Count only actual votes cast (abstains are simply not in room.votes)
-    const actualVotesCast = Object.keys(room.votes).length;
-    for (const targetPlayerId of Object.values(room.votes)) {
-        if (voteCounts[targetPlayerId] !== undefined) {
-            voteCounts[targetPlayerId]++;
+    return finalizeResults(room, imposterId, voteCounts, {
+        votedOutName: imposterName,
+        imposterGuess: {
+            playerId: imposterId,
+            playerName: imposterName,
+            guess: guess,
+            correct: correct
         }
+    });
+}
+
+/**
+ * V1.4: Lets an imposter end the game early by calling a guess at the word
+ * during the description or voting phase. A right guess wins for the
+ * imposters, a wrong guess loses - no vote is needed either way.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string} playerId - The player calling it (must be an imposter)
+ * @param {string} guess - The guessed word
+ * @returns {Object} - Result payload from finalizeResults, or { success: false, error }
+ */
+function callImposterGuess(roomCode, playerId, guess) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { success: false, error: 'ROOM_NOT_FOUND' };
     }
     
-    // Log abstain count for debugging
-    const abstainCount = room.players.size - actualVotesCast;
-    if (abstainCount > 0) {
-        console.log(`[Game] ${abstainCount} player(s) abstained from voting in room ${roomCode}`);
+    // V1.4: Nothing counts while the host has the game paused
+    if (room.pause) {
+        return { success: false, error: 'GAME_PAUSED' };
     }
     
-    // =========================================================================
-    // STEP 2: Find the highest vote count and players with that count
-    // =========================================================================
-    let maxVotes = 0;
-    for (const count of Object.values(voteCounts)) {
-        if (count > maxVotes) {
-            maxVotes = count;
-        }
+    if (room.phase !== 'description' && room.phase !== 'voting') {
+        return { success: false, error: 'INVALID_PHASE' };
     }
     
-    // Get all players with the max vote count (potential ties)
-    const playersWithMaxVotes = [];
-    for (const [playerId, count] of Object.entries(voteCounts)) {
-        if (count === maxVotes) {
-            playersWithMaxVotes.push(playerId);
-        }
+    if (!room.imposterIds.includes(playerId)) {
+        return { success: false, error: 'NOT_IMPOSTER' };
     }
     
-    // =========================================================================
-    // STEP 3: Handle ties (V1.3) - Signal tie-breaker replay
-    // =========================================================================
-    if (playersWithMaxVotes.length > 1) {
-        // TIE DETECTED - Don't eliminate anyone
-        const tiedPlayerNames = playersWithMaxVotes.map(id => room.players.get(id).name);
-        console.log(`[Game] Tie detected in room ${roomCode}: ${tiedPlayerNames.join(', ')} with ${maxVotes} votes each`);
-        
-        return {
-            success: false,
-            isTie: true
-        };
+    if (typeof guess !== 'string' || !guess.trim() || guess.length > 50) {
+        return { success: false, error: 'INVALID_GUESS' };
     }
     
-    // =========================================================================
-    // STEP 4: Clear winner - proceed to results
-    // =========================================================================
-    const votedOutPlayerId = playersWithMaxVotes[0];
-    console.log(`[Game] Clear winner: ${room.players.get(votedOutPlayerId).name} with ${maxVotes} votes`);
+    const player = room.players.get(playerId);
+    const correct = isGuessCorrect(guess.trim(), room.word);
     
-    return finalizeResults(room, votedOutPlayerId, voteCounts);
+    console.log(`[Game] ${player.name} called it early in room ${roomCode} with "${guess.trim()}": ${correct ? 'CORRECT' : 'wrong'}`);
+    
+    return finalizeResults(room, null, {}, {
+        reason: 'imposterGuessed',
+        imposterGuess: {
+            playerId: playerId,
+            playerName: player.name,
+            guess: guess.trim(),
+            correct: correct
+        }
+    });
 }
 
 /**
@@ -1461,15 +3029,27 @@ function calculateVoteResults(roomCode) {
  * Transitions room to results phase and builds the result payload.
  * 
  * @param {Object} room - The room object
- * @param {string} votedOutPlayerId - The player who was voted out
+ * @param {string|null} votedOutPlayerId - The player who was voted out (null if nobody was)
  * @param {Object} voteCounts - Vote counts per player
+ * @param {Object} [options] - V1.4: { reason?, imposterGuess?, votedOutName? }
+ *   - reason: 'votedOut' (default) or 'imposterGuessed' when an imposter called it early
+ *   - imposterGuess: { playerId, playerName, guess, correct } from the imposter's guess
+ *   - votedOutName: Fallback name if the voted-out player already left
  * @returns {Object} - Result payload
  */
-function finalizeResults(room, votedOutPlayerId, voteCounts) {
+function finalizeResults(room, votedOutPlayerId, voteCounts, options = {}) {
+    const reason = options.reason || 'votedOut';
+    const imposterGuess = options.imposterGuess || null;
+    
     // =========================================================================
     // Determine winner
     // =========================================================================
-    const playersWin = votedOutPlayerId === room.imposterId;
+    // V1.4: Catching any one of the imposters is a win for the players,
+    // unless the caught imposter then guesses the word.
+    // An early call is decided by the guess alone.
+    const playersWin = reason === 'imposterGuessed'
+        ? !imposterGuess.correct
+        : room.imposterIds.includes(votedOutPlayerId) && !imposterGuess?.correct;
     
     // =========================================================================
     // Build vote summary (revealed only in results)
@@ -1494,32 +3074,163 @@ function finalizeResults(room, votedOutPlayerId, voteCounts) {
     // V1.1: Room stays open after results for replay
     // =========================================================================
     room.phase = 'results';
+    delete room.pendingGuess;
+    delete room.pause;          // V1.4: The game is over
+    
+    const votedOutPlayer = votedOutPlayerId === null
+        ? null
+        : room.players.get(votedOutPlayerId) || { id: votedOutPlayerId, name: options.votedOutName };
+    const imposters = getImposterList(room);
     
-    const votedOutPlayer = room.players.get(votedOutPlayerId);
-    const imposter = room.players.get(room.imposterId);
+    // V1.4: Update the running leaderboard (an early call skips the vote, so votes don't score)
+    const roundPoints = scoreVotingRound(room, playersWin, votedOutPlayerId, reason !== 'imposterGuessed');
+    if (imposterGuess?.correct) {
+        awardPoints(room, roundPoints, imposterGuess.playerId, SCORE_POINTS.imposterGuessedWord);
+    }
+    room.lastRoundPoints = roundPoints;
+    room.lastOutcome = { playersWin, imposterGuess, reason, eliminations: room.eliminations || [] };
     
-    console.log(`[Game] Results: ${playersWin ? 'PLAYERS WIN' : 'IMPOSTER WINS'}`);
-    console.log(`[Game] Voted out: ${votedOutPlayer.name}, Imposter was: ${imposter.name}`);
+    console.log(`[Game] Results: ${playersWin ? 'PLAYERS WIN' : 'IMPOSTERS WIN'}`);
+    console.log(`[Game] Voted out: ${votedOutPlayer ? votedOutPlayer.name : 'nobody'}, Imposters were: ${imposters.map(p => p.name).join(', ')}`);
     
     return {
         success: true,
         room: room,
         results: {
-            votedOutPlayer: {
+            votedOutPlayer: votedOutPlayer && {
                 id: votedOutPlayer.id,
                 name: votedOutPlayer.name
             },
-            imposter: {
-                id: imposter.id,
-                name: imposter.name
-            },
+            imposters: imposters,   // V1.4: All imposters revealed
             playersWin: playersWin,
+            reason: reason,         // V1.4: 'votedOut' or 'imposterGuessed'
             voteSummary: voteSummary,
-            secretWord: room.word // Reveal the word in results
+            secretWord: room.word, // Reveal the word in results
+            imposterGuess: imposterGuess,           // V1.4: Last-chance guess (null if none)
+            eliminations: room.eliminations || [],  // V1.4: Multi-elimination history
+            roundPoints: roundPoints,               // V1.4: Points earned this game
+            leaderboard: getLeaderboard(room)       // V1.4: Running totals
         }
     };
 }
 
+// =============================================================================
+// V1.4: SCORING
+// =============================================================================
+
+/**
+ * Points awarded at the end of each game.
+ */
+const SCORE_POINTS = {
+    votedForImposter: 1,     // Non-imposter who voted for an imposter
+    imposterSurvived: 2,     // Each imposter when the imposters win
+    imposterGuessedWord: 3   // Bonus for an imposter who guesses the secret word
+};
+
+/**
+ * V1.4: Adds points to players' running scores.
+ * 
+ * @param {Object} room - The room
+ * @param {Object} roundPoints - { [playerId]: points } to add (mutated as points are awarded)
+ * @param {string} playerId - The player receiving points
+ * @param {number} points - Points to add
+ */
+function awardPoints(room, roundPoints, playerId, points) {
+    const player = room.players.get(playerId);
+    if (!player) {
+        return;
+    }
+    
+    if (!room.scores) {
+        room.scores = {};
+    }
+    if (!room.scores[playerId]) {
+        room.scores[playerId] = { name: player.name, points: 0 };
+    }
+    
+    room.scores[playerId].name = player.name;
+    room.scores[playerId].points += points;
+    roundPoints[playerId] = (roundPoints[playerId] || 0) + points;
+}
+
+/**
+ * V1.4: Scores a finished game from its votes and outcome.
+ * 
+ * @param {Object} room - The room (uses room.votes and room.imposterIds)
+ * @param {boolean} playersWin - Whether the players won
+ * @param {string|null} votedOutPlayerId - The voted-out player (a caught imposter did not survive)
+ * @param {boolean} [countVotes=true] - Score votes (false when the game ended before the vote)
+ * @returns {Object} - roundPoints { [playerId]: points earned this game }
+ */
+function scoreVotingRound(room, playersWin, votedOutPlayerId, countVotes = true) {
+    const roundPoints = {};
+    const votes = countVotes ? room.votes || {} : {};
+    
+    for (const [voterId, targetId] of Object.entries(votes)) {
+        if (!room.imposterIds.includes(voterId) && room.imposterIds.includes(targetId)) {
+            awardPoints(room, roundPoints, voterId, SCORE_POINTS.votedForImposter);
+        }
+    }
+    
+    if (!playersWin) {
+        room.imposterIds
+            .filter(id => id !== votedOutPlayerId)
+            .forEach(id => {
+                awardPoints(room, roundPoints, id, SCORE_POINTS.imposterSurvived);
+            });
+    }
+    
+    return roundPoints;
+}
+
+/**
+ * V1.4: Builds the room leaderboard (players currently in the room, highest first).
+ * 
+ * @param {Object} room - The room
+ * @returns {Array} - [{ playerId, name, points }]
+ */
+function getLeaderboard(room) {
+    const scores = room.scores || {};
+    
+    return Array.from(room.players.values())
+        .filter(p => !p.moderator)  // V1.4: The moderator never scores
+        .map(p => ({
+            playerId: p.id,
+            name: p.name,
+            points: scores[p.id]?.points || 0
+        }))
+        .sort((a, b) => b.points - a.points || a.name.localeCompare(b.name));
+}
+
+/**
+ * V1.4: Clears the leaderboard. Host-only, lobby/postGame only.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string} playerId - The player requesting the reset (must be host)
+ * @returns {Object} - { success, error?, room? }
+ */
+function resetScores(roomCode, playerId) {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+        return { success: false, error: 'ROOM_NOT_FOUND' };
+    }
+    
+    if (room.phase !== 'lobby' && room.phase !== 'postGame') {
+        return { success: false, error: 'INVALID_PHASE' };
+    }
+    
+    if (room.hostId !== playerId) {
+        return { success: false, error: 'NOT_HOST' };
+    }
+    
+    room.scores = {};
+    
+    console.log(`[Room] Scores reset in room ${roomCode}`);
+    
+    return { success: true, room: room };
+}
+
 /**
  * Gets a room by its code.
  * @param {string} roomCode - The room code
@@ -1585,6 +3296,7 @@ function transitionToPostGame(roomCode) {
 /**
  * V1.1: Resets the room for a new game (Play Again).
  * Keeps players intact but clears all game-specific state.
+ * V1.4: The room's custom word pack (room.wordPack) is kept.
  * 
  * @param {string} roomCode - The room code
  * @param {string} requestingPlayerId - Player ID requesting the reset (must be host)
@@ -1607,13 +3319,15 @@ function resetRoomForNewGame(roomCode, requestingPlayerId) {
         return { success: false, error: 'NOT_HOST' };
     }
     
-    // Validation: Minimum player count
-    if (room.players.size < MIN_PLAYERS) {
+    // Validation: Minimum player count (V1.4: spectators count up to the cap, the moderator doesn't)
+    const requiredPlayers = getMinPlayersForImposters(room.settings?.imposterCount || 1);
+    const playerCount = countPlayingSeats(room);
+    if (playerCount < requiredPlayers) {
         return { 
             success: false, 
             error: 'NOT_ENOUGH_PLAYERS',
-            required: MIN_PLAYERS,
-            current: room.players.size
+            required: requiredPlayers,
+            current: playerCount
         };
     }
     
@@ -1626,8 +3340,10 @@ function resetRoomForNewGame(roomCode, requestingPlayerId) {
     // Clear game-specific state
     delete room.topic;
     delete room.word;
-    delete room.imposterId;
+    delete room.imposterIds;
     delete room.descriptions;
+    delete room.descriptionsByRound;
+    delete room.descriptionRound;
     delete room.speakingOrder;
     delete room.currentSpeakerIndex;
     delete room.currentDescription;
@@ -1636,6 +3352,15 @@ function resetRoomForNewGame(roomCode, requestingPlayerId) {
     delete room.confirmedVotes;
     delete room.chat;
     delete room.postGameTimeoutId;
+    delete room.lastRoundPoints;
+    delete room.lastOutcome;
+    delete room.pendingGuess;
+    delete room.pause;
+    delete room.eliminatedIds;
+    delete room.eliminations;
+    
+    // V1.4: Spectators who joined mid-game play from now on (while seats last)
+    fillOpenSeats(room);
     
     // Reset to lobby and increment game number
     room.phase = 'lobby';
@@ -1647,16 +3372,17 @@ function resetRoomForNewGame(roomCode, requestingPlayerId) {
 }
 
 /**
- * V1.3: Restarts the game round with the same imposter after a tie.
- * Generates new topic/word but keeps the same imposter.
+ * V1.3: Restarts the game round with the same imposters after a tie.
+ * Generates new topic/word but keeps the same imposters.
  * Transitions directly to description phase.
  * 
  * PRESERVES:
- * - room.imposterId
+ * - room.imposterIds
  * - room.players
  * - room.hostId
  * - room.settings
  * - room.gameNumber
+ * - room.wordPack (V1.4)
  * 
  * RESETS:
  * - descriptions, votes, confirmedVotes, pendingVotes
@@ -1682,23 +3408,23 @@ function restartGameRoundWithSameImposter(roomCode) {
         return { success: false, error: 'INVALID_PHASE' };
     }
     
-    // Must have an imposter
-    if (!room.imposterId) {
+    // Must have at least one imposter
+    if (!room.imposterIds || room.imposterIds.length === 0) {
         return { success: false, error: 'NO_IMPOSTER' };
     }
     
     // Generate new topic and word
-    const { topic, word } = getRandomTopicAndWord();
+    const { topic, word } = getRandomTopicAndWord(room);
     
     console.log(`[Game] Tie-breaker replay in room ${roomCode}`);
-    console.log(`[Game] New Topic: ${topic}, New Word: ${word}, Same Imposter: ${room.players.get(room.imposterId).name}`);
+    console.log(`[Game] New Topic: ${topic}, New Word: ${word}, Same Imposters: ${getImposterList(room).map(p => p.name).join(', ')}`);
     
-    // Update room with new topic/word (keep same imposterId)
+    // Update room with new topic/word (keep same imposterIds)
     room.topic = topic;
     room.word = word;
     
     // Clear round-specific state
-    room.descriptions = {};
+    startDescriptionRounds(room);
     room.votes = {};
     room.pendingVotes = {};
     room.confirmedVotes = {};
@@ -1709,7 +3435,7 @@ function restartGameRoundWithSameImposter(roomCode) {
     
     // Set up description phase with new speaking order
     room.phase = 'description';
-    const playerIds = Array.from(room.players.keys());
+    const playerIds = getActivePlayerIds(room);
     room.speakingOrder = shuffleArray(playerIds);
     room.currentSpeakerIndex = 0;
     room.currentDescription = null;
@@ -1722,7 +3448,7 @@ function restartGameRoundWithSameImposter(roomCode) {
         gameData: {
             topic: topic,
             word: word,
-            imposterId: room.imposterId
+            imposterIds: room.imposterIds
         },
         speakingOrder: room.speakingOrder.map(id => ({
             id: id,
@@ -1772,6 +3498,15 @@ function addChatMessage(roomCode, playerId, text) {
         return { success: false, error: 'PLAYER_NOT_IN_ROOM' };
     }
     
+    // V1.4: Spectators and eliminated players watch in silence
+    if (isSpectator(room, playerId)) {
+        return { success: false, error: 'SPECTATOR' };
+    }
+    
+    if (isEliminated(room, playerId)) {
+        return { success: false, error: 'ELIMINATED' };
+    }
+    
     // Validate message
     if (!text || typeof text !== 'string') {
         return { success: false, error: 'INVALID_MESSAGE' };
@@ -1867,7 +3602,7 @@ function getPlayerBySocketId(socketId) {
  * PRIVACY NOTES:
  * - socketId: NEVER sent (internal use only)
  * - word: NEVER included here (sent privately to non-imposters)
- * - imposterId: NEVER included here (only imposter knows they are imposter)
+ * - imposterIds: NEVER included here (only imposters know they are imposters)
  * 
  * @param {Object} room - The room object
  * @returns {Object} - Serialized room data
@@ -1879,12 +3614,28 @@ function serializeRoom(room) {
         phase: room.phase,
         players: Array.from(room.players.values()).map(p => ({
             id: p.id,
-            name: p.name
+            name: p.name,
+            connected: p.connected !== false,   // V1.4: false during disconnect grace period
+            eliminated: isEliminated(room, p.id),   // V1.4: Voted out in multi-elimination mode
+            spectator: !!p.spectator,               // V1.4: Joined mid-game, plays from the next game
+            moderator: !!p.moderator,               // V1.4: God-view seat (never plays)
+            ready: !!p.ready                        // V1.4: Ready-check before the next game
             // Note: socketId is NOT sent to clients
         })),
         playerCount: room.players.size,
+        activePlayerCount: getActivePlayerIds(room).length,   // V1.4: Excludes eliminated players and spectators
         gameNumber: room.gameNumber || 0,   // V1.1: Include game count
-        settings: room.settings || { descriptionTime: 10, votingTime: 60 }   // V1.2: Include settings
+        settings: room.settings || { ...DEFAULT_SETTINGS },   // V1.2: Include settings
+        minPlayers: getMinPlayersForImposters(room.settings?.imposterCount || 1),   // V1.4
+        wordPack: wordPackManager.summarizePack(room.wordPack),   // V1.4: names/counts only, never words
+        selectedPacks: (room.settings?.wordPackIds || [])   // V1.4: Library packs in use
+            .map(id => wordPackManager.summarizePack(wordPackManager.getLibraryPack(id)))
+            .filter(Boolean),
+        hasPassword: !!room.passwordHash,   // V1.4: Private room (the password itself is never sent)
+        wordHistory: getWordHistory(room),  // V1.4: { used, total } for the current pool
+        eliminations: room.eliminations || [],  // V1.4: Multi-elimination history so far
+        leaderboard: getLeaderboard(room),  // V1.4: Running scores (awarded only after results)
+        paused: !!room.pause                // V1.4: Host paused the game
     };
     
     // Include topic if game has started (topic is public knowledge)
@@ -1892,11 +3643,315 @@ function serializeRoom(room) {
         serialized.topic = room.topic;
     }
     
-    // NEVER include: room.word, room.imposterId
+    // NEVER include: room.word, room.imposterIds, room.wordPack word lists
     
     return serialized;
 }
 
+// =============================================================================
+// V1.4: PERSISTENCE SNAPSHOTS
+// =============================================================================
+
+/**
+ * V1.4: Lists every room (used to snapshot all rooms on shutdown).
+ *
+ * @returns {Object[]} - The rooms
+ */
+function getAllRooms() {
+    return [...rooms.values()];
+}
+
+/**
+ * V1.4: Converts a room into plain JSON-safe data for persistence.
+ *
+ * Unlike serializeRoom(), the snapshot INCLUDES SECRETS (imposterIds, word,
+ * votes, password hash) so a restored game can continue exactly where it was.
+ * Pending timeouts and chat rate limits are process-bound and left out.
+ *
+ * @param {Object} room - The room object
+ * @returns {Object} - The snapshot
+ */
+function createRoomSnapshot(room) {
+    const { players, usedWords, bannedPlayerIds, bannedNames, postGameTimeoutId, chat, ...rest } = room;
+
+    const snapshot = {
+        ...rest,
+        players: Array.from(players.values()).map(({ disconnectTimeoutId, ...p }) => p),
+        usedWords: Array.from(usedWords || []),
+        bannedPlayerIds: Array.from(bannedPlayerIds || []),
+        bannedNames: Array.from(bannedNames || [])
+    };
+
+    if (chat) {
+        snapshot.chat = { messages: chat.messages };
+    }
+
+    return snapshot;
+}
+
+/**
+ * V1.4: Rebuilds a room from a persistence snapshot after a server restart.
+ *
+ * Every player comes back with connected: false - their old sockets are gone.
+ * The caller starts their grace period so they can reclaim their seats with
+ * their reconnect tokens.
+ *
+ * @param {Object} snapshot - Data from createRoomSnapshot()
+ * @returns {Object|null} - The restored room, or null if invalid or the code is taken
+ */
+function restoreRoom(snapshot) {
+    if (!snapshot || typeof snapshot.code !== 'string' ||
+        !Array.isArray(snapshot.players) || snapshot.players.length === 0) {
+        return null;
+    }
+
+    if (rooms.has(snapshot.code)) {
+        return null;
+    }
+
+    const room = buildRoomFromSnapshot(snapshot);
+    for (const player of room.players.values()) {
+        player.connected = false;
+    }
+
+    rooms.set(room.code, room);
+
+    console.log(`[Room] Restored room ${room.code} (phase: ${room.phase}, ${room.players.size} players)`);
+
+    return room;
+}
+
+/**
+ * V1.4: Turns snapshot data back into a live room object (Map, Sets, Date).
+ *
+ * @param {Object} snapshot - Data from createRoomSnapshot()
+ * @returns {Object} - The room (not yet in the rooms Map)
+ */
+function buildRoomFromSnapshot(snapshot) {
+    const room = {
+        ...snapshot,
+        players: new Map(snapshot.players.map(p => [p.id, { ...p }])),
+        createdAt: new Date(snapshot.createdAt),
+        settings: { ...DEFAULT_SETTINGS, ...snapshot.settings },
+        usedWords: new Set(snapshot.usedWords),
+        bannedPlayerIds: new Set(snapshot.bannedPlayerIds),
+        bannedNames: new Set(snapshot.bannedNames),
+        postGameTimeoutId: null
+    };
+
+    if (snapshot.chat) {
+        room.chat = { messages: snapshot.chat.messages || [], rateLimit: new Map() };
+    }
+
+    return room;
+}
+
+// =============================================================================
+// V1.4: SHARED ROOM STORE
+// =============================================================================
+
+/**
+ * The `rooms` Map is this process's working copy. Every event runs as one
+ * unit of work through runRoomTask():
+ *
+ * 1. Lock the room (in-process queue + a store lease across servers)
+ * 2. Load the room from the store if another server changed it
+ * 3. Run the game logic against the working copy (synchronous, or awaiting
+ *    only the store - e.g. pausing a timer another server runs)
+ * 4. Commit the room back (or delete it if the last player left)
+ *
+ * With the memory store the working copy is always current, so step 2 is a
+ * version check only.
+ */
+
+const ROOM_LOCK_TTL_MS = 5000;          // A crashed server's lock frees itself after this
+const ROOM_LOCK_RETRY_MS = 20;
+
+/**
+ * Store version of each room in the working copy.
+ */
+const roomVersions = new Map();
+
+/**
+ * Tail of each room's in-process task queue.
+ */
+const roomQueues = new Map();
+
+/**
+ * Rooms created by the running task - committed when it finishes.
+ */
+const createdRoomCodes = new Set();
+
+/**
+ * V1.4: Refreshes a room's working copy from the store.
+ * Process-bound handles (grace timeouts, postGame timeout, chat rate limits)
+ * are carried over from the previous copy.
+ *
+ * @param {string} roomCode - The room code
+ * @returns {Promise<Object|null>} - The room, or null if it no longer exists
+ */
+async function loadRoom(roomCode) {
+    const code = roomCode.toUpperCase();
+    const record = await roomStore.getRoom(code, roomVersions.get(code));
+
+    if (!record) {
+        rooms.delete(code);
+        roomVersions.delete(code);
+        return null;
+    }
+
+    if (record.room) {
+        const cached = rooms.get(code);
+        const room = buildRoomFromSnapshot(record.room);
+
+        if (cached) {
+            room.postGameTimeoutId = cached.postGameTimeoutId;
+            if (room.chat && cached.chat) {
+                room.chat.rateLimit = cached.chat.rateLimit;
+            }
+            for (const player of room.players.values()) {
+                const previous = cached.players.get(player.id);
+                if (previous?.disconnectTimeoutId) {
+                    player.disconnectTimeoutId = previous.disconnectTimeoutId;
+                }
+            }
+        }
+
+        rooms.set(code, room);
+    }
+
+    roomVersions.set(code, record.version);
+    return rooms.get(code) || null;
+}
+
+/**
+ * V1.4: Writes a room's working copy to the store, or deletes it from the
+ * store if the room is gone.
+ *
+ * @param {string} roomCode - The room code
+ */
+async function commitRoom(roomCode) {
+    const code = roomCode.toUpperCase();
+    const room = rooms.get(code);
+
+    if (!room) {
+        roomVersions.delete(code);
+        await roomStore.deleteRoom(code);
+        return;
+    }
+
+    roomVersions.set(code, await roomStore.setRoom(code, createRoomSnapshot(room)));
+}
+
+/**
+ * V1.4: Refreshes every room's working copy (for the public room browser).
+ * Rooms deleted by other servers are dropped.
+ */
+async function loadAllRooms() {
+    const versions = await roomStore.listRoomVersions();
+
+    for (const code of rooms.keys()) {
+        if (versions[code] === undefined) {
+            rooms.delete(code);
+            roomVersions.delete(code);
+        }
+    }
+
+    for (const [code, version] of Object.entries(versions)) {
+        if (roomVersions.get(code) !== version) {
+            await loadRoom(code);
+        }
+    }
+}
+
+/**
+ * V1.4: Runs tasks for one room one at a time - in this process through a
+ * promise queue, across servers through the room's lock lease.
+ *
+ * @param {string} roomCode - The room code
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} - The task's result
+ */
+async function withRoomLock(roomCode, task) {
+    const previous = roomQueues.get(roomCode) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    roomQueues.set(roomCode, tail);
+
+    await previous;
+
+    const lockName = `lock:${roomCode}`;
+    try {
+        if (roomStore.shared) {
+            while (!(await roomStore.acquireLease(lockName, NODE_ID, { ttlMs: ROOM_LOCK_TTL_MS }))) {
+                await new Promise(resolve => setTimeout(resolve, ROOM_LOCK_RETRY_MS));
+            }
+        }
+        return await task();
+    } finally {
+        if (roomStore.shared) {
+            await roomStore.releaseLease(lockName, NODE_ID).catch(() => {});
+        }
+        release();
+        if (roomQueues.get(roomCode) === tail) {
+            roomQueues.delete(roomCode);
+        }
+    }
+}
+
+/**
+ * V1.4: Runs game logic against a room as one unit of work
+ * (lock, load, run, commit).
+ *
+ * Rooms created by the task (room:create) are committed too.
+ * If the task throws, nothing is committed and the working copies it touched
+ * are reloaded from the store (a room it created is dropped), so later tasks
+ * never see half-applied changes. Side effects outside the room - timers
+ * already started, events already emitted - are not undone.
+ *
+ * @param {string|null} roomCode - Room to lock and load (null when the task is not about an existing room)
+ * @param {Function} task - Game logic (may return a Promise)
+ * @returns {Promise<void>}
+ */
+async function runRoomTask(roomCode, task) {
+    const code = roomCode ? roomCode.toUpperCase() : null;
+
+    const run = async () => {
+        if (code) {
+            await loadRoom(code);
+        }
+
+        createdRoomCodes.clear();
+        let failure = null;
+        try {
+            await task();
+        } catch (err) {
+            failure = err;
+        }
+        const touched = new Set(createdRoomCodes);
+        createdRoomCodes.clear();
+
+        if (code) {
+            touched.add(code);
+        }
+
+        if (failure) {
+            for (const touchedCode of touched) {
+                roomVersions.delete(touchedCode);
+                await loadRoom(touchedCode).catch(() => rooms.delete(touchedCode));
+            }
+            throw failure;
+        }
+
+        for (const touchedCode of touched) {
+            await commitRoom(touchedCode);
+        }
+    };
+
+    return code ? withRoomLock(code, run) : run();
+}
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -1906,6 +3961,21 @@ module.exports = {
     joinRoom,
     removePlayerBySocketId,
     handlePlayerDisconnectMidGame,
+    DISCONNECT_GRACE_SECONDS,   // V1.4
+    markPlayerDisconnected,     // V1.4
+    kickPlayer,                 // V1.4
+    transferHost,               // V1.4
+    listPublicRooms,            // V1.4
+    setPlayerReady,             // V1.4
+    pauseGame,                  // V1.4
+    resumeGame,                 // V1.4
+    getAllRooms,                // V1.4
+    createRoomSnapshot,         // V1.4
+    restoreRoom,                // V1.4
+    loadRoom,                   // V1.4
+    commitRoom,                 // V1.4
+    loadAllRooms,               // V1.4
+    runRoomTask,                // V1.4
     attemptRejoin,
     getRejoinState,
     getRoom,
@@ -1928,12 +3998,29 @@ module.exports = {
     transitionToPostGame,
     resetRoomForNewGame,
     restartGameRoundWithSameImposter,  // V1.3: Tie-breaker replay
+    startNextEliminationRound,  // V1.4: Multi-elimination mode
+    getModeratorState,       // V1.4
     setPostGameTimeout,
     clearPostGameTimeout,
     addChatMessage,
     getChatMessages,
     updateRoomSettings,      // V1.2
+    getImposterList,         // V1.4
+    getActivePlayerIds,      // V1.4
+    getImposterPartners,     // V1.4
+    getMinPlayersForImposters,  // V1.4
+    setRoomWordPack,         // V1.4
+    clearRoomWordPack,       // V1.4
+    resetWordHistory,        // V1.4
+    resetScores,             // V1.4
+    submitImposterGuess,     // V1.4
+    resolveImposterGuess,    // V1.4
+    callImposterGuess,       // V1.4
+    isGuessCorrect,          // V1.4
+    getLeaderboard,          // V1.4
+    SCORE_POINTS,            // V1.4
     DEFAULT_SETTINGS,        // V1.2
     SETTINGS_LIMITS,         // V1.2
+    PASSWORD_ATTEMPT_LIMIT,  // V1.4
     MIN_PLAYERS
 };
@@ -0,0 +1,316 @@
+/**
+ * Room Store Module (V1.4)
+ *
+ * Async storage behind roomManager, so several server processes can share
+ * the same rooms. roomManager keeps working on its in-process copy of a room
+ * and loads / commits it through this store around every event
+ * (see roomManager.runRoomTask).
+ *
+ * BACKENDS (ROOM_STORE):
+ * - memory (default): Everything stays in this process - one server only
+ * - shared: A store server at ROOM_STORE_URL (default tcp://127.0.0.1:6390),
+ *   e.g. the stand-in from storeServer.js. Any number of game servers can use it.
+ *
+ * STORE INTERFACE (every call returns a Promise):
+ *   getRoom(code, knownVersion)  - null if missing, { version } if unchanged,
+ *                                  otherwise { version, room }
+ *   setRoom(code, room)          - stores a room snapshot, resolves to its new version
+ *   deleteRoom(code)
+ *   listRoomVersions()           - { [code]: version }
+ *   acquireLease(name, owner, { ttlMs, data?, force? })
+ *                                - true if `owner` now holds the lease. Free, expired
+ *                                  or already-owned leases are granted (and renewed);
+ *                                  force takes it over from another owner.
+ *   releaseLease(name, owner?)   - frees the lease (any owner if omitted)
+ *   listLeases(prefix)           - [{ name, owner, expired, data }]
+ *   publish(channel, message)    - delivered to subscribers on every node, sender included
+ *   subscribe(channel, handler)
+ *
+ * Rooms are stored as roomManager.createRoomSnapshot() data (JSON-safe).
+ * A Redis backend would map rooms to keys, leases to SET NX PX and
+ * publish/subscribe to Redis pub/sub.
+ */
+
+const net = require('net');
+const crypto = require('crypto');
+
+// =============================================================================
+// MEMORY BACKEND
+// =============================================================================
+
+/**
+ * Creates an in-process store.
+ * Also used by storeServer.js as the data behind the shared backend.
+ *
+ * @returns {Object} - The store
+ */
+function createMemoryStore() {
+    const rooms = new Map();            // code -> { version, room }
+    const leases = new Map();           // name -> { owner, expiresAt, data }
+    const subscribers = new Map();      // channel -> Set<handler>
+    let nextVersion = 1;
+
+    return {
+        shared: false,
+
+        async getRoom(code, knownVersion) {
+            const entry = rooms.get(code);
+            if (!entry) return null;
+            if (entry.version === knownVersion) return { version: entry.version };
+            return { version: entry.version, room: structuredClone(entry.room) };
+        },
+
+        async setRoom(code, room) {
+            const version = nextVersion++;
+            rooms.set(code, { version, room: structuredClone(room) });
+            return version;
+        },
+
+        async deleteRoom(code) {
+            rooms.delete(code);
+        },
+
+        async listRoomVersions() {
+            const versions = {};
+            for (const [code, entry] of rooms) {
+                versions[code] = entry.version;
+            }
+            return versions;
+        },
+
+        async acquireLease(name, owner, { ttlMs, data, force = false }) {
+            const lease = leases.get(name);
+            const now = Date.now();
+
+            if (lease && lease.owner !== owner && lease.expiresAt > now && !force) {
+                return false;
+            }
+
+            leases.set(name, {
+                owner,
+                expiresAt: now + ttlMs,
+                data: data !== undefined ? data : lease?.data
+            });
+            return true;
+        },
+
+        async releaseLease(name, owner) {
+            const lease = leases.get(name);
+            if (lease && (!owner || lease.owner === owner)) {
+                leases.delete(name);
+            }
+        },
+
+        async listLeases(prefix) {
+            const now = Date.now();
+            const result = [];
+            for (const [name, lease] of leases) {
+                if (name.startsWith(prefix)) {
+                    result.push({ name, owner: lease.owner, expired: lease.expiresAt <= now, data: lease.data });
+                }
+            }
+            return result;
+        },
+
+        async publish(channel, message) {
+            for (const handler of subscribers.get(channel) || []) {
+                handler(message);
+            }
+        },
+
+        async subscribe(channel, handler) {
+            if (!subscribers.has(channel)) {
+                subscribers.set(channel, new Set());
+            }
+            subscribers.get(channel).add(handler);
+        },
+
+        async unsubscribe(channel, handler) {
+            subscribers.get(channel)?.delete(handler);
+        }
+    };
+}
+
+// =============================================================================
+// SHARED BACKEND (store server client)
+// =============================================================================
+
+/**
+ * Store calls forwarded to the store server, one per request.
+ */
+const REMOTE_OPS = [
+    'getRoom', 'setRoom', 'deleteRoom', 'listRoomVersions',
+    'acquireLease', 'releaseLease', 'listLeases', 'publish'
+];
+
+const RECONNECT_DELAY_MS = 1000;
+
+/**
+ * Creates a client for a store server (see storeServer.js).
+ *
+ * PROTOCOL: newline-delimited JSON over TCP
+ * - Request:  { id, op, args }
+ * - Reply:    { id, result } or { id, error }
+ * - Push:     { channel, message } for subscribed channels
+ *
+ * Requests are answered in order, so a publish sent before a lease release
+ * reaches every subscriber before anyone else can take the lease.
+ * The connection is re-opened (and channels re-subscribed) if it drops.
+ *
+ * @param {string} url - tcp://host:port
+ * @returns {Object} - The store
+ */
+function createSharedStore(url) {
+    const { hostname, port } = new URL(url);
+    const pending = new Map();          // request id -> { resolve, reject }
+    const subscribers = new Map();      // channel -> Set<handler>
+    let connection = null;
+    let buffer = '';
+    let nextId = 1;
+
+    function send(payload) {
+        connection.write(JSON.stringify(payload) + '\n');
+    }
+
+    function handleLine(line) {
+        if (!line) return;
+
+        let payload;
+        try {
+            payload = JSON.parse(line);
+        } catch (e) {
+            console.error(`[Store] Bad reply from store server: ${e.message}`);
+            return;
+        }
+
+        if (payload.channel !== undefined) {
+            for (const handler of subscribers.get(payload.channel) || []) {
+                handler(payload.message);
+            }
+            return;
+        }
+
+        const request = pending.get(payload.id);
+        if (!request) return;
+        pending.delete(payload.id);
+
+        if (payload.error) {
+            request.reject(new Error(payload.error));
+        } else {
+            request.resolve(payload.result);
+        }
+    }
+
+    function connect() {
+        buffer = '';
+        connection = net.connect(Number(port), hostname);
+        connection.setEncoding('utf8');
+
+        connection.on('connect', () => {
+            console.log(`[Store] Connected to store server ${hostname}:${port}`);
+            for (const channel of subscribers.keys()) {
+                send({ id: nextId++, op: 'subscribe', args: [channel] });
+            }
+        });
+
+        connection.on('data', (chunk) => {
+            buffer += chunk;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                handleLine(buffer.slice(0, newline));
+                buffer = buffer.slice(newline + 1);
+            }
+        });
+
+        connection.on('error', (err) => {
+            console.error(`[Store] Store server connection error: ${err.message}`);
+        });
+
+        connection.on('close', () => {
+            for (const request of pending.values()) {
+                request.reject(new Error('STORE_UNAVAILABLE'));
+            }
+            pending.clear();
+            setTimeout(connect, RECONNECT_DELAY_MS);
+        });
+    }
+
+    function request(op, args) {
+        return new Promise((resolve, reject) => {
+            // Writes made while connecting are buffered by the socket
+            if (connection.destroyed) {
+                return reject(new Error('STORE_UNAVAILABLE'));
+            }
+            const id = nextId++;
+            pending.set(id, { resolve, reject });
+            send({ id, op, args });
+        });
+    }
+
+    connect();
+
+    const store = { shared: true };
+
+    for (const op of REMOTE_OPS) {
+        store[op] = (...args) => request(op, args);
+    }
+
+    store.subscribe = async (channel, handler) => {
+        if (!subscribers.has(channel)) {
+            subscribers.set(channel, new Set());
+            // Still connecting: the connect handler subscribes every channel
+            if (!connection.pending) {
+                await request('subscribe', [channel]);
+            }
+        }
+        subscribers.get(channel).add(handler);
+    };
+
+    store.unsubscribe = async (channel, handler) => {
+        subscribers.get(channel)?.delete(handler);
+    };
+
+    return store;
+}
+
+// =============================================================================
+// STORE SELECTION
+// =============================================================================
+
+/**
+ * ID of this server process - lease owner and timer message sender.
+ */
+const NODE_ID = crypto.randomBytes(6).toString('hex');
+
+/**
+ * Picks the backend from ROOM_STORE.
+ *
+ * @returns {Object} - The store
+ */
+function createStore() {
+    const name = (process.env.ROOM_STORE || 'memory').toLowerCase();
+
+    if (name === 'shared') {
+        const url = process.env.ROOM_STORE_URL || 'tcp://127.0.0.1:6390';
+        console.log(`[Store] Using shared room store at ${url} (node ${NODE_ID})`);
+        return createSharedStore(url);
+    }
+
+    if (name !== 'memory') {
+        console.log(`[Store] Unknown ROOM_STORE "${name}" - using memory`);
+    }
+    return createMemoryStore();
+}
+
+const store = createStore();
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+    store,
+    NODE_ID,
+    createMemoryStore,
+    createSharedStore
+};
@@ -14,6 +14,11 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const roomManager = require('./roomManager');
 const timerManager = require('./timerManager');
+const tokenManager = require('./tokenManager');
+const wordPackManager = require('./wordPackManager');
+const persistenceManager = require('./persistenceManager');
+const { store: roomStore } = require('./roomStore');
+const { createClusterAdapter } = require('./clusterAdapter');
 
 // =============================================================================
 // SERVER SETUP
@@ -23,11 +28,13 @@ const app = express();
 const server = http.createServer(app);
 
 // Configure Socket.io with CORS for development
+// V1.4: With a shared room store, broadcasts reach players on every server
 const io = new Server(server, {
     cors: {
         origin: process.env.CLIENT_URL || 'http://localhost:3000',
         methods: ['GET', 'POST']
-    }
+    },
+    adapter: roomStore.shared ? createClusterAdapter(roomStore) : undefined
 });
 
 // Express middleware
@@ -43,20 +50,141 @@ app.get('/health', (req, res) => {
     });
 });
 
+// =============================================================================
+// V1.4: WORD PACK LIBRARY API
+// =============================================================================
+
+wordPackManager.loadLibrary();
+
+if (!process.env.PACK_ADMIN_TOKEN) {
+    console.log('[Packs] PACK_ADMIN_TOKEN not set - pack words and library edits are disabled');
+}
+
+/**
+ * Maps word pack errors to HTTP status codes.
+ */
+function sendPackError(res, result) {
+    const status = result.error === 'PACK_NOT_FOUND' ? 404 : 400;
+    res.status(status).json({ error: result.error, message: result.message });
+}
+
+/**
+ * Guards routes that change packs or reveal their words.
+ * Clients send PACK_ADMIN_TOKEN as "Authorization: Bearer <token>".
+ * Without PACK_ADMIN_TOKEN these routes are closed: the words would let an
+ * imposter look up the secret word, and anyone could edit the shared library.
+ */
+function requirePackAdmin(req, res, next) {
+    const adminToken = process.env.PACK_ADMIN_TOKEN;
+    
+    if (!adminToken) {
+        return res.status(403).json({ error: 'PACK_ADMIN_DISABLED' });
+    }
+    
+    if (req.get('Authorization') !== `Bearer ${adminToken}`) {
+        return res.status(401).json({ error: 'UNAUTHORIZED' });
+    }
+    
+    next();
+}
+
+// List packs (summaries only - no words)
+app.get('/api/packs', (req, res) => {
+    res.json({ packs: wordPackManager.listLibraryPacks() });
+});
+
+// Get one pack including its words (for editing - guarded like writes)
+app.get('/api/packs/:id', requirePackAdmin, (req, res) => {
+    const pack = wordPackManager.getLibraryPack(req.params.id);
+    
+    if (!pack) {
+        return sendPackError(res, { error: 'PACK_NOT_FOUND' });
+    }
+    
+    res.json({ pack });
+});
+
+// Create a pack: { name, topics } or { content, format?, name? }
+app.post('/api/packs', requirePackAdmin, (req, res) => {
+    const result = wordPackManager.createLibraryPack(req.body);
+    
+    if (!result.success) {
+        return sendPackError(res, result);
+    }
+    
+    res.status(201).json({ pack: result.pack });
+});
+
+// Replace a pack's name/topics
+app.put('/api/packs/:id', requirePackAdmin, (req, res) => {
+    const result = wordPackManager.updateLibraryPack(req.params.id, req.body);
+    
+    if (!result.success) {
+        return sendPackError(res, result);
+    }
+    
+    res.json({ pack: result.pack });
+});
+
+app.delete('/api/packs/:id', requirePackAdmin, (req, res) => {
+    const result = wordPackManager.deleteLibraryPack(req.params.id);
+    
+    if (!result.success) {
+        return sendPackError(res, result);
+    }
+    
+    res.status(204).end();
+});
+
+// =============================================================================
+// V1.4: PUBLIC ROOM BROWSER API
+// =============================================================================
+
+// List public rooms (no secrets - see roomManager.listPublicRooms)
+app.get('/api/rooms', async (req, res) => {
+    try {
+        await roomManager.loadAllRooms();     // V1.4: Rooms may live on other servers
+        res.json({ rooms: roomManager.listPublicRooms() });
+    } catch (err) {
+        console.error(`[Rooms] Failed to list public rooms: ${err.message}`);
+        res.status(503).json({ error: 'STORE_UNAVAILABLE' });
+    }
+});
+
 // =============================================================================
 // SOCKET.IO EVENT HANDLERS
 // =============================================================================
 
+// V1.4: Wrong room passwords per client address (Map<address, timestamp[]>);
+// the per-socket ones live in socket.data. See room:join.
+const failedPasswordsByAddress = new Map();
+
+/**
+ * V1.4: Drops wrong-password timestamps outside the throttle window.
+ * 
+ * @param {number[]} [times] - Timestamps of wrong passwords
+ * @param {number} now - Current time
+ * @returns {number[]} - The ones still inside PASSWORD_ATTEMPT_LIMIT.windowMs
+ */
+function getRecentAttempts(times, now) {
+    return (times || []).filter(time => now - time < roomManager.PASSWORD_ATTEMPT_LIMIT.windowMs);
+}
+
 io.on('connection', (socket) => {
     console.log(`[Socket] Client connected: ${socket.id}`);
 
+    // V1.4: Every event runs as a unit of work on its room (see runSocketTask)
+    const on = (event, handler) => {
+        socket.on(event, (...args) => runSocketTask(socket, args, handler));
+    };
+
     // -------------------------------------------------------------------------
     // CREATE ROOM
-    // Client sends: { playerName: string }
-    // Server responds: { success, room?, player?, error? }
+    // Client sends: { playerName: string, moderator?: boolean, password?: string, isPublic?: boolean }
+    // Server responds: { success, room?, player?, reconnectToken?, error? }
     // -------------------------------------------------------------------------
-    socket.on('room:create', (data, callback) => {
-        const { playerName } = data;
+    on('room:create', async (data, callback) => {
+        const { playerName, moderator, password, isPublic } = data;
 
         // Validate input
         if (!playerName || typeof playerName !== 'string') {
@@ -68,35 +196,68 @@ io.on('connection', (socket) => {
             return callback({ success: false, error: 'NAME_LENGTH_INVALID' });
         }
 
+        // V1.4: Optional moderator seat for the host
+        if (moderator !== undefined && typeof moderator !== 'boolean') {
+            return callback({ success: false, error: 'INVALID_VALUE', field: 'moderator' });
+        }
+
+        // V1.4: Optional room password
+        if (password !== undefined &&
+            (typeof password !== 'string' || password.length > roomManager.SETTINGS_LIMITS.password.max)) {
+            return callback({ success: false, error: 'INVALID_VALUE', field: 'password' });
+        }
+
+        // V1.4: Listed in the public room browser
+        if (isPublic !== undefined && typeof isPublic !== 'boolean') {
+            return callback({ success: false, error: 'INVALID_VALUE', field: 'isPublic' });
+        }
+
         // Create the room
-        const { room, player } = roomManager.createRoom(trimmedName, socket.id);
+        const { room, player } = await roomManager.createRoom(trimmedName, socket.id, moderator === true, password || '', isPublic === true);
 
         // Join the socket to a Socket.io room (for broadcasting)
         socket.join(room.code);
+        
+        // V1.4: The moderator also gets the secret channel
+        if (player.moderator) {
+            socket.join(getModeratorChannel(room.code));
+        }
 
         // Send success response with room and player data
+        // The reconnect token goes ONLY to this socket
         callback({
             success: true,
             room: roomManager.serializeRoom(room),
-            player: { id: player.id, name: player.name }
+            player: { id: player.id, name: player.name },
+            reconnectToken: tokenManager.issueReconnectToken(room.code, player.id)
         });
 
+        schedulePublicRoomsBroadcast();     // V1.4
+
         console.log(`[Game] Room ${room.code} created by ${player.name}`);
     });
 
     // -------------------------------------------------------------------------
     // JOIN ROOM
-    // Client sends: { roomCode: string, playerName: string }
-    // Server responds: { success, room?, player?, error?, rejoinState? }
+    // Client sends: { roomCode: string, playerName: string, reconnectToken?: string, password?: string }
+    // Server responds: { success, room?, player?, reconnectToken?, error?, rejoinState? }
     // 
     // REJOIN SUPPORT:
-    // - If player with same name exists in room, this is a rejoin (browser refresh)
+    // - If a reconnect token is sent, this is a rejoin (browser refresh)
+    // - The token must be valid for this room - otherwise INVALID_TOKEN
+    // - A valid token for a seat that no longer exists joins as a new player
     // - Original player's socket ID is updated to new socket
     // - Full game state is restored to the client
     // - Game continues uninterrupted
+    // - Without a token, a matching name is NOT a rejoin: joinRoom rejects
+    //   it with NAME_TAKEN
+    // - V1.4: A new player joining mid-game becomes a spectator
+    // - V1.4: Private rooms need the password for a new join, not for a rejoin
+    // - V1.4: Wrong passwords are throttled per socket and per client address
+    //   (TOO_MANY_ATTEMPTS, see roomManager.PASSWORD_ATTEMPT_LIMIT)
     // -------------------------------------------------------------------------
-    socket.on('room:join', (data, callback) => {
-        const { roomCode, playerName } = data;
+    on('room:join', async (data, callback) => {
+        const { roomCode, playerName, reconnectToken, password } = data;
 
         // Validate input
         if (!roomCode || typeof roomCode !== 'string') {
@@ -113,15 +274,36 @@ io.on('connection', (socket) => {
         }
 
         // =====================================================================
-        // ATTEMPT REJOIN FIRST (browser refresh scenario)
+        // ATTEMPT REJOIN FIRST (browser refresh scenario, token required)
         // =====================================================================
-        const rejoinResult = roomManager.attemptRejoin(roomCode, trimmedName, socket.id);
+        const rejoinResult = reconnectToken
+            ? roomManager.attemptRejoin(roomCode, reconnectToken, socket.id)
+            : null;
+        
+        // A forged or foreign token is rejected outright. A valid token whose
+        // seat no longer exists (player left) falls through to a normal join.
+        if (rejoinResult && !rejoinResult.success && rejoinResult.error !== 'PLAYER_NOT_FOUND') {
+            return callback({ success: false, error: rejoinResult.error });
+        }
         
-        if (rejoinResult.success && rejoinResult.isRejoin) {
+        if (rejoinResult && rejoinResult.success) {
             const { room, player, oldSocketId } = rejoinResult;
             
             // Join the socket to the Socket.io room
             socket.join(room.code);
+            if (player.moderator) {
+                socket.join(getModeratorChannel(room.code));    // V1.4
+            }
+            
+            // V1.4: Back within the grace period - let everyone un-grey this player
+            if (rejoinResult.wasDisconnected) {
+                socket.to(room.code).emit('player:connectionChanged', {
+                    playerId: player.id,
+                    playerName: player.name,
+                    connected: true,
+                    room: roomManager.serializeRoom(room)
+                });
+            }
             
             // Get full rejoin state for client restoration
             const rejoinState = roomManager.getRejoinState(room.code, player.id);
@@ -131,37 +313,22 @@ io.on('connection', (socket) => {
                 success: true,
                 isRejoin: true,
                 room: roomManager.serializeRoom(room),
-                player: { id: player.id, name: player.name }
+                player: { id: player.id, name: player.name },
+                reconnectToken: reconnectToken
             };
             
             // Include phase-specific restoration data
             if (rejoinState.success) {
-                response.rejoinState = {
-                    phase: rejoinState.phase,
-                    topic: rejoinState.topic,
-                    isImposter: rejoinState.isImposter,
-                    word: rejoinState.word, // Only for non-imposters
-                    hasSubmittedDescription: rejoinState.hasSubmittedDescription,
-                    submissionProgress: rejoinState.submissionProgress,
-                    descriptions: rejoinState.descriptions,
-                    hasVoted: rejoinState.hasVoted,
-                    voteProgress: rejoinState.voteProgress,
-                    results: rejoinState.results,
-                    // V1.1: Sequential description phase
-                    speakingOrder: rejoinState.speakingOrder,
-                    currentSpeakerIndex: rejoinState.currentSpeakerIndex,
-                    liveDescriptions: rejoinState.liveDescriptions,
-                    // V1.1: Two-step voting
-                    selectedVote: rejoinState.selectedVote,
-                    confirmProgress: rejoinState.confirmProgress,
-                    // V1.1: Chat
-                    chatMessages: rejoinState.chatMessages,
-                    // V1.1: Game number
-                    gameNumber: rejoinState.gameNumber
-                };
+                response.rejoinState = buildRejoinPayload(rejoinState);
+            }
+            
+            // V1.4: Word and imposters for the moderator seat
+            if (player.moderator) {
+                response.moderatorState = roomManager.getModeratorState(room);
             }
             
             callback(response);
+            sendTimerState(socket, room);      // V1.4
             
             console.log(`[Game] ${player.name} rejoined room ${room.code} (phase: ${room.phase})`);
             return;
@@ -170,7 +337,28 @@ io.on('connection', (socket) => {
         // =====================================================================
         // NORMAL JOIN (new player)
         // =====================================================================
-        const result = roomManager.joinRoom(roomCode, trimmedName, socket.id);
+        // V1.4: Recent wrong passwords from this socket and its address, in any room
+        const now = Date.now();
+        const address = socket.handshake.address;
+        const limits = roomManager.PASSWORD_ATTEMPT_LIMIT;
+        socket.data.failedPasswordAttempts = getRecentAttempts(socket.data.failedPasswordAttempts, now);
+        const addressAttempts = getRecentAttempts(failedPasswordsByAddress.get(address), now);
+        if (password && (socket.data.failedPasswordAttempts.length >= limits.perSocket ||
+            addressAttempts.length >= limits.perAddress)) {
+            return callback({ success: false, error: 'TOO_MANY_ATTEMPTS' });
+        }
+
+        const result = await roomManager.joinRoom(roomCode, trimmedName, socket.id, password);
+
+        if (result.error === 'WRONG_PASSWORD') {
+            socket.data.failedPasswordAttempts.push(now);
+            addressAttempts.push(now);
+        }
+        if (addressAttempts.length > 0) {
+            failedPasswordsByAddress.set(address, addressAttempts);
+        } else {
+            failedPasswordsByAddress.delete(address);
+        }
 
         if (result.error) {
             return callback({ success: false, error: result.error });
@@ -188,13 +376,54 @@ io.on('connection', (socket) => {
         });
 
         // Send success response to the joining player
-        callback({
+        // The reconnect token goes ONLY to this socket
+        const response = {
             success: true,
             room: roomManager.serializeRoom(room),
-            player: { id: player.id, name: player.name }
-        });
+            player: { id: player.id, name: player.name },
+            reconnectToken: tokenManager.issueReconnectToken(room.code, player.id)
+        };
+        
+        // V1.4: A mid-game spectator gets the public game state to catch up
+        if (player.spectator) {
+            const spectatorState = roomManager.getRejoinState(room.code, player.id);
+            if (spectatorState.success) {
+                response.rejoinState = buildRejoinPayload(spectatorState);
+            }
+        }
+        
+        callback(response);
+        if (player.spectator) {
+            sendTimerState(socket, room);      // V1.4
+        }
+
+        schedulePublicRoomsBroadcast();     // V1.4
+
+        console.log(`[Game] ${player.name} joined room ${room.code}${player.spectator ? ' as a spectator' : ''}`);
+    });
+
+    // -------------------------------------------------------------------------
+    // V1.4: PUBLIC ROOM BROWSER SUBSCRIPTION
+    // Client sends: (no data needed)
+    // Server responds: { success, rooms }
+    //
+    // Subscribed sockets get rooms:updated { rooms } whenever a public
+    // room is created, fills up, changes settings or phase, or closes.
+    // -------------------------------------------------------------------------
+    on('rooms:subscribe', async (callback) => {
+        socket.join(PUBLIC_ROOMS_CHANNEL);
+        try {
+            await roomManager.loadAllRooms();     // V1.4: Rooms may live on other servers
+        } catch (err) {
+            console.error(`[Rooms] Failed to list public rooms: ${err.message}`);
+            return callback({ success: false, error: 'STORE_UNAVAILABLE' });
+        }
+        callback({ success: true, rooms: roomManager.listPublicRooms() });
+    });
 
-        console.log(`[Game] ${player.name} joined room ${room.code}`);
+    on('rooms:unsubscribe', (callback) => {
+        socket.leave(PUBLIC_ROOMS_CHANNEL);
+        if (callback) callback({ success: true });
     });
 
     // -------------------------------------------------------------------------
@@ -202,16 +431,136 @@ io.on('connection', (socket) => {
     // Client sends: (no data needed, uses socket.id)
     // Server responds: { success }
     // -------------------------------------------------------------------------
-    socket.on('room:leave', (callback) => {
+    on('room:leave', (callback) => {
         handlePlayerLeave(socket, callback);
     });
 
+    // -------------------------------------------------------------------------
+    // V1.4: KICK PLAYER
+    // Client sends: { playerId: string, ban?: boolean }
+    // Server responds: { success, error? }
+    //
+    // Host-only. The kicked player gets room:kicked, then leaves through the
+    // same path as room:leave (player:left, host transfer, mid-game cleanup).
+    // With ban, their reconnect token and name can no longer join the room.
+    // -------------------------------------------------------------------------
+    on('room:kick', (data, callback) => {
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+
+        const { room, player } = playerData;
+        const { playerId, ban } = data || {};
+
+        if (ban !== undefined && typeof ban !== 'boolean') {
+            return callback({ success: false, error: 'INVALID_VALUE', field: 'ban' });
+        }
+
+        const result = roomManager.kickPlayer(room.code, player.id, playerId, ban === true);
+
+        if (!result.success) {
+            return callback({ success: false, error: result.error });
+        }
+
+        const target = result.player;
+        const targetSocket = io.sockets.sockets.get(target.socketId);
+
+        if (targetSocket) {
+            targetSocket.emit('room:kicked', { roomCode: room.code, banned: ban === true });
+            handlePlayerLeave(targetSocket);
+        } else {
+            // V1.4: Connected to another server, or kicked during their
+            // disconnect grace period (then nobody receives these)
+            io.to(target.socketId).emit('room:kicked', { roomCode: room.code, banned: ban === true });
+            removePlayerAndNotify(target.socketId);
+            io.in(target.socketId).socketsLeave([room.code, getModeratorChannel(room.code)]);
+        }
+
+        callback({ success: true });
+
+        console.log(`[Game] ${target.name} ${ban ? 'banned' : 'kicked'} from room ${room.code} by ${player.name}`);
+    });
+
+    // -------------------------------------------------------------------------
+    // V1.4: READY-CHECK
+    // Client sends: { ready: boolean }
+    // Server responds: { success, error? }
+    //
+    // Only allowed in lobby or postGame phase.
+    // Broadcasts player:readyChanged so every badge updates.
+    // -------------------------------------------------------------------------
+    on('room:setReady', (data, callback) => {
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+
+        const { room, player } = playerData;
+        const { ready } = data || {};
+
+        if (typeof ready !== 'boolean') {
+            return callback({ success: false, error: 'INVALID_VALUE', field: 'ready' });
+        }
+
+        const result = roomManager.setPlayerReady(room.code, player.id, ready);
+
+        if (!result.success) {
+            return callback({ success: false, error: result.error });
+        }
+
+        io.to(room.code).emit('player:readyChanged', {
+            playerId: player.id,
+            ready: ready,
+            room: roomManager.serializeRoom(result.room)
+        });
+
+        callback({ success: true });
+    });
+
+    // -------------------------------------------------------------------------
+    // V1.4: TRANSFER HOST
+    // Client sends: { playerId: string }
+    // Server responds: { success, error? }
+    //
+    // Host-only. Only allowed in lobby or postGame phase.
+    // Broadcasts room:hostChanged, same as when the host leaves.
+    // -------------------------------------------------------------------------
+    on('room:transferHost', (data, callback) => {
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+
+        const { room, player } = playerData;
+        const { playerId } = data || {};
+
+        const result = roomManager.transferHost(room.code, player.id, playerId);
+
+        if (!result.success) {
+            return callback({ success: false, error: result.error });
+        }
+
+        io.to(room.code).emit('room:hostChanged', {
+            newHostId: result.player.id,
+            room: roomManager.serializeRoom(result.room)
+        });
+
+        callback({ success: true });
+
+        console.log(`[Game] ${player.name} made ${result.player.name} host of room ${room.code}`);
+    });
+
     // -------------------------------------------------------------------------
     // DISCONNECT (Involuntary - browser close, network issue, etc.)
+    // V1.4: Mid-game disconnects get a grace period before removal
     // -------------------------------------------------------------------------
-    socket.on('disconnect', (reason) => {
+    on('disconnect', (reason) => {
         console.log(`[Socket] Client disconnected: ${socket.id} (${reason})`);
-        handlePlayerLeave(socket);
+        handlePlayerDisconnect(socket);
     });
 
     // -------------------------------------------------------------------------
@@ -219,7 +568,7 @@ io.on('connection', (socket) => {
     // Client sends: { roomCode: string }
     // Server responds: { success, room?, error? }
     // -------------------------------------------------------------------------
-    socket.on('room:getState', (data, callback) => {
+    on('room:getState', (data, callback) => {
         const { roomCode } = data;
 
         const room = roomManager.getRoom(roomCode);
@@ -236,13 +585,13 @@ io.on('connection', (socket) => {
 
     // -------------------------------------------------------------------------
     // V1.2: UPDATE ROOM SETTINGS
-    // Client sends: { descriptionTime?: number, votingTime?: number }
+    // Client sends: { descriptionTime?, votingTime?, imposterCount?, revealImposterPartners?, wordPackIds? }
     // Server responds: { success, error?, settings? }
     // 
     // Host-only. Only allowed in lobby or postGame phase.
     // Broadcasts updated settings to all players in the room.
     // -------------------------------------------------------------------------
-    socket.on('game:updateSettings', (data, callback) => {
+    on('game:updateSettings', async (data, callback) => {
         const playerData = roomManager.getPlayerBySocketId(socket.id);
         
         if (!playerData) {
@@ -251,7 +600,7 @@ io.on('connection', (socket) => {
         
         const { room, player } = playerData;
         
-        const result = roomManager.updateRoomSettings(room.code, player.id, data);
+        const result = await roomManager.updateRoomSettings(room.code, player.id, data);
         
         if (!result.success) {
             return callback({
@@ -264,7 +613,8 @@ io.on('connection', (socket) => {
         
         // Broadcast settings update to all players in the room
         io.to(room.code).emit('game:settingsUpdated', {
-            settings: result.settings
+            settings: result.settings,
+            room: roomManager.serializeRoom(result.room)
         });
         
         callback({
@@ -272,9 +622,143 @@ io.on('connection', (socket) => {
             settings: result.settings
         });
         
+        schedulePublicRoomsBroadcast();     // V1.4: Visibility or listed settings may have changed
+        
         console.log(`[Settings] Room ${room.code} settings updated by ${player.name}`);
     });
 
+    // -------------------------------------------------------------------------
+    // V1.4: SET CUSTOM WORD PACK
+    // Client sends: { content: string, format?: 'json' | 'csv', name?: string }
+    // Server responds: { success, error?, message?, wordPack? }
+    // 
+    // Host-only. Only allowed in lobby or postGame phase.
+    // Broadcasts the pack summary (name, topic names, word count) - never the words.
+    // -------------------------------------------------------------------------
+    on('room:setWordPack', (data, callback) => {
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+        
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+        
+        const { room, player } = playerData;
+        
+        const result = roomManager.setRoomWordPack(room.code, player.id, data);
+        
+        if (!result.success) {
+            return callback({
+                success: false,
+                error: result.error,
+                message: result.message
+            });
+        }
+        
+        io.to(room.code).emit('room:wordPackUpdated', {
+            wordPack: result.wordPack,
+            room: roomManager.serializeRoom(result.room)
+        });
+        
+        callback({ success: true, wordPack: result.wordPack });
+        
+        console.log(`[Settings] Room ${room.code} word pack set by ${player.name}`);
+    });
+
+    // -------------------------------------------------------------------------
+    // V1.4: CLEAR CUSTOM WORD PACK
+    // Client sends: (no data needed)
+    // Server responds: { success, error? }
+    // 
+    // Host-only. Goes back to the built-in topics.
+    // -------------------------------------------------------------------------
+    on('room:clearWordPack', (callback) => {
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+        
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+        
+        const { room, player } = playerData;
+        
+        const result = roomManager.clearRoomWordPack(room.code, player.id);
+        
+        if (!result.success) {
+            return callback({ success: false, error: result.error });
+        }
+        
+        io.to(room.code).emit('room:wordPackUpdated', {
+            wordPack: null,
+            room: roomManager.serializeRoom(result.room)
+        });
+        
+        callback({ success: true });
+        
+        console.log(`[Settings] Room ${room.code} word pack cleared by ${player.name}`);
+    });
+
+    // -------------------------------------------------------------------------
+    // V1.4: RESET WORD HISTORY
+    // Client sends: (no data needed)
+    // Server responds: { success, error? }
+    // 
+    // Host-only. Lets already-played words be picked again.
+    // -------------------------------------------------------------------------
+    on('room:resetWordHistory', (callback) => {
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+        
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+        
+        const { room, player } = playerData;
+        
+        const result = roomManager.resetWordHistory(room.code, player.id);
+        
+        if (!result.success) {
+            return callback({ success: false, error: result.error });
+        }
+        
+        io.to(room.code).emit('room:wordHistoryReset', {
+            room: roomManager.serializeRoom(result.room)
+        });
+        
+        callback({ success: true });
+        
+        console.log(`[Settings] Room ${room.code} word history reset by ${player.name}`);
+    });
+
+    // -------------------------------------------------------------------------
+    // V1.4: RESET SCORES
+    // Client sends: (no data needed)
+    // Server responds: { success, error? }
+    // 
+    // Host-only. Clears the room leaderboard.
+    // -------------------------------------------------------------------------
+    on('room:resetScores', (callback) => {
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+        
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+        
+        const { room, player } = playerData;
+        
+        const result = roomManager.resetScores(room.code, player.id);
+        
+        if (!result.success) {
+            return callback({ success: false, error: result.error });
+        }
+        
+        io.to(room.code).emit('room:scoresReset', {
+            leaderboard: roomManager.getLeaderboard(result.room),
+            room: roomManager.serializeRoom(result.room)
+        });
+        
+        callback({ success: true });
+        
+        console.log(`[Settings] Room ${room.code} scores reset by ${player.name}`);
+    });
+
     // -------------------------------------------------------------------------
     // START GAME
     // Client sends: (no data needed, uses socket.id to verify host)
@@ -282,11 +766,12 @@ io.on('connection', (socket) => {
     // 
     // PRIVACY ENFORCEMENT:
     // - Each player receives their role privately via their own socketId
-    // - Imposter receives: { isImposter: true, topic }
+    // - Imposters receive: { isImposter: true, topic, imposterPartners }
     // - Non-imposters receive: { isImposter: false, topic, word }
+    // - imposterPartners is empty unless the host enabled revealImposterPartners
     // - Public broadcast only contains: phase change + topic (no roles/word)
     // -------------------------------------------------------------------------
-    socket.on('game:start', (callback) => {
+    on('game:start', (callback) => {
         // Get the player making the request
         const playerData = roomManager.getPlayerBySocketId(socket.id);
         
@@ -304,7 +789,8 @@ io.on('connection', (socket) => {
                 success: false, 
                 error: result.error,
                 required: result.required,
-                current: result.current
+                current: result.current,
+                notReady: result.notReady   // V1.4: PLAYERS_NOT_READY
             });
         }
         
@@ -314,29 +800,11 @@ io.on('connection', (socket) => {
         // =====================================================================
         // PRIVATE ROLE DISTRIBUTION
         // Each player receives their role info via their personal socket
-        // This ensures the imposter never sees the word, and no one knows who
-        // the imposter is except the imposter themselves.
+        // This ensures the imposters never see the word, and no one knows who
+        // the imposters are except the imposters themselves.
         // =====================================================================
         
-        for (const [playerId, playerInfo] of updatedRoom.players.entries()) {
-            const isImposter = playerId === gameData.imposterId;
-            
-            // Build private role payload for this specific player
-            const rolePayload = {
-                isImposter: isImposter,
-                topic: gameData.topic
-            };
-            
-            // CRITICAL: Only non-imposters receive the secret word
-            if (!isImposter) {
-                rolePayload.word = gameData.word;
-            }
-            
-            // Send private role info to this player's socket only
-            io.to(playerInfo.socketId).emit('game:roleAssigned', rolePayload);
-            
-            console.log(`[Game] Role sent to ${playerInfo.name}: ${isImposter ? 'IMPOSTER' : 'Player'}`);
-        }
+        emitRoleAssignments(updatedRoom, gameData);
         
         // =====================================================================
         // PUBLIC GAME STATE UPDATE
@@ -347,7 +815,7 @@ io.on('connection', (socket) => {
         io.to(updatedRoom.code).emit('game:started', {
             room: roomManager.serializeRoom(updatedRoom),
             topic: gameData.topic
-            // NOTE: word and imposterId are NEVER broadcast publicly
+            // NOTE: word and imposterIds are NEVER broadcast publicly
         });
         
         // Respond to the host who initiated the start
@@ -356,6 +824,8 @@ io.on('connection', (socket) => {
             room: roomManager.serializeRoom(updatedRoom)
         });
         
+        schedulePublicRoomsBroadcast();     // V1.4
+        
         console.log(`[Game] Game started in room ${updatedRoom.code} by ${player.name}`);
         
         // =====================================================================
@@ -373,7 +843,7 @@ io.on('connection', (socket) => {
     // Resets the room to lobby state for a new game.
     // Only the host can initiate Play Again.
     // -------------------------------------------------------------------------
-    socket.on('game:playAgain', (callback) => {
+    on('game:playAgain', (callback) => {
         const playerData = roomManager.getPlayerBySocketId(socket.id);
         
         if (!playerData) {
@@ -405,6 +875,8 @@ io.on('connection', (socket) => {
             room: roomManager.serializeRoom(result.room)
         });
         
+        schedulePublicRoomsBroadcast();     // V1.4
+        
         console.log(`[Game] Room ${room.code} reset for new game by ${player.name}`);
     });
 
@@ -414,10 +886,10 @@ io.on('connection', (socket) => {
     // Server responds: { success, error? }
     // 
     // Allows host to end the current game at any time.
-    // Transitions to postGame and reveals the imposter.
+    // Transitions to postGame and reveals the imposters.
     // Only works during active game phases (roleReveal, description, voting).
     // -------------------------------------------------------------------------
-    socket.on('game:endGame', (callback) => {
+    on('game:endGame', (callback) => {
         const playerData = roomManager.getPlayerBySocketId(socket.id);
         
         if (!playerData) {
@@ -432,7 +904,7 @@ io.on('connection', (socket) => {
         }
         
         // Only allow ending during active game phases
-        const activePhases = ['roleReveal', 'description', 'voting'];
+        const activePhases = ['roleReveal', 'description', 'voting', 'imposterGuess'];
         if (!activePhases.includes(room.phase)) {
             return callback({ success: false, error: 'INVALID_PHASE' });
         }
@@ -444,20 +916,19 @@ io.on('connection', (socket) => {
         roomManager.clearPostGameTimeout(room.code);
         
         // Get imposter info before transitioning
-        const imposter = room.players.get(room.imposterId);
-        if (!imposter) {
+        const imposters = roomManager.getImposterList(room);
+        if (imposters.length === 0) {
             return callback({ success: false, error: 'NO_IMPOSTER' });
         }
         
         // Transition to postGame
         room.phase = 'postGame';
+        delete room.pendingGuess;   // V1.4: Drop an unfinished last-chance guess
+        delete room.pause;          // V1.4: Ending also lifts a pause
         
         // Emit game ended by host event
         io.to(room.code).emit('game:endedByHost', {
-            imposter: {
-                id: imposter.id,
-                name: imposter.name
-            },
+            imposters: imposters,
             secretWord: room.word,
             reason: 'hostEnded'
         });
@@ -470,9 +941,229 @@ io.on('connection', (socket) => {
         
         callback({ success: true });
         
+        schedulePublicRoomsBroadcast();     // V1.4
+        
         console.log(`[Game] Room ${room.code} game ended by host ${player.name}`);
     });
 
+    // -------------------------------------------------------------------------
+    // V1.4: PAUSE GAME (Host only)
+    // Client sends: (no data needed)
+    // Server responds: { success, error? }
+    // 
+    // Freezes the phase timer with the exact time it had left. Until the
+    // host resumes, descriptions, votes and guesses fail with GAME_PAUSED.
+    // Broadcasts game:paused, then game:timer with the frozen time.
+    // -------------------------------------------------------------------------
+    on('game:pause', async (callback) => {
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+        
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+        
+        const { room, player } = playerData;
+        
+        const result = roomManager.pauseGame(room.code, player.id);
+        
+        if (!result.success) {
+            return callback({ success: false, error: result.error });
+        }
+        
+        // The timer may run on another server - its time left comes from the store
+        room.pause.timer = await timerManager.pauseTimer(room.code);
+        
+        io.to(room.code).emit('game:paused', {
+            pausedBy: player.name,
+            room: roomManager.serializeRoom(room)
+        });
+        
+        if (room.pause.timer) {
+            io.to(room.code).emit('game:timer', buildPausedTimerPayload(room.pause.timer));
+        }
+        
+        callback({ success: true });
+    });
+
+    // -------------------------------------------------------------------------
+    // V1.4: RESUME GAME (Host only)
+    // Client sends: (no data needed)
+    // Server responds: { success, error? }
+    // 
+    // Broadcasts game:resumed and restarts the frozen timer (game:timer).
+    // -------------------------------------------------------------------------
+    on('game:resume', (callback) => {
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+        
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+        
+        const { room, player } = playerData;
+        
+        const result = roomManager.resumeGame(room.code, player.id);
+        
+        if (!result.success) {
+            return callback({ success: false, error: result.error });
+        }
+        
+        io.to(room.code).emit('game:resumed', {
+            resumedBy: player.name,
+            room: roomManager.serializeRoom(room)
+        });
+        
+        if (result.timer) {
+            timerManager.resumeTimer(room.code, result.timer, onTimerStart, expireTimer);
+        }
+        
+        callback({ success: true });
+    });
+
+    // -------------------------------------------------------------------------
+    // V1.4: ADD TIME (Host only)
+    // Client sends: { seconds }
+    // Server responds: { success, error?, remainingSeconds? }
+    // 
+    // Extends the running (or paused) phase timer by 1-300 seconds.
+    // Broadcasts game:hostAction { action: 'addTime', seconds } and the new game:timer.
+    // -------------------------------------------------------------------------
+    on('game:addTime', async (data, callback) => {
+        const seconds = Number(data?.seconds);
+        
+        if (!Number.isInteger(seconds) || seconds < 1 || seconds > timerManager.MAX_EXTENSION_SECONDS) {
+            return callback({ success: false, error: 'INVALID_SECONDS' });
+        }
+        
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+        
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+        
+        const { room, player } = playerData;
+        
+        if (room.hostId !== player.id) {
+            return callback({ success: false, error: 'NOT_HOST' });
+        }
+        
+        let remainingSeconds;
+        
+        if (room.pause) {
+            // Paused: the frozen timer gets the time
+            if (!room.pause.timer) {
+                return callback({ success: false, error: 'NO_TIMER' });
+            }
+            room.pause.timer.remainingMs += seconds * 1000;
+            remainingSeconds = Math.ceil(room.pause.timer.remainingMs / 1000);
+            io.to(room.code).emit('game:timer', buildPausedTimerPayload(room.pause.timer));
+        } else {
+            // The timer may run on another server - its deadline comes from the store.
+            // onTimerStart broadcasts the new deadline.
+            const timer = await timerManager.extendTimer(room.code, seconds, onTimerStart, expireTimer);
+            if (!timer) {
+                return callback({ success: false, error: 'NO_TIMER' });
+            }
+            remainingSeconds = Math.ceil((timer.endsAt - Date.now()) / 1000);
+        }
+        
+        io.to(room.code).emit('game:hostAction', {
+            action: 'addTime',
+            hostName: player.name,
+            seconds: seconds
+        });
+        
+        callback({ success: true, remainingSeconds });
+        
+        console.log(`[Game] Host ${player.name} added ${seconds}s in room ${room.code}`);
+    });
+
+    // -------------------------------------------------------------------------
+    // V1.4: SKIP TURN (Host only)
+    // Client sends: (no data needed)
+    // Server responds: { success, error? }
+    // 
+    // Ends the current speaker's turn as if their timer ran out
+    // (autoSubmitCurrentSpeaker: "(No response)", next speaker).
+    // Broadcasts game:hostAction { action: 'skipTurn', playerId, playerName } first.
+    // -------------------------------------------------------------------------
+    on('game:skipTurn', (callback) => {
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+        
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+        
+        const { room, player } = playerData;
+        
+        if (room.hostId !== player.id) {
+            return callback({ success: false, error: 'NOT_HOST' });
+        }
+        
+        if (room.phase !== 'description') {
+            return callback({ success: false, error: 'INVALID_PHASE' });
+        }
+        
+        const speakerResult = roomManager.getCurrentSpeaker(room.code);
+        if (!speakerResult.success || speakerResult.allComplete) {
+            return callback({ success: false, error: 'NO_CURRENT_SPEAKER' });
+        }
+        
+        const skipped = speakerResult.currentSpeaker;
+        
+        io.to(room.code).emit('game:hostAction', {
+            action: 'skipTurn',
+            hostName: player.name,
+            playerId: skipped.id,
+            playerName: skipped.name
+        });
+        
+        timerManager.clearTimer(room.code);
+        handleSpeakerTurnTimeout(room.code);
+        
+        callback({ success: true });
+        
+        console.log(`[Game] Host ${player.name} skipped ${skipped.name}'s turn in room ${room.code}`);
+    });
+
+    // -------------------------------------------------------------------------
+    // V1.4: END VOTING EARLY (Host only)
+    // Client sends: (no data needed)
+    // Server responds: { success, error? }
+    // 
+    // Closes voting as if the timer ran out: selected votes are confirmed,
+    // then handleVotingComplete() counts them.
+    // Broadcasts game:hostAction { action: 'endVoting' } first.
+    // -------------------------------------------------------------------------
+    on('game:endVoting', (callback) => {
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+        
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+        
+        const { room, player } = playerData;
+        
+        if (room.hostId !== player.id) {
+            return callback({ success: false, error: 'NOT_HOST' });
+        }
+        
+        if (room.phase !== 'voting') {
+            return callback({ success: false, error: 'INVALID_PHASE' });
+        }
+        
+        io.to(room.code).emit('game:hostAction', {
+            action: 'endVoting',
+            hostName: player.name
+        });
+        
+        timerManager.clearTimer(room.code);
+        handleVotingTimeout(room.code);
+        
+        callback({ success: true });
+        
+        console.log(`[Game] Host ${player.name} ended voting early in room ${room.code}`);
+    });
+
     // -------------------------------------------------------------------------
     // TRANSITION TO DESCRIPTION PHASE
     // Client sends: (no data needed, typically called after role reveal timeout)
@@ -480,7 +1171,7 @@ io.on('connection', (socket) => {
     // 
     // This can be triggered by the host or automatically by the timer.
     // -------------------------------------------------------------------------
-    socket.on('game:startDescriptionPhase', (callback) => {
+    on('game:startDescriptionPhase', (callback) => {
         const playerData = roomManager.getPlayerBySocketId(socket.id);
         
         if (!playerData) {
@@ -494,6 +1185,11 @@ io.on('connection', (socket) => {
             return callback({ success: false, error: 'NOT_HOST' });
         }
         
+        // V1.4: Resume first
+        if (room.pause) {
+            return callback({ success: false, error: 'GAME_PAUSED' });
+        }
+        
         // Use the shared transition function
         transitionToDescriptionPhaseWithTimer(room.code);
         
@@ -513,7 +1209,7 @@ io.on('connection', (socket) => {
     // - Description is broadcast with player attribution (not anonymous)
     // - Advances to next speaker after submission
     // -------------------------------------------------------------------------
-    socket.on('game:submitDescription', (data, callback) => {
+    on('game:submitDescription', (data, callback) => {
         const { text } = data;
         
         // Validate input
@@ -548,6 +1244,7 @@ io.on('connection', (socket) => {
             playerId: result.submittedBy.id,
             playerName: result.submittedBy.name,
             description: result.description,
+            round: result.round,    // V1.4
             isAutoSubmit: false
         });
         
@@ -570,7 +1267,9 @@ io.on('connection', (socket) => {
                     speakerId: speakerResult.currentSpeaker.id,
                     speakerName: speakerResult.currentSpeaker.name,
                     speakerIndex: speakerResult.currentSpeaker.index,
-                    totalSpeakers: speakerResult.totalSpeakers
+                    totalSpeakers: speakerResult.totalSpeakers,
+                    round: speakerResult.currentSpeaker.round,      // V1.4
+                    totalRounds: speakerResult.totalRounds          // V1.4
                 });
                 
                 console.log(`[Game] Next speaker in room ${room.code}: ${speakerResult.currentSpeaker.name}`);
@@ -588,7 +1287,7 @@ io.on('connection', (socket) => {
     // 
     // V1.1: Use selectVote + confirmVote instead for two-step voting
     // -------------------------------------------------------------------------
-    socket.on('game:submitVote', (data, callback) => {
+    on('game:submitVote', (data, callback) => {
         const { targetPlayerId } = data;
         
         // Validate input
@@ -643,7 +1342,7 @@ io.on('connection', (socket) => {
     // Selects a vote target without confirming. Can be changed until confirmed.
     // Selection is NOT broadcast to other players for privacy.
     // -------------------------------------------------------------------------
-    socket.on('game:selectVote', (data, callback) => {
+    on('game:selectVote', (data, callback) => {
         const { targetPlayerId } = data;
         
         if (!targetPlayerId || typeof targetPlayerId !== 'string') {
@@ -676,7 +1375,7 @@ io.on('connection', (socket) => {
     // Locks in the current vote selection. Cannot be changed after confirmation.
     // Only the confirmation count is broadcast, not who confirmed.
     // -------------------------------------------------------------------------
-    socket.on('game:confirmVote', (callback) => {
+    on('game:confirmVote', (callback) => {
         const playerData = roomManager.getPlayerBySocketId(socket.id);
         
         if (!playerData) {
@@ -710,6 +1409,68 @@ io.on('connection', (socket) => {
         }
     });
 
+    // -------------------------------------------------------------------------
+    // V1.4: SUBMIT IMPOSTER GUESS (last chance after being voted out)
+    // Client sends: { guess: string }
+    // Server responds: { success, error?, correct? }
+    // 
+    // Only the voted-out imposter, only during the imposterGuess phase.
+    // Results (including the guess) are broadcast to everyone right after.
+    // -------------------------------------------------------------------------
+    on('game:submitImposterGuess', (data, callback) => {
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+        
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+        
+        const { room, player } = playerData;
+        
+        const result = roomManager.submitImposterGuess(room.code, player.id, data?.guess);
+        
+        if (!result.success) {
+            return callback({ success: false, error: result.error });
+        }
+        
+        timerManager.clearTimer(room.code);
+        
+        callback({ success: true, correct: result.results.imposterGuess.correct });
+        
+        emitGameResults(room.code, result);
+    });
+
+    // -------------------------------------------------------------------------
+    // V1.4: CALL IMPOSTER GUESS ("call it" early)
+    // Client sends: { guess: string }
+    // Server responds: { success, error?, correct? }
+    // 
+    // Any imposter may end the game during description or voting by guessing
+    // the word: right wins for the imposters, wrong loses. Results go out
+    // immediately with reason 'imposterGuessed'.
+    // -------------------------------------------------------------------------
+    on('game:callImposterGuess', (data, callback) => {
+        const playerData = roomManager.getPlayerBySocketId(socket.id);
+        
+        if (!playerData) {
+            return callback({ success: false, error: 'NOT_IN_ROOM' });
+        }
+        
+        const { room, player } = playerData;
+        
+        const result = roomManager.callImposterGuess(room.code, player.id, data?.guess);
+        
+        if (!result.success) {
+            return callback({ success: false, error: result.error });
+        }
+        
+        // Stop the description/turn/voting timer - the round is over
+        timerManager.clearTimer(room.code);
+        
+        callback({ success: true, correct: result.results.imposterGuess.correct });
+        
+        emitGameResults(room.code, result);
+    });
+
     // -------------------------------------------------------------------------
     // SEND CHAT MESSAGE (V1.1)
     // Client sends: { text: string }
@@ -719,7 +1480,7 @@ io.on('connection', (socket) => {
     // Rate limited to 5 messages per 10 seconds.
     // PRIVACY: Chat does NOT reveal any vote information.
     // -------------------------------------------------------------------------
-    socket.on('chat:send', (data, callback) => {
+    on('chat:send', (data, callback) => {
         const { text } = data;
         
         const playerData = roomManager.getPlayerBySocketId(socket.id);
@@ -749,22 +1510,200 @@ io.on('connection', (socket) => {
 // HELPER FUNCTIONS
 // =============================================================================
 
+/**
+ * Sends each player their private role via their own socket.
+ * Used at game start and again on tie-breaker replays (new word).
+ * 
+ * V1.4: Supports multiple imposters. Imposters only learn who their
+ * partners are when the host enabled revealImposterPartners.
+ * V1.4: The moderator seat gets the word and imposters on its own channel.
+ * 
+ * @param {Object} room - The room object
+ * @param {Object} gameData - { topic, word, imposterIds }
+ */
+function emitRoleAssignments(room, gameData) {
+    for (const [playerId, playerInfo] of room.players.entries()) {
+        // V1.4: Spectators and the moderator watch without a role
+        if (playerInfo.spectator || playerInfo.moderator) {
+            continue;
+        }
+        
+        const isImposter = gameData.imposterIds.includes(playerId);
+        
+        // Build private role payload for this specific player
+        const rolePayload = {
+            isImposter: isImposter,
+            topic: gameData.topic
+        };
+        
+        // CRITICAL: Only non-imposters receive the secret word
+        if (isImposter) {
+            rolePayload.imposterPartners = roomManager.getImposterPartners(room, playerId);
+        } else {
+            rolePayload.word = gameData.word;
+        }
+        
+        // Send private role info to this player's socket only
+        io.to(playerInfo.socketId).emit('game:roleAssigned', rolePayload);
+        
+        console.log(`[Game] Role sent to ${playerInfo.name}: ${isImposter ? 'IMPOSTER' : 'Player'}`);
+    }
+    
+    // V1.4: Only sockets in the moderator channel receive this
+    io.to(getModeratorChannel(room.code)).emit('moderator:state', roomManager.getModeratorState(room));
+}
+
+/**
+ * V1.4: Socket.io room of the sockets browsing public rooms.
+ */
+const PUBLIC_ROOMS_CHANNEL = 'publicRooms';
+let publicRoomsBroadcastTimeout = null;
+
+/**
+ * V1.4: Sends the public room list to subscribed sockets.
+ * Changes within a second are batched into one rooms:updated.
+ */
+function schedulePublicRoomsBroadcast() {
+    if (publicRoomsBroadcastTimeout) return;
+    
+    publicRoomsBroadcastTimeout = setTimeout(async () => {
+        publicRoomsBroadcastTimeout = null;
+        // V1.4: Subscribers may be on other servers
+        if (!roomStore.shared && !io.sockets.adapter.rooms.get(PUBLIC_ROOMS_CHANNEL)?.size) return;
+        
+        try {
+            await roomManager.loadAllRooms();
+        } catch (err) {
+            console.error(`[Rooms] Failed to refresh public rooms: ${err.message}`);
+            return;
+        }
+        
+        io.to(PUBLIC_ROOMS_CHANNEL).emit('rooms:updated', {
+            rooms: roomManager.listPublicRooms()
+        });
+    }, 1000);
+}
+
+/**
+ * V1.4: Socket.io room for the moderator seat's secret channel.
+ * 
+ * @param {string} roomCode - The room code
+ * @returns {string} - Channel name
+ */
+function getModeratorChannel(roomCode) {
+    return `${roomCode}:moderator`;
+}
+
+/**
+ * Picks the client-facing fields of a roomManager.getRejoinState() result.
+ * V1.4: Shared by rejoins and spectators joining mid-game.
+ * 
+ * @param {Object} rejoinState - Successful result from roomManager.getRejoinState()
+ * @returns {Object} - Phase-specific state for the client to restore
+ */
+function buildRejoinPayload(rejoinState) {
+    return {
+        phase: rejoinState.phase,
+        topic: rejoinState.topic,
+        isImposter: rejoinState.isImposter,
+        imposterPartners: rejoinState.imposterPartners, // V1.4: Only for imposters
+        word: rejoinState.word, // Only for non-imposters
+        hasSubmittedDescription: rejoinState.hasSubmittedDescription,
+        submissionProgress: rejoinState.submissionProgress,
+        descriptions: rejoinState.descriptions,
+        hasVoted: rejoinState.hasVoted,
+        voteProgress: rejoinState.voteProgress,
+        results: rejoinState.results,
+        imposterGuess: rejoinState.imposterGuess,   // V1.4: Pending last-chance guess
+        // V1.1: Sequential description phase
+        speakingOrder: rejoinState.speakingOrder,
+        currentSpeakerIndex: rejoinState.currentSpeakerIndex,
+        liveDescriptions: rejoinState.liveDescriptions,
+        descriptionRound: rejoinState.descriptionRound,     // V1.4
+        descriptionRounds: rejoinState.descriptionRounds,   // V1.4
+        // V1.1: Two-step voting
+        selectedVote: rejoinState.selectedVote,
+        confirmProgress: rejoinState.confirmProgress,
+        // V1.1: Chat
+        chatMessages: rejoinState.chatMessages,
+        // V1.1: Game number
+        gameNumber: rejoinState.gameNumber
+    };
+}
+
 // =============================================================================
 // TIMER INTEGRATION
 // =============================================================================
 
 /**
- * Callback for timer tick events.
- * Emits remaining time to all players in the room.
+ * Builds the game:timer payload.
+ * V1.4: Carries the deadline and the server's clock, so clients can count
+ * down locally whatever their own clock says.
+ * 
+ * @param {string} phase - Timed phase
+ * @param {number} endsAt - Deadline (epoch ms, server clock)
+ * @returns {Object} - { phase, remainingSeconds, endsAt, serverTime }
+ */
+function buildTimerPayload(phase, endsAt) {
+    const serverTime = Date.now();
+    return {
+        phase: phase,
+        remainingSeconds: Math.max(0, Math.ceil((endsAt - serverTime) / 1000)),
+        endsAt: endsAt,
+        serverTime: serverTime
+    };
+}
+
+/**
+ * Callback for timer start events.
+ * V1.4: Sent once per timer instead of every second.
  * 
  * @param {string} roomCode - The room code
  * @param {string} phase - Current phase
- * @param {number} remainingSeconds - Seconds remaining
+ * @param {number} endsAt - Deadline (epoch ms)
  */
-function onTimerTick(roomCode, phase, remainingSeconds) {
-    io.to(roomCode).emit('game:timer', {
-        phase: phase,
-        remainingSeconds: remainingSeconds
+function onTimerStart(roomCode, phase, endsAt) {
+    io.to(roomCode).emit('game:timer', buildTimerPayload(phase, endsAt));
+}
+
+/**
+ * V1.4: Builds the game:timer payload for a paused timer.
+ * endsAt is null: clients show the frozen time without counting down.
+ * 
+ * @param {Object} pausedTimer - { phase, remainingMs }
+ * @returns {Object} - { phase, remainingSeconds, endsAt, serverTime }
+ */
+function buildPausedTimerPayload(pausedTimer) {
+    return {
+        phase: pausedTimer.phase,
+        remainingSeconds: Math.ceil(pausedTimer.remainingMs / 1000),
+        endsAt: null,
+        serverTime: Date.now()
+    };
+}
+
+/**
+ * V1.4: Sends a room's running (or paused) timer to one socket (join, rejoin).
+ * Timers are only announced when they start, so late joiners need this.
+ * 
+ * @param {Object} socket - The socket
+ * @param {Object} room - The room
+ */
+function sendTimerState(socket, room) {
+    if (room.pause) {
+        if (room.pause.timer) {
+            socket.emit('game:timer', buildPausedTimerPayload(room.pause.timer));
+        }
+        return;
+    }
+    
+    const roomCode = room.code;
+    timerManager.getTimerState(roomCode).then((timer) => {
+        if (timer) {
+            socket.emit('game:timer', buildTimerPayload(timer.phase, timer.endsAt));
+        }
+    }).catch((err) => {
+        console.error(`[Timer] Could not read timer of room ${roomCode}: ${err.message}`);
     });
 }
 
@@ -775,12 +1714,23 @@ function onTimerTick(roomCode, phase, remainingSeconds) {
  * TIMER EXPIRATION BEHAVIOR:
  * - roleReveal: Auto-transition to description phase
  * - description: Auto-submit empty descriptions, then transition to voting
+ * - descriptionTurn: Auto-submit for the current speaker, next speaker's turn
  * - voting: Calculate results with abstain votes (missing votes ignored)
+ * - imposterGuess: Caught imposter forfeits their guess (V1.4)
  * 
  * @param {string} roomCode - The room code
  * @param {string} phase - Phase that expired
  */
 function onTimerExpire(roomCode, phase) {
+    // V1.4: The host paused while this expiry waited for the room -
+    // it fires right after the host resumes
+    const pause = roomManager.getRoom(roomCode)?.pause;
+    if (pause) {
+        pause.timer = pause.timer || { phase, remainingMs: 0 };
+        console.log(`[Timer] Holding ${phase} expiry until room ${roomCode} resumes`);
+        return;
+    }
+    
     console.log(`[Timer] Phase ${phase} expired for room ${roomCode}`);
     
     switch (phase) {
@@ -794,11 +1744,21 @@ function onTimerExpire(roomCode, phase) {
             handleDescriptionTimeout(roomCode);
             break;
             
+        case 'descriptionTurn':
+            // Turn timeout - auto-submit and advance
+            handleSpeakerTurnTimeout(roomCode);
+            break;
+            
         case 'voting':
             // Calculate results with abstain votes
             handleVotingTimeout(roomCode);
             break;
             
+        case 'imposterGuess':
+            // V1.4: No guess in time - players keep the win
+            handleImposterGuessTimeout(roomCode);
+            break;
+            
         default:
             console.error(`[Timer] Unknown phase expired: ${phase}`);
     }
@@ -813,7 +1773,39 @@ function onTimerExpire(roomCode, phase) {
  * @param {number} [customDuration] - Optional custom duration in seconds
  */
 function startPhaseTimer(roomCode, phase, customDuration = null) {
-    timerManager.startTimer(roomCode, phase, onTimerTick, onTimerExpire, customDuration);
+    const duration = customDuration !== null ? customDuration : timerManager.PHASE_DURATIONS[phase];
+    if (!holdTimerWhilePaused(roomCode, phase, duration)) {
+        timerManager.startTimer(roomCode, phase, onTimerStart, expireTimer, customDuration);
+    }
+}
+
+/**
+ * V1.4: Timer expiry callback - runs onTimerExpire as a unit of work on the room.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string} phase - Phase that expired
+ */
+function expireTimer(roomCode, phase) {
+    runRoomTask(roomCode, () => onTimerExpire(roomCode, phase));
+}
+
+/**
+ * V1.4: While the game is paused, a timer started by game logic (e.g. the
+ * next speaker's turn after the current speaker left) stays frozen at its
+ * full duration until the host resumes.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {string} phase - The timer phase
+ * @param {number} duration - Seconds
+ * @returns {boolean} - True if the room is paused and the timer was held
+ */
+function holdTimerWhilePaused(roomCode, phase, duration) {
+    const room = roomManager.getRoom(roomCode);
+    if (!room?.pause) return false;
+    
+    room.pause.timer = { phase, remainingMs: duration * 1000 };
+    io.to(roomCode).emit('game:timer', buildPausedTimerPayload(room.pause.timer));
+    return true;
 }
 
 /**
@@ -833,8 +1825,18 @@ function transitionToDescriptionPhaseWithTimer(roomCode) {
         return;
     }
     
+    emitDescriptionPhaseStart(roomCode, result);
+}
+
+/**
+ * Broadcasts the start of a description phase and starts the first speaker's timer.
+ * V1.4: Shared by the normal game start and multi-elimination rounds.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {Object} result - { room, speakingOrder } from the roomManager transition
+ */
+function emitDescriptionPhaseStart(roomCode, result) {
     // V1.1: Get first speaker info
-    const firstSpeakerId = result.speakingOrder[0].id;
     const firstSpeaker = result.speakingOrder[0];
     
     // Broadcast phase change with speaking order
@@ -850,7 +1852,9 @@ function transitionToDescriptionPhaseWithTimer(roomCode) {
         speakerId: firstSpeaker.id,
         speakerName: firstSpeaker.name,
         speakerIndex: 0,
-        totalSpeakers: result.speakingOrder.length
+        totalSpeakers: result.speakingOrder.length,
+        round: 1,                                               // V1.4
+        totalRounds: result.room.settings?.descriptionRounds || 1   // V1.4
     });
     
     console.log(`[Game] Description phase started in room ${roomCode} - First speaker: ${firstSpeaker.name}`);
@@ -864,15 +1868,16 @@ function transitionToDescriptionPhaseWithTimer(roomCode) {
  * V1.2: Uses room.settings.descriptionTime (configurable).
  * 
  * @param {string} roomCode - The room code
+ * @param {number} [customDuration] - V1.4: Seconds left on a turn restored after a restart
  */
-function startSpeakerTurnTimer(roomCode) {
+function startSpeakerTurnTimer(roomCode, customDuration = null) {
     const room = roomManager.getRoom(roomCode);
-    const duration = room?.settings?.descriptionTime || 10;  // V1.2: Use configurable duration
+    const duration = customDuration || room?.settings?.descriptionTime || 10;  // V1.2: Use configurable duration
     
-    timerManager.startTimer(roomCode, 'descriptionTurn', onTimerTick, (roomCode, phase) => {
-        // Turn timeout - auto-submit and advance
-        handleSpeakerTurnTimeout(roomCode);
-    }, duration);
+    if (!holdTimerWhilePaused(roomCode, 'descriptionTurn', duration)) {
+        // Turn timeout - auto-submit and advance (onTimerExpire)
+        timerManager.startTimer(roomCode, 'descriptionTurn', onTimerStart, expireTimer, duration);
+    }
 }
 
 /**
@@ -890,21 +1895,23 @@ function handleSpeakerTurnTimeout(roomCode) {
     }
     
     // Get the player who timed out for the broadcast
+    // V1.4: Reported by roomManager - the index may have looped back for the next round
     const room = roomManager.getRoom(roomCode);
-    const timedOutIndex = room.currentSpeakerIndex - 1;
-    const timedOutId = room.speakingOrder[timedOutIndex];
-    const timedOutPlayer = room.players.get(timedOutId);
+    const timedOut = result.timedOutSpeaker;
     
     // Broadcast the auto-submitted description
-    io.to(roomCode).emit('game:descriptionSubmitted', {
-        submittedCount: result.submittedCount,
-        totalPlayers: result.totalPlayers,
-        // V1.1: Include attribution
-        playerId: timedOutId,
-        playerName: timedOutPlayer.name,
-        description: '(No response)',
-        isAutoSubmit: true
-    });
+    if (timedOut) {
+        io.to(roomCode).emit('game:descriptionSubmitted', {
+            submittedCount: result.submittedCount,
+            totalPlayers: result.totalPlayers,
+            // V1.1: Include attribution
+            playerId: timedOut.id,
+            playerName: timedOut.name,
+            description: '(No response)',
+            round: timedOut.round,  // V1.4
+            isAutoSubmit: true
+        });
+    }
     
     if (result.allSubmitted) {
         // All speakers done - move to voting
@@ -916,7 +1923,9 @@ function handleSpeakerTurnTimeout(roomCode) {
             speakerId: result.nextSpeaker.id,
             speakerName: result.nextSpeaker.name,
             speakerIndex: result.nextSpeaker.index,
-            totalSpeakers: result.totalPlayers
+            totalSpeakers: result.totalPlayers,
+            round: result.nextSpeaker.round,                        // V1.4
+            totalRounds: room.settings?.descriptionRounds || 1      // V1.4
         });
         
         console.log(`[Game] Next speaker in room ${roomCode}: ${result.nextSpeaker.name}`);
@@ -945,8 +1954,8 @@ function handleDescriptionTimeout(roomCode) {
     if (autoResult.autoSubmittedCount > 0) {
         // Notify players about the auto-submissions
         io.to(roomCode).emit('game:descriptionSubmitted', {
-            submittedCount: autoResult.room.players.size,
-            totalPlayers: autoResult.room.players.size
+            submittedCount: roomManager.getActivePlayerIds(autoResult.room).length,
+            totalPlayers: roomManager.getActivePlayerIds(autoResult.room).length
         });
     }
     
@@ -980,7 +1989,7 @@ function handleVotingTimeout(roomCode) {
         if (room) {
             io.to(roomCode).emit('game:voteConfirmed', {
                 confirmedCount: Object.keys(room.confirmedVotes || {}).length,
-                totalPlayers: room.players.size
+                totalPlayers: roomManager.getActivePlayerIds(room).length
             });
         }
     }
@@ -999,12 +2008,16 @@ function handleVotingTimeout(roomCode) {
  * 
  * RESULT REVEAL:
  * - voteSummary shows each player's vote count
- * - imposter identity is revealed
- * - playersWin indicates if players successfully caught the imposter
+ * - imposter identities are revealed
+ * - playersWin indicates if players successfully caught an imposter
  * 
  * V1.3 TIE HANDLING:
  * - On tie, restarts round with same imposter, new topic/word
  * - Emits game:tieReplayStarted instead of results
+ * 
+ * V1.4 MULTI-ELIMINATION:
+ * - A voted-out civilian is eliminated (game:playerEliminated) and the
+ *   remaining players start a new description round with the same word
  */
 function handleVotingComplete(roomCode) {
     // Clear voting timer
@@ -1036,15 +2049,7 @@ function handleVotingComplete(roomCode) {
         });
         
         // Send role assignments to each player (new word for non-imposters)
-        for (const [playerId, player] of room.players) {
-            const isImposter = playerId === gameData.imposterId;
-            
-            io.to(player.socketId).emit('game:roleAssigned', {
-                isImposter: isImposter,
-                topic: gameData.topic,
-                word: isImposter ? null : gameData.word
-            });
-        }
+        emitRoleAssignments(room, gameData);
         
         // Emit phase change to description
         io.to(roomCode).emit('game:phaseChanged', {
@@ -1061,7 +2066,9 @@ function handleVotingComplete(roomCode) {
             speakerId: firstSpeakerId,
             speakerName: firstSpeaker.name,
             speakerIndex: 0,
-            totalSpeakers: room.speakingOrder.length
+            totalSpeakers: room.speakingOrder.length,
+            round: 1,                                           // V1.4
+            totalRounds: room.settings?.descriptionRounds || 1  // V1.4
         });
         
         // Start description timer for first speaker
@@ -1080,33 +2087,116 @@ function handleVotingComplete(roomCode) {
         return;
     }
     
+    // =========================================================================
+    // V1.4: Multi-elimination - a civilian is out, the rest play another round
+    // =========================================================================
+    if (result.eliminated) {
+        io.to(roomCode).emit('game:playerEliminated', {
+            player: result.eliminatedPlayer,
+            eliminations: result.eliminations,
+            room: roomManager.serializeRoom(result.room)
+        });
+        
+        console.log(`[Game] ${result.eliminatedPlayer.name} was eliminated in room ${roomCode}`);
+        
+        const nextResult = roomManager.startNextEliminationRound(roomCode);
+        if (!nextResult.success) {
+            console.error(`[Game] Failed to start next elimination round: ${nextResult.error}`);
+            return;
+        }
+        
+        emitDescriptionPhaseStart(roomCode, nextResult);
+        return;
+    }
+    
+    // =========================================================================
+    // V1.4: Caught imposter gets a last-chance guess before results
+    // =========================================================================
+    if (result.imposterGuess) {
+        io.to(roomCode).emit('game:phaseChanged', {
+            phase: 'imposterGuess',
+            room: roomManager.serializeRoom(result.room),
+            guesser: result.guesser
+        });
+        
+        startPhaseTimer(roomCode, 'imposterGuess');
+        
+        console.log(`[Game] Imposter guess phase started in room ${roomCode}`);
+        return;
+    }
+    
+    emitGameResults(roomCode, result);
+}
+
+/**
+ * V1.4: Handles the imposter guess timer expiring (no guess submitted).
+ * 
+ * @param {string} roomCode - The room code
+ */
+function handleImposterGuessTimeout(roomCode) {
+    console.log(`[Game] Imposter guess timeout for room ${roomCode}`);
+    
+    const result = roomManager.resolveImposterGuess(roomCode, null);
+    
+    if (!result.success) {
+        console.error(`[Game] Failed to resolve imposter guess for room ${roomCode}: ${result.error}`);
+        return;
+    }
+    
+    emitGameResults(roomCode, result);
+}
+
+/**
+ * Broadcasts final results and schedules the move to postGame.
+ * V1.4: Shared by voting completion and both kinds of imposter guess.
+ * FIX 3: Tracks timeout ID for cancellation if Play Again triggered.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {Object} result - Successful result from roomManager.finalizeResults()
+ */
+function emitGameResults(roomCode, result) {
     // Broadcast final results to all players
-    // This is the ONLY time vote information and imposter identity are revealed
+    // This is the ONLY time vote information and imposter identities are revealed
     io.to(roomCode).emit('game:results', {
         phase: 'results',
         room: roomManager.serializeRoom(result.room),
         votedOutPlayer: result.results.votedOutPlayer,
-        imposter: result.results.imposter,
+        imposters: result.results.imposters,
         playersWin: result.results.playersWin,
+        reason: result.results.reason,                  // V1.4: 'votedOut' or 'imposterGuessed'
         voteSummary: result.results.voteSummary,
-        secretWord: result.results.secretWord
+        secretWord: result.results.secretWord,
+        imposterGuess: result.results.imposterGuess,    // V1.4
+        eliminations: result.results.eliminations,     // V1.4: Multi-elimination history
+        roundPoints: result.results.roundPoints,    // V1.4
+        leaderboard: result.results.leaderboard     // V1.4
     });
     
     console.log(`[Game] Results broadcast for room ${roomCode}`);
     
-    // FIX 3: V1.1 - Transition to postGame after 5 seconds, with tracked timeout
-    const postGameTimeoutId = setTimeout(() => {
+    schedulePostGameTransition(roomCode);
+}
+
+/**
+ * FIX 3: V1.1 - Transitions to postGame after 5 seconds, with tracked timeout.
+ * V1.4: Also used for rooms restored in the results phase.
+ * 
+ * @param {string} roomCode - The room code
+ */
+function schedulePostGameTransition(roomCode) {
+    const postGameTimeoutId = setTimeout(() => runRoomTask(roomCode, () => {
         const postGameResult = roomManager.transitionToPostGame(roomCode);
         if (postGameResult.success) {
             io.to(roomCode).emit('game:phaseChanged', {
                 phase: 'postGame',
                 room: roomManager.serializeRoom(postGameResult.room)
             });
+            schedulePublicRoomsBroadcast();     // V1.4
             console.log(`[Game] Room ${roomCode} now in postGame phase`);
         }
         // Clear the stored timeout ID after execution
         roomManager.clearPostGameTimeout(roomCode);
-    }, 5000);
+    }), 5000);
     
     // FIX 3: Store timeout ID so it can be cancelled if Play Again is triggered
     roomManager.setPostGameTimeout(roomCode, postGameTimeoutId);
@@ -1157,8 +2247,70 @@ function handleDescriptionPhaseComplete(roomCode) {
 }
 
 /**
- * Handles player leaving (voluntary or disconnect).
- * Cleans up room state and notifies remaining players.
+ * V1.4: Handles an involuntary disconnect.
+ * 
+ * GRACE PERIOD:
+ * - Lobby / postGame (or grace disabled): Player is removed right away
+ * - Active game: Player is marked connected: false and keeps their seat.
+ *   Timers keep running. If they have not rejoined when the grace window
+ *   closes, the normal leave logic runs (auto-submit, abstain, host transfer).
+ * 
+ * @param {Object} socket - The disconnected socket
+ */
+function handlePlayerDisconnect(socket) {
+    const playerData = roomManager.getPlayerBySocketId(socket.id);
+    
+    if (!playerData) {
+        return;
+    }
+    
+    const { room, player } = playerData;
+    
+    if (room.phase === 'lobby' || room.phase === 'postGame' || roomManager.DISCONNECT_GRACE_SECONDS === 0) {
+        handlePlayerLeave(socket);
+        return;
+    }
+    
+    const result = roomManager.markPlayerDisconnected(room.code, player.id, (socketId) => {
+        runRoomTask(room.code, () => removePlayerAndNotify(socketId));     // V1.4
+    });
+    
+    if (!result.success) {
+        handlePlayerLeave(socket);
+        return;
+    }
+    
+    io.to(room.code).emit('player:connectionChanged', {
+        playerId: player.id,
+        playerName: player.name,
+        connected: false,
+        graceSeconds: result.graceSeconds,
+        room: roomManager.serializeRoom(room)
+    });
+}
+
+/**
+ * Handles player leaving (voluntary leave, or disconnect outside a game).
+ * Leaves the Socket.io room and acknowledges the client.
+ * 
+ * @param {Object} socket - The leaving socket
+ * @param {Function} [callback] - Optional acknowledgement
+ */
+function handlePlayerLeave(socket, callback = null) {
+    const roomCode = removePlayerAndNotify(socket.id);
+    
+    // Leave the Socket.io room
+    if (roomCode) {
+        socket.leave(roomCode);
+        socket.leave(getModeratorChannel(roomCode));   // V1.4: No-op for players
+    }
+    
+    if (callback) callback({ success: true });
+}
+
+/**
+ * Removes a player from their room and notifies remaining players.
+ * Cleans up room state and checks for phase completion.
  * 
  * DISCONNECT RECOVERY BEHAVIOR:
  * - Lobby phase: Simple removal, notify others
@@ -1173,15 +2325,17 @@ function handleDescriptionPhaseComplete(roomCode) {
  * HOST TRANSFER:
  * - If host disconnects, automatically transfer to next player
  * - Game continues without reset
+ * 
+ * @param {string} socketId - Socket ID of the leaving player
+ * @returns {string|null} - The room code the player was removed from, or null
  */
-function handlePlayerLeave(socket, callback = null) {
+function removePlayerAndNotify(socketId) {
     // First, find the player's room and ID before any cleanup
-    const playerData = roomManager.getPlayerBySocketId(socket.id);
+    const playerData = roomManager.getPlayerBySocketId(socketId);
     
     if (!playerData) {
         // Player wasn't in any room
-        if (callback) callback({ success: true });
-        return;
+        return null;
     }
     
     const { room, player } = playerData;
@@ -1201,24 +2355,22 @@ function handlePlayerLeave(socket, callback = null) {
     // =========================================================================
     // REMOVE PLAYER FROM ROOM
     // =========================================================================
-    const result = roomManager.removePlayerBySocketId(socket.id);
+    const result = roomManager.removePlayerBySocketId(socketId);
 
     if (!result) {
-        if (callback) callback({ success: true });
-        return;
+        return null;
     }
 
     const { room: updatedRoom, newHostId, roomDeleted } = result;
 
-    // Leave the Socket.io room
-    socket.leave(roomCode);
+    schedulePublicRoomsBroadcast();     // V1.4: Fewer players, or the room is gone
 
     // If room was deleted, clear any active timer
     if (roomDeleted) {
         timerManager.clearTimer(roomCode);
-        if (callback) callback({ success: true });
+        persistenceManager.removeRoom(roomCode);    // V1.4
         console.log(`[Game] ${player.name} left room ${roomCode} (room deleted)`);
-        return;
+        return roomCode;
     }
 
     // =========================================================================
@@ -1273,7 +2425,7 @@ function handlePlayerLeave(socket, callback = null) {
                 description: '(Disconnected)',
                 isAutoSubmit: true,
                 submittedCount: Object.keys(updatedRoom.descriptions || {}).length,
-                totalPlayers: updatedRoom.players.size
+                totalPlayers: roomManager.getActivePlayerIds(updatedRoom).length
             });
             
             // Start next speaker turn or complete if done
@@ -1287,7 +2439,7 @@ function handlePlayerLeave(socket, callback = null) {
             const submittedCount = Object.keys(updatedRoom.descriptions || {}).length;
             io.to(roomCode).emit('game:descriptionSubmitted', {
                 submittedCount: submittedCount,
-                totalPlayers: updatedRoom.players.size
+                totalPlayers: roomManager.getActivePlayerIds(updatedRoom).length
             });
         }
         
@@ -1302,14 +2454,201 @@ function handlePlayerLeave(socket, callback = null) {
             const confirmedCount = Object.keys(updatedRoom.confirmedVotes || {}).length;
             io.to(roomCode).emit('game:voteConfirmed', {
                 confirmedCount: confirmedCount,
-                totalPlayers: updatedRoom.players.size
+                totalPlayers: roomManager.getActivePlayerIds(updatedRoom).length
             });
         }
+        
+        // V1.4: Guessing imposter left - resolve without a guess
+        if (phaseCleanupResult.phase === 'imposterGuess' && phaseCleanupResult.guesserLeft) {
+            timerManager.clearTimer(roomCode);
+            handleImposterGuessTimeout(roomCode);
+        }
     }
 
-    if (callback) callback({ success: true });
-
     console.log(`[Game] ${player.name} left room ${roomCode} (phase: ${phase})`);
+    
+    return roomCode;
+}
+
+// =============================================================================
+// V1.4: SHARED ROOM STORE
+// =============================================================================
+
+/**
+ * V1.4: Runs a socket event handler as a unit of work on its room
+ * (roomManager.runRoomTask). The room named in the payload (join, getState)
+ * or else the socket's current room is locked, refreshed from the room store
+ * and committed after the handler, so servers sharing a store stay in sync.
+ * The rooms the socket was in before and after the event are then snapshotted.
+ * 
+ * @param {Object} socket - The socket that sent the event
+ * @param {Array} args - Event arguments (payload and/or ack callback)
+ * @param {Function} handler - The event handler (V1.4: may be async, e.g. game:pause)
+ */
+function runSocketTask(socket, args, handler) {
+    const payload = args[0];
+    const namedRoom = payload && typeof payload.roomCode === 'string' ? payload.roomCode : null;
+    const roomCode = namedRoom || socket.data.roomCode || null;
+    
+    roomManager.runRoomTask(roomCode, async () => {
+        await handler(...args);
+        // Remember the socket's room for its next event
+        socket.data.roomCode = roomManager.getPlayerBySocketId(socket.id)?.room.code || null;
+        
+        // V1.4: Snapshot the room the event was about and the socket's room now
+        const touched = new Set([roomCode, socket.data.roomCode].filter(Boolean).map(code => code.toUpperCase()));
+        for (const code of touched) {
+            persistRoom(code);
+        }
+    }).catch((err) => {
+        console.error(`[Socket] Event from ${socket.id} failed: ${err.stack || err.message}`);
+        const callback = args[args.length - 1];
+        if (typeof callback === 'function') {
+            callback({ success: false, error: 'SERVER_ERROR' });
+        }
+    });
+}
+
+/**
+ * V1.4: Runs timer / timeout work on a room as a unit of work,
+ * then snapshots the room.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {Function} task - Synchronous game logic
+ */
+function runRoomTask(roomCode, task) {
+    roomManager.runRoomTask(roomCode, async () => {
+        await task();
+        persistRoom(roomCode);
+    }).catch((err) => {
+        console.error(`[Game] Task for room ${roomCode} failed: ${err.stack || err.message}`);
+    });
+}
+
+/**
+ * V1.4: Restarts timers whose server stopped renewing their lease
+ * (crashed or shut down) on this server, from their remaining seconds.
+ */
+function adoptOrphanedTimers() {
+    timerManager.adoptOrphanedTimers().then((timers) => {
+        for (const timer of timers) {
+            runRoomTask(timer.roomCode, () => {
+                const room = roomManager.getRoom(timer.roomCode);
+                if (!room) {
+                    timerManager.clearTimer(timer.roomCode);
+                    return;
+                }
+                console.log(`[Timer] Adopted ${timer.phase} timer of room ${room.code} (${timer.remainingSeconds}s left)`);
+                resumeRoomTimer(room, timer);
+            });
+        }
+    }).catch((err) => {
+        console.error(`[Timer] Orphaned timer check failed: ${err.message}`);
+    });
+}
+
+if (roomStore.shared) {
+    setInterval(adoptOrphanedTimers, timerManager.TIMER_LEASE_MS);
+}
+
+// =============================================================================
+// V1.4: PERSISTENCE
+// =============================================================================
+
+/**
+ * V1.4: Snapshots a room, with its running timer, to the persistence adapter.
+ * Called after every socket event and timer task (runSocketTask / runRoomTask),
+ * and for every room on shutdown.
+ * No-op when persistence is disabled.
+ * 
+ * @param {string} roomCode - The room code
+ */
+function persistRoom(roomCode) {
+    if (!persistenceManager.isEnabled()) return;
+    
+    const room = roomManager.getRoom(roomCode);
+    if (!room) return;
+    
+    const timerPhase = timerManager.getTimerPhase(room.code);
+    const timer = timerPhase
+        ? { phase: timerPhase, remainingSeconds: timerManager.getRemainingSeconds(room.code) }
+        : null;
+    
+    persistenceManager.saveRoom(room.code, roomManager.createRoomSnapshot(room), timer);
+}
+
+/**
+ * V1.4: Rebuilds the stored rooms on boot.
+ * 
+ * RESTORE BEHAVIOR:
+ * - Every player starts disconnected with the normal grace period; their
+ *   client rejoins with its reconnect token when the socket reconnects
+ * - Players who do not come back are removed as usual (empty rooms are deleted)
+ * - Timers restart from the stored remaining seconds
+ * - Rooms restored in the results phase move on to postGame as usual
+ */
+function restoreRooms() {
+    const records = persistenceManager.loadRooms();
+    let restored = 0;
+    
+    for (const record of records) {
+        const room = roomManager.restoreRoom(record?.room);
+        
+        if (!room) {
+            const roomCode = record?.room?.code;
+            console.log(`[Persistence] Skipping invalid room record ${roomCode || '(no code)'}`);
+            if (typeof roomCode === 'string') {
+                persistenceManager.removeRoom(roomCode);
+            }
+            continue;
+        }
+        
+        for (const player of room.players.values()) {
+            roomManager.markPlayerDisconnected(room.code, player.id, (socketId) => {
+                runRoomTask(room.code, () => removePlayerAndNotify(socketId));
+            });
+        }
+        
+        resumeRoomTimer(room, record.timer);
+        roomManager.commitRoom(room.code);  // Memory store - resolves right away
+        restored++;
+    }
+    
+    if (records.length > 0) {
+        console.log(`[Persistence] Restored ${restored} of ${records.length} room(s)`);
+    }
+}
+
+/**
+ * V1.4: Restarts a restored room's timer.
+ * 
+ * @param {Object} room - The restored room
+ * @param {Object|null} timer - Stored { phase, remainingSeconds }
+ */
+function resumeRoomTimer(room, timer) {
+    if (room.phase === 'results') {
+        schedulePostGameTransition(room.code);
+        return;
+    }
+    
+    if (!timer) return;
+    
+    const remainingSeconds = Math.max(1, timer.remainingSeconds || 0);
+    
+    if (timer.phase === 'descriptionTurn') {
+        startSpeakerTurnTimer(room.code, remainingSeconds);
+    } else {
+        startPhaseTimer(room.code, timer.phase, remainingSeconds);
+    }
+}
+
+// A shared room store already outlives any one server
+if (roomStore.shared) {
+    if (persistenceManager.isEnabled()) {
+        console.log('[Persistence] Shared room store in use - skipping restore from snapshots');
+    }
+} else {
+    restoreRooms();
 }
 
 // =============================================================================
@@ -1326,11 +2665,33 @@ server.listen(PORT, () => {
     console.log('='.repeat(50));
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('[Server] SIGTERM received, shutting down...');
+let shuttingDown = false;
+
+/**
+ * Graceful shutdown.
+ * V1.4: On SIGINT (Ctrl+C) too, so a local stop keeps the games as well.
+ * 
+ * @param {string} signal - The signal received
+ */
+function shutdown(signal) {
+    // Open sockets keep server.close() waiting - a second signal exits now
+    if (shuttingDown) {
+        process.exit(0);
+    }
+    shuttingDown = true;
+    
+    console.log(`[Server] ${signal} received, shutting down...`);
+    
+    // V1.4: Capture the timers' latest remaining seconds before exiting
+    for (const room of roomManager.getAllRooms()) {
+        persistRoom(room.code);
+    }
+    
     server.close(() => {
         console.log('[Server] Server closed');
         process.exit(0);
     });
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));     // V1.4
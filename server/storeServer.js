@@ -0,0 +1,105 @@
+/**
+ * Store Server (V1.4)
+ *
+ * Local stand-in for a shared room store (Redis or similar), so two or more
+ * game servers can run side by side on one machine:
+ *
+ *   node storeServer.js                                  # STORE_PORT, default 6390
+ *   ROOM_STORE=shared PORT=3001 node server.js
+ *   ROOM_STORE=shared PORT=3002 node server.js
+ *
+ * Listens on 127.0.0.1 only (STORE_HOST to change it): the protocol has no
+ * authentication, so expose it beyond the machine only on a private network.
+ *
+ * Data lives in memory (a roomStore memory backend) and is lost when this
+ * process stops. Speaks the protocol described in roomStore.createSharedStore.
+ */
+
+const net = require('net');
+const { createMemoryStore } = require('./roomStore');
+
+const STORE_PORT = process.env.STORE_PORT || 6390;
+const STORE_HOST = process.env.STORE_HOST || '127.0.0.1';
+
+/**
+ * Store calls a client may make.
+ */
+const ALLOWED_OPS = new Set([
+    'getRoom', 'setRoom', 'deleteRoom', 'listRoomVersions',
+    'acquireLease', 'releaseLease', 'listLeases', 'publish'
+]);
+
+const store = createMemoryStore();
+
+const server = net.createServer((connection) => {
+    const channels = new Map();     // channel -> handler (this connection's subscriptions)
+    let buffer = '';
+    // Replies go out in request order even when a call resolves later
+    let queue = Promise.resolve();
+
+    const send = (payload) => {
+        if (!connection.destroyed) {
+            connection.write(JSON.stringify(payload) + '\n');
+        }
+    };
+
+    const handleRequest = async ({ id, op, args = [] }) => {
+        if (op === 'subscribe') {
+            const [channel] = args;
+            if (!channels.has(channel)) {
+                const handler = (message) => send({ channel, message });
+                channels.set(channel, handler);
+                await store.subscribe(channel, handler);
+            }
+            return send({ id, result: true });
+        }
+
+        if (!ALLOWED_OPS.has(op)) {
+            return send({ id, error: 'UNKNOWN_OP' });
+        }
+
+        try {
+            send({ id, result: await store[op](...args) });
+        } catch (e) {
+            send({ id, error: e.message });
+        }
+    };
+
+    connection.setEncoding('utf8');
+
+    connection.on('data', (chunk) => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 1);
+
+            let request;
+            try {
+                request = JSON.parse(line);
+            } catch (e) {
+                continue;
+            }
+            queue = queue.then(() => handleRequest(request));
+        }
+    });
+
+    connection.on('close', () => {
+        for (const [channel, handler] of channels) {
+            store.unsubscribe(channel, handler);
+        }
+    });
+
+    connection.on('error', () => {
+        // Dropped client - 'close' cleans up
+    });
+});
+
+server.listen(STORE_PORT, STORE_HOST, () => {
+    console.log(`[Store] Store server listening on ${STORE_HOST}:${STORE_PORT}`);
+});
+
+process.on('SIGTERM', () => {
+    console.log('[Store] SIGTERM received, shutting down...');
+    process.exit(0);
+});
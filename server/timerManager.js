@@ -2,13 +2,16 @@
  * Timer Manager Module
  * 
  * Manages server-controlled timers for each game phase.
- * Timers emit countdown events and trigger auto-progression when they expire.
+ * Timers announce their deadline and trigger auto-progression when they expire.
  * 
  * TIMER LIFECYCLE:
  * 1. Timer is started when a phase begins
- * 2. Every second, server emits remaining time to all players
- * 3. When timer expires, server auto-progresses to next phase
- * 4. Timer is cleared on:
+ * 2. Server emits the deadline (endsAt) once; clients count down locally (V1.4)
+ * 3. When the deadline passes, server auto-progresses to next phase
+ * 4. V1.4: The host may pause a timer (pauseTimer) and resume it later with
+ *    the exact time it had left (resumeTimer)
+ * 5. V1.4: The host may add time to the running timer (extendTimer)
+ * 6. Timer is cleared on:
  *    - Phase change (normal progression)
  *    - Game end (results phase)
  *    - Room deletion (all players leave)
@@ -17,8 +20,20 @@
  * - roleReveal: 10 seconds → auto-move to description
  * - description: 60 seconds → auto-submit empty for missing players
  * - voting: 30 seconds → auto-submit abstain votes (ignored in tie logic)
+ * - imposterGuess: 20 seconds → caught imposter forfeits their guess (V1.4)
+ * 
+ * V1.4 CLUSTER MODE (shared room store):
+ * - The server that starts a room's timer takes the room's timer lease and
+ *   runs the countdown; only the lease holder fires onExpire
+ * - The holder renews the lease every second; the lease stores the deadline
+ * - Starting or clearing a timer on another server tells the old holder to
+ *   drop its countdown
+ * - If the holder dies its lease expires, and another server adopts the
+ *   timer from the stored deadline (adoptOrphanedTimers)
  */
 
+const { store: roomStore, NODE_ID } = require('./roomStore');
+
 // =============================================================================
 // TIMER CONFIGURATION
 // =============================================================================
@@ -27,9 +42,12 @@ const PHASE_DURATIONS = {
     roleReveal: 10,           // seconds
     description: 60,          // seconds (legacy, not used in v1.1 sequential mode)
     descriptionTurn: 10,      // seconds per speaker in sequential description phase
-    voting: 60                // seconds (increased from 30 in v1.1)
+    voting: 60,               // seconds (increased from 30 in v1.1)
+    imposterGuess: 20         // V1.4: seconds for a caught imposter's last-chance guess
 };
 
+const MAX_EXTENSION_SECONDS = 300;      // V1.4: Most the host can add at once
+
 // =============================================================================
 // TIMER STORAGE
 // =============================================================================
@@ -41,14 +59,64 @@ const PHASE_DURATIONS = {
  * {
  *   [roomCode]: {
  *     phase: string,           // Current phase this timer is for
- *     intervalId: number,      // setInterval ID for countdown
+ *     endsAt: number,          // V1.4: Deadline (epoch ms)
  *     timeoutId: number,       // setTimeout ID for expiration
- *     remainingSeconds: number // Current countdown value
+ *     leaseIntervalId: number  // V1.4: setInterval ID renewing the lease (cluster mode)
  *   }
  * }
  */
 const roomTimers = new Map();
 
+// =============================================================================
+// V1.4: CLUSTER COORDINATION
+// =============================================================================
+
+const TIMER_LEASE_MS = 5000;            // Adopted by another server this long after the holder dies
+const TIMER_LEASE_RENEW_MS = 1000;
+const TIMER_CHANNEL = 'timers';
+
+/**
+ * Lease name for a room's timer.
+ * 
+ * @param {string} roomCode - The room code
+ * @returns {string}
+ */
+function getLeaseName(roomCode) {
+    return `timer:${roomCode}`;
+}
+
+/**
+ * Takes (or renews) a room's timer lease.
+ * A renewal that fails means another server took the timer over.
+ * 
+ * @param {string} roomCode - The room code
+ * @param {Object} [data] - { phase, endsAt } when taking the lease; omitted on renewal
+ * @param {boolean} force - Take the lease from another server
+ */
+function claimLease(roomCode, data, force) {
+    roomStore.acquireLease(getLeaseName(roomCode), NODE_ID, {
+        ttlMs: TIMER_LEASE_MS,
+        data,
+        force
+    }).then((acquired) => {
+        if (!acquired) {
+            console.log(`[Timer] Lost timer lease for room ${roomCode} - another server took over`);
+            dropTimer(roomCode);
+        }
+    }).catch((err) => {
+        console.error(`[Timer] Lease update failed for room ${roomCode}: ${err.message}`);
+    });
+}
+
+if (roomStore.shared) {
+    roomStore.subscribe(TIMER_CHANNEL, (message) => {
+        // Another server started or cleared this room's timer
+        if (message.nodeId !== NODE_ID) {
+            dropTimer(message.roomCode);
+        }
+    });
+}
+
 // =============================================================================
 // TIMER FUNCTIONS
 // =============================================================================
@@ -57,13 +125,17 @@ const roomTimers = new Map();
  * Starts a timer for a specific phase in a room.
  * Clears any existing timer before starting a new one.
  * 
+ * V1.4: The timer is an absolute deadline. Expiry fires from a single
+ * setTimeout on that deadline, so event-loop stalls cannot make it drift,
+ * and clients are told the deadline once instead of every second.
+ * 
  * @param {string} roomCode - The room code
  * @param {string} phase - The phase to time (roleReveal, description, voting)
- * @param {Function} onTick - Called every second with (roomCode, phase, remainingSeconds)
+ * @param {Function} onStart - V1.4: Called once with (roomCode, phase, endsAt)
  * @param {Function} onExpire - Called when timer expires
  * @param {number} [customDuration] - V1.2: Optional custom duration in seconds (overrides PHASE_DURATIONS)
  */
-function startTimer(roomCode, phase, onTick, onExpire, customDuration = null) {
+function startTimer(roomCode, phase, onStart, onExpire, customDuration = null) {
     // Clear any existing timer for this room
     clearTimer(roomCode);
     
@@ -75,58 +147,66 @@ function startTimer(roomCode, phase, onTick, onExpire, customDuration = null) {
         return;
     }
     
-    let remainingSeconds = duration;
+    const endsAt = Date.now() + duration * 1000;
     
     console.log(`[Timer] Starting ${duration}s timer for room ${roomCode} (phase: ${phase})`);
     
-    // Emit initial time immediately
-    onTick(roomCode, phase, remainingSeconds);
+    const timeoutId = setTimeout(() => {
+        console.log(`[Timer] Timer expired for room ${roomCode} (phase: ${phase})`);
+        clearTimer(roomCode);
+        onExpire(roomCode, phase);
+    }, duration * 1000);
     
-    // Set up countdown interval (every second)
-    const intervalId = setInterval(() => {
-        remainingSeconds--;
-        
-        // Update stored remaining time
-        const timerData = roomTimers.get(roomCode);
-        if (timerData) {
-            timerData.remainingSeconds = remainingSeconds;
-        }
-        
-        // Emit current time to room
-        onTick(roomCode, phase, remainingSeconds);
-        
-        // Check if timer has expired
-        if (remainingSeconds <= 0) {
-            console.log(`[Timer] Timer expired for room ${roomCode} (phase: ${phase})`);
-            clearTimer(roomCode);
-            onExpire(roomCode, phase);
-        }
-    }, 1000);
+    // V1.4: Keep the lease alive while this server runs the timer
+    const leaseIntervalId = roomStore.shared
+        ? setInterval(() => claimLease(roomCode, undefined, false), TIMER_LEASE_RENEW_MS)
+        : null;
     
     // Store timer reference
     roomTimers.set(roomCode, {
         phase: phase,
-        intervalId: intervalId,
-        timeoutId: null, // We use interval-based countdown instead
-        remainingSeconds: remainingSeconds
+        endsAt: endsAt,
+        timeoutId: timeoutId,
+        leaseIntervalId: leaseIntervalId
     });
+    
+    // V1.4: This server now runs the room's timer
+    if (roomStore.shared) {
+        roomStore.publish(TIMER_CHANNEL, { type: 'started', roomCode, nodeId: NODE_ID }).catch(() => {});
+        claimLease(roomCode, { phase, endsAt }, true);
+    }
+    
+    onStart(roomCode, phase, endsAt);
 }
 
 /**
  * Clears any active timer for a room.
  * Called on phase change, game end, or room deletion.
+ * V1.4: In cluster mode also stops the timer on whichever server runs it.
  * 
  * @param {string} roomCode - The room code
  */
 function clearTimer(roomCode) {
+    dropTimer(roomCode);
+    
+    if (roomStore.shared) {
+        roomStore.publish(TIMER_CHANNEL, { type: 'cleared', roomCode, nodeId: NODE_ID }).catch(() => {});
+        roomStore.releaseLease(getLeaseName(roomCode)).catch(() => {});
+    }
+}
+
+/**
+ * Stops this server's countdown for a room (without touching the lease).
+ * 
+ * @param {string} roomCode - The room code
+ */
+function dropTimer(roomCode) {
     const timerData = roomTimers.get(roomCode);
     
     if (timerData) {
-        if (timerData.intervalId) {
-            clearInterval(timerData.intervalId);
-        }
-        if (timerData.timeoutId) {
-            clearTimeout(timerData.timeoutId);
+        clearTimeout(timerData.timeoutId);
+        if (timerData.leaseIntervalId) {
+            clearInterval(timerData.leaseIntervalId);
         }
         
         roomTimers.delete(roomCode);
@@ -134,6 +214,69 @@ function clearTimer(roomCode) {
     }
 }
 
+/**
+ * V1.4: Pauses a room's timer, keeping the exact time it had left.
+ * The timer is cleared (on whichever server runs it); resumeTimer() starts
+ * it again from the returned state.
+ * 
+ * @param {string} roomCode - The room code
+ * @returns {Promise<Object|null>} - { phase, remainingMs } or null if no timer was running
+ */
+async function pauseTimer(roomCode) {
+    const timer = await getTimerState(roomCode);
+    if (!timer) return null;
+    
+    clearTimer(roomCode);
+    
+    const remainingMs = Math.max(0, timer.endsAt - Date.now());
+    console.log(`[Timer] Paused ${timer.phase} timer for room ${roomCode} (${remainingMs}ms left)`);
+    
+    return { phase: timer.phase, remainingMs };
+}
+
+/**
+ * V1.4: Resumes a timer paused with pauseTimer().
+ * 
+ * @param {string} roomCode - The room code
+ * @param {Object} pausedTimer - { phase, remainingMs } from pauseTimer()
+ * @param {Function} onStart - Called once with (roomCode, phase, endsAt)
+ * @param {Function} onExpire - Called when timer expires
+ */
+function resumeTimer(roomCode, pausedTimer, onStart, onExpire) {
+    // At least 1ms, so a timer paused right at its deadline still expires
+    const duration = Math.max(1, pausedTimer.remainingMs) / 1000;
+    startTimer(roomCode, pausedTimer.phase, onStart, onExpire, duration);
+}
+
+/**
+ * V1.4: Adds time to a room's running timer (host "add time").
+ * 
+ * @param {string} roomCode - The room code
+ * @param {number} seconds - Seconds to add
+ * @param {Function} onStart - Called once with (roomCode, phase, endsAt) for the new deadline
+ * @param {Function} onExpire - Called when timer expires
+ * @returns {Promise<Object|null>} - { phase, endsAt } of the extended timer, or null if no timer was running
+ */
+async function extendTimer(roomCode, seconds, onStart, onExpire) {
+    const timer = await getTimerState(roomCode);
+    if (!timer) return null;
+    
+    const remainingMs = Math.max(0, timer.endsAt - Date.now());
+    startTimer(roomCode, timer.phase, onStart, onExpire, (remainingMs + seconds * 1000) / 1000);
+    
+    return { phase: timer.phase, endsAt: roomTimers.get(roomCode).endsAt };
+}
+
+/**
+ * Seconds left until a deadline, rounded up.
+ * 
+ * @param {number} endsAt - Deadline (epoch ms)
+ * @returns {number}
+ */
+function secondsUntil(endsAt) {
+    return Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+}
+
 /**
  * Gets the remaining seconds for a room's timer.
  * 
@@ -142,7 +285,27 @@ function clearTimer(roomCode) {
  */
 function getRemainingSeconds(roomCode) {
     const timerData = roomTimers.get(roomCode);
-    return timerData ? timerData.remainingSeconds : null;
+    return timerData ? secondsUntil(timerData.endsAt) : null;
+}
+
+/**
+ * V1.4: Gets a room's running timer, for players joining mid-phase.
+ * In cluster mode the timer may run on another server, so its lease is read.
+ * 
+ * @param {string} roomCode - The room code
+ * @returns {Promise<Object|null>} - { phase, endsAt } or null if no timer
+ */
+async function getTimerState(roomCode) {
+    const timerData = roomTimers.get(roomCode);
+    if (timerData) {
+        return { phase: timerData.phase, endsAt: timerData.endsAt };
+    }
+    
+    if (!roomStore.shared) return null;
+    
+    const leases = await roomStore.listLeases(getLeaseName(roomCode));
+    const lease = leases.find((entry) => entry.name === getLeaseName(roomCode));
+    return lease?.data ? { phase: lease.data.phase, endsAt: lease.data.endsAt } : null;
 }
 
 /**
@@ -166,6 +329,35 @@ function hasTimer(roomCode) {
     return roomTimers.has(roomCode);
 }
 
+/**
+ * V1.4: Finds timers whose server stopped renewing them and claims them
+ * for this server. The caller restarts each one with the time left until
+ * its deadline (at least a second, if the deadline passed while orphaned).
+ * 
+ * @returns {Promise<Object[]>} - [{ roomCode, phase, remainingSeconds }] now owned by this server
+ */
+async function adoptOrphanedTimers() {
+    if (!roomStore.shared) return [];
+    
+    const adopted = [];
+    const leases = await roomStore.listLeases('timer:');
+    
+    for (const lease of leases) {
+        if (!lease.expired || !lease.data) continue;
+        
+        const acquired = await roomStore.acquireLease(lease.name, NODE_ID, { ttlMs: TIMER_LEASE_MS });
+        if (acquired) {
+            adopted.push({
+                roomCode: lease.name.slice('timer:'.length),
+                phase: lease.data.phase,
+                remainingSeconds: Math.max(1, secondsUntil(lease.data.endsAt))
+            });
+        }
+    }
+    
+    return adopted;
+}
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -175,6 +367,13 @@ module.exports = {
     startTimer,
     clearTimer,
     getRemainingSeconds,
+    getTimerState,          // V1.4
+    pauseTimer,             // V1.4
+    resumeTimer,            // V1.4
+    extendTimer,            // V1.4
+    MAX_EXTENSION_SECONDS,  // V1.4
     getTimerPhase,
-    hasTimer
+    hasTimer,
+    adoptOrphanedTimers,    // V1.4
+    TIMER_LEASE_MS          // V1.4
 };
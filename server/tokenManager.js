@@ -0,0 +1,140 @@
+/**
+ * Token Manager Module
+ *
+ * Issues and verifies signed reconnect tokens.
+ * A reconnect token proves that a socket owns a player slot, so a player
+ * can reclaim their seat (role, word, votes) after a browser refresh.
+ *
+ * TOKEN FORMAT:
+ *   <roomCode>.<playerId>.<signature>
+ *
+ * - signature: HMAC-SHA256 of "<roomCode>.<playerId>" (base64url)
+ * - Secret comes from SESSION_SECRET; a random one is generated if unset
+ *   (tokens then stop working after a server restart)
+ *
+ * SECURITY:
+ * - Tokens are sent ONLY in the room:create / room:join callback
+ * - Never broadcast to other players
+ * - Verified with a constant-time comparison
+ *
+ * V1.4: Also hashes room passwords (scrypt with a random salt per room),
+ * so a room's password is never kept in plain text.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// V1.4: scrypt is slow on purpose - run it off the event loop
+const scrypt = promisify(crypto.scrypt);
+
+// =============================================================================
+// TOKEN CONFIGURATION
+// =============================================================================
+
+const TOKEN_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.SESSION_SECRET) {
+    console.log('[Token] SESSION_SECRET not set - using a random secret for this process');
+}
+
+// =============================================================================
+// TOKEN FUNCTIONS
+// =============================================================================
+
+/**
+ * Signs a payload with the server secret.
+ *
+ * @param {string} payload - The data to sign
+ * @returns {string} - base64url HMAC signature
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Issues a reconnect token for a player in a room.
+ *
+ * @param {string} roomCode - The room code
+ * @param {string} playerId - The player's ID
+ * @returns {string} - The signed token
+ */
+function issueReconnectToken(roomCode, playerId) {
+    const payload = `${roomCode.toUpperCase()}.${playerId}`;
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verifies a reconnect token.
+ *
+ * @param {string} token - The token sent by the client
+ * @returns {Object|null} - { roomCode, playerId } or null if invalid
+ */
+function verifyReconnectToken(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    const [roomCode, playerId, signature] = parts;
+    const expected = sign(`${roomCode}.${playerId}`);
+
+    // Constant-time comparison (lengths must match first)
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(signature);
+    if (expectedBuffer.length !== actualBuffer.length ||
+        !crypto.timingSafeEqual(expectedBuffer, actualBuffer)) {
+        return null;
+    }
+
+    return { roomCode, playerId };
+}
+
+// =============================================================================
+// V1.4: ROOM PASSWORDS
+// =============================================================================
+
+/**
+ * Hashes a room password.
+ *
+ * @param {string} password - The plain-text password
+ * @returns {Promise<string>} - "<salt>.<hash>" (both base64url)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 32);
+    return `${salt.toString('base64url')}.${hash.toString('base64url')}`;
+}
+
+/**
+ * Checks a password against a hash from hashPassword().
+ *
+ * @param {string} password - The password sent by the client
+ * @param {string} stored - The stored "<salt>.<hash>"
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || !stored) {
+        return false;
+    }
+
+    const [salt, hash] = stored.split('.');
+    const expectedBuffer = Buffer.from(hash, 'base64url');
+    const actualBuffer = await scrypt(password, Buffer.from(salt, 'base64url'), expectedBuffer.length);
+
+    return crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+    issueReconnectToken,
+    verifyReconnectToken,
+    hashPassword,           // V1.4
+    verifyPassword          // V1.4
+};
@@ -0,0 +1,486 @@
+/**
+ * Word Pack Manager Module
+ *
+ * Parses and validates custom word packs uploaded by the host.
+ * A word pack is a named list of topics, each with its own word list,
+ * and replaces the built-in TOPICS bank for the room that uses it.
+ *
+ * ACCEPTED FORMATS:
+ *
+ * JSON - any of:
+ *   { "name": "Pack", "topics": [{ "topic": "Fruits", "words": ["Apple", ...] }] }
+ *   [{ "topic": "Fruits", "words": ["Apple", ...] }]
+ *   { "topic": "Fruits", "words": ["Apple", ...] }
+ *
+ * CSV - one topic per line, first column is the topic:
+ *   Fruits,Apple,Mango,Banana
+ *   Animals,Tiger,Dog,Cat
+ *   (a "topic,word" row layout also works - rows with the same topic are merged;
+ *    an optional header row starting with "topic" is skipped)
+ *
+ * V1.4 PACK LIBRARY:
+ * Named packs can also be saved on disk (one JSON file per pack in
+ * WORD_PACK_DIR, default server/data/packs) and managed through /api/packs.
+ * Rooms pick library packs by ID in their settings.
+ *
+ * SECURITY:
+ * - Packs are size-limited to keep room state small
+ * - Word lists are never sent over sockets (only topic names and counts)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// =============================================================================
+// PACK LIMITS
+// =============================================================================
+
+const PACK_LIMITS = {
+    maxContentLength: 20000,   // characters of raw JSON/CSV
+    maxNameLength: 40,
+    maxTopics: 50,
+    maxWordsPerTopic: 100,
+    minWordsPerTopic: 2,
+    maxEntryLength: 30         // characters per topic or word
+};
+
+const DEFAULT_PACK_NAME = 'Custom Pack';
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Parses JSON pack content into { name, topics } (unvalidated).
+ *
+ * @param {string} content - Raw JSON text
+ * @returns {Object|null} - { name, topics } or null if the shape is not recognized
+ */
+function parseJsonPack(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (e) {
+        return null;
+    }
+
+    if (Array.isArray(data)) {
+        return { name: null, topics: data };
+    }
+
+    if (data && typeof data === 'object') {
+        if (Array.isArray(data.topics)) {
+            return { name: data.name, topics: data.topics };
+        }
+        if (data.topic !== undefined) {
+            return { name: data.name, topics: [data] };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parses CSV pack content into { name, topics } (unvalidated).
+ * Rows sharing a topic are merged, so both "topic,w1,w2" and "topic,word" layouts work.
+ *
+ * @param {string} content - Raw CSV text
+ * @returns {Object} - { name: null, topics }
+ */
+function parseCsvPack(content) {
+    const topicsByName = new Map();
+
+    const lines = content.split(/\r?\n/);
+    lines.forEach((line, index) => {
+        const cells = line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+        const [topic, ...words] = cells;
+
+        if (!topic) {
+            return;
+        }
+
+        // Skip optional header row
+        if (index === 0 && topic.toLowerCase() === 'topic') {
+            return;
+        }
+
+        const key = topic.toLowerCase();
+        if (!topicsByName.has(key)) {
+            topicsByName.set(key, { topic: topic, words: [] });
+        }
+        topicsByName.get(key).words.push(...words.filter(Boolean));
+    });
+
+    return { name: null, topics: Array.from(topicsByName.values()) };
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validates and normalizes a parsed pack.
+ * Trims entries and drops duplicate words (case-insensitive) within a topic.
+ *
+ * @param {Object} parsed - { name, topics } from a parser
+ * @param {string} [fallbackName] - Name to use when the pack has none
+ * @returns {Object} - { success, error?, message?, pack? }
+ */
+function validatePack(parsed, fallbackName) {
+    const invalid = (message) => ({ success: false, error: 'INVALID_WORD_PACK', message });
+
+    // The fallback comes straight from the client (room:setWordPack / REST body)
+    if (fallbackName !== undefined && fallbackName !== null && typeof fallbackName !== 'string') {
+        return invalid('Pack name must be text');
+    }
+
+    const rawName = typeof parsed.name === 'string' && parsed.name.trim()
+        ? parsed.name
+        : (fallbackName && fallbackName.trim() ? fallbackName : DEFAULT_PACK_NAME);
+    const name = rawName.trim().slice(0, PACK_LIMITS.maxNameLength);
+
+    if (!Array.isArray(parsed.topics) || parsed.topics.length === 0) {
+        return invalid('Pack must contain at least one topic');
+    }
+
+    if (parsed.topics.length > PACK_LIMITS.maxTopics) {
+        return invalid(`Pack can have at most ${PACK_LIMITS.maxTopics} topics`);
+    }
+
+    const topics = [];
+    const seenTopics = new Set();
+
+    for (const entry of parsed.topics) {
+        if (!entry || typeof entry.topic !== 'string' || !entry.topic.trim()) {
+            return invalid('Every topic needs a name');
+        }
+
+        const topic = entry.topic.trim();
+        if (topic.length > PACK_LIMITS.maxEntryLength) {
+            return invalid(`Topic "${topic.slice(0, PACK_LIMITS.maxEntryLength)}..." is too long`);
+        }
+        if (seenTopics.has(topic.toLowerCase())) {
+            return invalid(`Topic "${topic}" appears more than once`);
+        }
+        seenTopics.add(topic.toLowerCase());
+
+        if (!Array.isArray(entry.words)) {
+            return invalid(`Topic "${topic}" needs a list of words`);
+        }
+
+        const words = [];
+        const seenWords = new Set();
+        for (const rawWord of entry.words) {
+            if (typeof rawWord !== 'string' || !rawWord.trim()) {
+                continue;
+            }
+            const word = rawWord.trim();
+            if (word.length > PACK_LIMITS.maxEntryLength) {
+                return invalid(`Word "${word.slice(0, PACK_LIMITS.maxEntryLength)}..." is too long`);
+            }
+            if (!seenWords.has(word.toLowerCase())) {
+                seenWords.add(word.toLowerCase());
+                words.push(word);
+            }
+        }
+
+        if (words.length < PACK_LIMITS.minWordsPerTopic) {
+            return invalid(`Topic "${topic}" needs at least ${PACK_LIMITS.minWordsPerTopic} words`);
+        }
+        if (words.length > PACK_LIMITS.maxWordsPerTopic) {
+            return invalid(`Topic "${topic}" can have at most ${PACK_LIMITS.maxWordsPerTopic} words`);
+        }
+
+        topics.push({ topic, words });
+    }
+
+    return { success: true, pack: { name, topics } };
+}
+
+/**
+ * Parses and validates uploaded pack content.
+ *
+ * @param {string} content - Raw pack text (JSON or CSV)
+ * @param {string} [format] - 'json' | 'csv' (detected from the content if omitted)
+ * @param {string} [name] - Pack name to use when the content does not name itself
+ * @returns {Object} - { success, error?, message?, pack? }
+ */
+function parseWordPack(content, format, name) {
+    if (typeof content !== 'string' || !content.trim()) {
+        return { success: false, error: 'INVALID_WORD_PACK', message: 'Pack is empty' };
+    }
+
+    if (content.length > PACK_LIMITS.maxContentLength) {
+        return {
+            success: false,
+            error: 'WORD_PACK_TOO_LARGE',
+            message: `Pack must be under ${PACK_LIMITS.maxContentLength} characters`
+        };
+    }
+
+    const trimmed = content.trim();
+    const detectedFormat = format || (trimmed.startsWith('{') || trimmed.startsWith('[') ? 'json' : 'csv');
+
+    let parsed;
+    if (detectedFormat === 'json') {
+        parsed = parseJsonPack(trimmed);
+        if (!parsed) {
+            return { success: false, error: 'INVALID_WORD_PACK', message: 'Could not read JSON pack' };
+        }
+    } else if (detectedFormat === 'csv') {
+        parsed = parseCsvPack(trimmed);
+    } else {
+        return { success: false, error: 'INVALID_FORMAT' };
+    }
+
+    return validatePack(parsed, name);
+}
+
+/**
+ * Validates a pack sent as a request body.
+ * Accepts raw text ({ content, format?, name? }) or a structured pack ({ name, topics }).
+ *
+ * @param {Object} body - The request body
+ * @returns {Object} - { success, error?, message?, pack? }
+ */
+function parseWordPackBody(body) {
+    if (!body || typeof body !== 'object') {
+        return { success: false, error: 'INVALID_WORD_PACK', message: 'Pack is empty' };
+    }
+
+    if (typeof body.content === 'string') {
+        return parseWordPack(body.content, body.format, body.name);
+    }
+
+    return validatePack({ name: body.name, topics: body.topics });
+}
+
+/**
+ * Builds the public summary of a pack (no words - they would help the imposter).
+ *
+ * @param {Object} pack - A validated pack
+ * @returns {Object|null} - { id?, name, topics: string[], wordCount }
+ */
+function summarizePack(pack) {
+    if (!pack) {
+        return null;
+    }
+
+    const summary = {
+        name: pack.name,
+        topics: pack.topics.map(t => t.topic),
+        wordCount: pack.topics.reduce((sum, t) => sum + t.words.length, 0)
+    };
+
+    // Library packs are referenced by ID
+    if (pack.id) {
+        summary.id = pack.id;
+    }
+
+    return summary;
+}
+
+// =============================================================================
+// V1.4: PACK LIBRARY (disk)
+// =============================================================================
+
+const PACK_DIR = process.env.WORD_PACK_DIR || path.join(__dirname, 'data', 'packs');
+
+/**
+ * Library packs loaded from disk.
+ *
+ * Structure:
+ * {
+ *   [packId]: { id, name, topics: [{ topic, words }], createdAt, updatedAt }
+ * }
+ */
+const libraryPacks = new Map();
+
+/**
+ * Gets the file path for a library pack.
+ * IDs are generated server-side (UUIDs), so they are safe as file names.
+ *
+ * @param {string} packId - The pack ID
+ * @returns {string} - Absolute file path
+ */
+function getPackFilePath(packId) {
+    return path.join(PACK_DIR, `${packId}.json`);
+}
+
+/**
+ * Writes a pack to disk (temp file + rename so a crash never leaves half a file).
+ *
+ * @param {Object} pack - The library pack
+ */
+function writePackFile(pack) {
+    fs.mkdirSync(PACK_DIR, { recursive: true });
+    const filePath = getPackFilePath(pack.id);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(pack, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Loads every library pack from disk. Called once on server start.
+ * Files that fail validation are skipped with a warning.
+ *
+ * @returns {number} - Number of packs loaded
+ */
+function loadLibrary() {
+    libraryPacks.clear();
+
+    if (!fs.existsSync(PACK_DIR)) {
+        return 0;
+    }
+
+    for (const fileName of fs.readdirSync(PACK_DIR)) {
+        if (!fileName.endsWith('.json')) {
+            continue;
+        }
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(path.join(PACK_DIR, fileName), 'utf8'));
+            const result = validatePack(stored);
+
+            if (!result.success || !stored.id) {
+                console.log(`[Packs] Skipping invalid pack file ${fileName}`);
+                continue;
+            }
+
+            libraryPacks.set(stored.id, {
+                id: stored.id,
+                ...result.pack,
+                createdAt: stored.createdAt,
+                updatedAt: stored.updatedAt
+            });
+        } catch (e) {
+            console.log(`[Packs] Could not read pack file ${fileName}: ${e.message}`);
+        }
+    }
+
+    console.log(`[Packs] Loaded ${libraryPacks.size} word pack(s) from ${PACK_DIR}`);
+
+    return libraryPacks.size;
+}
+
+/**
+ * Lists library packs (summaries only).
+ *
+ * @returns {Object[]} - [{ id, name, topics, wordCount, updatedAt }]
+ */
+function listLibraryPacks() {
+    return Array.from(libraryPacks.values())
+        .map(pack => ({ ...summarizePack(pack), updatedAt: pack.updatedAt }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Gets a full library pack, including words.
+ *
+ * @param {string} packId - The pack ID
+ * @returns {Object|null} - The pack or null if not found
+ */
+function getLibraryPack(packId) {
+    return libraryPacks.get(packId) || null;
+}
+
+/**
+ * Creates a new library pack.
+ *
+ * @param {Object} body - { content, format?, name? } or { name, topics }
+ * @returns {Object} - { success, error?, message?, pack? }
+ */
+function createLibraryPack(body) {
+    const result = parseWordPackBody(body);
+
+    if (!result.success) {
+        return result;
+    }
+
+    const now = new Date().toISOString();
+    const pack = {
+        id: uuidv4(),
+        ...result.pack,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    writePackFile(pack);
+    libraryPacks.set(pack.id, pack);
+
+    console.log(`[Packs] Created pack "${pack.name}" (${pack.id})`);
+
+    return { success: true, pack };
+}
+
+/**
+ * Replaces the contents of a library pack.
+ *
+ * @param {string} packId - The pack ID
+ * @param {Object} body - { content, format?, name? } or { name, topics }
+ * @returns {Object} - { success, error?, message?, pack? }
+ */
+function updateLibraryPack(packId, body) {
+    const existing = libraryPacks.get(packId);
+
+    if (!existing) {
+        return { success: false, error: 'PACK_NOT_FOUND' };
+    }
+
+    const result = parseWordPackBody({ name: existing.name, ...body });
+
+    if (!result.success) {
+        return result;
+    }
+
+    const pack = {
+        ...existing,
+        ...result.pack,
+        updatedAt: new Date().toISOString()
+    };
+
+    writePackFile(pack);
+    libraryPacks.set(packId, pack);
+
+    console.log(`[Packs] Updated pack "${pack.name}" (${pack.id})`);
+
+    return { success: true, pack };
+}
+
+/**
+ * Deletes a library pack from disk.
+ *
+ * @param {string} packId - The pack ID
+ * @returns {Object} - { success, error? }
+ */
+function deleteLibraryPack(packId) {
+    const existing = libraryPacks.get(packId);
+
+    if (!existing) {
+        return { success: false, error: 'PACK_NOT_FOUND' };
+    }
+
+    fs.rmSync(getPackFilePath(packId), { force: true });
+    libraryPacks.delete(packId);
+
+    console.log(`[Packs] Deleted pack "${existing.name}" (${packId})`);
+
+    return { success: true };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+    PACK_LIMITS,
+    parseWordPack,
+    summarizePack,
+    loadLibrary,            // V1.4: Pack library
+    listLibraryPacks,
+    getLibraryPack,
+    createLibraryPack,
+    updateLibraryPack,
+    deleteLibraryPack
+};